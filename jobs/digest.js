@@ -0,0 +1,56 @@
+const User = require('../models/User');
+const EmailLog = require('../models/EmailLog');
+const { getCandidateEvents, getRecommendations } = require('../utils/recommendationService');
+const { sendWeeklyDigestEmail } = require('../utils/emailService');
+
+const DIGEST_SIZE = 5;
+
+// Local calendar date, e.g. "2025-01-06", used to key one digest per user per week
+const formatDateKey = (date) => [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+].join('-');
+
+// Email every user who hasn't opted out their top recommended events, once on
+// WEEKLY_DIGEST_DAY (0 = Sunday, default Monday). Runs hourly so a restart on
+// digest day still sends; the EmailLog entry keeps it to one digest per user.
+const runWeeklyDigest = async () => {
+    const digestDay = parseInt(process.env.WEEKLY_DIGEST_DAY ?? '1');
+    const now = new Date();
+    if (now.getDay() !== digestDay) return;
+
+    const type = `digest-${formatDateKey(now)}`;
+
+    // Every user is ranked against the same upcoming events
+    const candidates = await getCandidateEvents(now);
+    if (!candidates.length) return;
+
+    const users = User.find({ isActive: true, 'emailPreferences.weeklyDigest': { $ne: false } })
+        .select('name email profile registeredEvents')
+        .cursor();
+
+    let sent = 0;
+    for await (const user of users) {
+        if (await EmailLog.exists({ event: null, user: user._id, type })) continue;
+
+        const recommendations = await getRecommendations(user, { limit: DIGEST_SIZE, candidates });
+        if (!recommendations.length) continue;
+
+        const claim = await EmailLog.claim(null, user._id, type);
+        if (!claim) continue;
+
+        const delivered = await sendWeeklyDigestEmail(user.email, user.name, recommendations);
+        if (!delivered) {
+            await EmailLog.deleteOne({ _id: claim._id });
+            continue;
+        }
+        sent += 1;
+    }
+
+    if (sent) console.log(`📧 Sent ${sent} weekly digest emails`);
+};
+
+module.exports = {
+    runWeeklyDigest
+};
@@ -0,0 +1,83 @@
+const Event = require('../models/Event');
+const { HOOKS, emitHook } = require('../utils/eventHooks');
+const { releaseExpiredPaymentHolds } = require('../utils/paymentService');
+
+// Apply `update` to every event matching `filter`, one guarded update per event so
+// concurrent runs never transition (or emit a hook for) the same event twice
+const transitionEvents = async (filter, update, hook) => {
+    const candidates = await Event.find(filter).select('_id').lean();
+    let transitioned = 0;
+
+    for (const { _id } of candidates) {
+        const event = await Event.findOneAndUpdate({ _id, ...filter }, update, { new: true }).lean();
+        if (!event) continue;
+
+        transitioned += 1;
+        await emitHook(hook, { event });
+    }
+
+    return transitioned;
+};
+
+// Close registration once the deadline passes
+const closeRegistrations = (now) => transitionEvents(
+    {
+        status: { $in: ['published', 'ongoing'] },
+        'registration.deadline': { $lte: now },
+        'registration.closedAt': null
+    },
+    { $set: { 'registration.closedAt': now } },
+    HOOKS.REGISTRATION_CLOSED
+);
+
+// published -> ongoing once the event starts
+const startEvents = (now) => transitionEvents(
+    {
+        status: 'published',
+        'dateTime.start': { $lte: now },
+        'dateTime.end': { $gt: now }
+    },
+    { $set: { status: 'ongoing' } },
+    HOOKS.EVENT_STARTED
+);
+
+// published/ongoing -> completed once the event ends
+const completeEvents = (now) => transitionEvents(
+    {
+        status: { $in: ['published', 'ongoing'] },
+        'dateTime.end': { $lte: now }
+    },
+    { $set: { status: 'completed' } },
+    HOOKS.EVENT_COMPLETED
+);
+
+// Run all lifecycle transitions in order
+const runEventLifecycle = async () => {
+    const now = new Date();
+
+    const closed = await closeRegistrations(now);
+    const started = await startEvents(now);
+    const completed = await completeEvents(now);
+
+    if (closed || started || completed) {
+        console.log(`🔄 Event lifecycle: ${closed} closed, ${started} started, ${completed} completed`);
+    }
+};
+
+// Release seats held for payments that never arrived
+const runPaymentHoldRelease = async () => {
+    const events = await Event.find({
+        participants: {
+            $elemMatch: { status: 'pending', paymentHoldExpiresAt: { $lt: new Date() } }
+        }
+    }).select('_id').lean();
+
+    for (const { _id } of events) {
+        await releaseExpiredPaymentHolds(_id);
+    }
+};
+
+module.exports = {
+    runEventLifecycle,
+    runPaymentHoldRelease
+};
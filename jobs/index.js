@@ -0,0 +1,13 @@
+const { registerJob } = require('../utils/scheduler');
+const { runEventLifecycle, runPaymentHoldRelease } = require('./eventLifecycle');
+const { runEventReminders, runRegistrationClosingNudges } = require('./reminders');
+const { runQuizAttemptExpiry } = require('./quizzes');
+const { runWeeklyDigest } = require('./digest');
+
+// Register every background job with the scheduler
+registerJob('event-lifecycle', 60 * 1000, runEventLifecycle);
+registerJob('payment-hold-release', 5 * 60 * 1000, runPaymentHoldRelease);
+registerJob('event-reminders', 5 * 60 * 1000, runEventReminders);
+registerJob('registration-closing-nudges', 15 * 60 * 1000, runRegistrationClosingNudges);
+registerJob('quiz-attempt-expiry', 60 * 1000, runQuizAttemptExpiry);
+registerJob('weekly-digest', 60 * 60 * 1000, runWeeklyDigest);
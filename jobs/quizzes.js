@@ -0,0 +1,11 @@
+const { expireOverdueAttempts } = require('../utils/quizService');
+
+// Grade quiz attempts whose time ran out without a submit
+const runQuizAttemptExpiry = async () => {
+    const expired = await expireOverdueAttempts();
+    if (expired) console.log(`⏱️ Graded ${expired} expired quiz attempts`);
+};
+
+module.exports = {
+    runQuizAttemptExpiry
+};
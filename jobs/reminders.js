@@ -0,0 +1,127 @@
+const Event = require('../models/Event');
+const User = require('../models/User');
+const EmailLog = require('../models/EmailLog');
+const { getParticipantUserIds } = require('../utils/registrationService');
+const { sendEventReminderEmail, sendRegistrationClosingEmail } = require('../utils/emailService');
+
+const UNIT_MINUTES = { m: 1, h: 60, d: 24 * 60 };
+
+// Parse REMINDER_OFFSETS (e.g. "7d,1d,1h") into minutes, largest first
+const getReminderOffsets = () => {
+    return (process.env.REMINDER_OFFSETS || '7d,1d,1h')
+        .split(',')
+        .map(offset => offset.trim().match(/^(\d+)\s*([mhd])$/i))
+        .filter(Boolean)
+        .map(([, value, unit]) => parseInt(value) * UNIT_MINUTES[unit.toLowerCase()])
+        .sort((a, b) => b - a);
+};
+
+// Human readable offset, e.g. "in 1 day"
+const describeOffset = (minutes) => {
+    if (minutes % UNIT_MINUTES.d === 0) {
+        const days = minutes / UNIT_MINUTES.d;
+        return days === 1 ? 'tomorrow' : `in ${days} days`;
+    }
+    if (minutes % UNIT_MINUTES.h === 0) {
+        const hours = minutes / UNIT_MINUTES.h;
+        return `in ${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `in ${minutes} minutes`;
+};
+
+// Claim and send one email; releases the claim if sending fails so the next run retries
+const sendOnce = async (event, user, type, send) => {
+    const claim = await EmailLog.claim(event._id, user._id, type);
+    if (!claim) return false;
+
+    const sent = await send();
+    if (!sent) {
+        await EmailLog.deleteOne({ _id: claim._id });
+        return false;
+    }
+
+    return true;
+};
+
+// Everyone except cancelled participants is reminded; waitlisted entries hold no seat yet
+const SKIPPED_STATUSES = ['cancelled', 'waitlisted'];
+
+// Send the reminder that is currently due for every participant. Only the tightest
+// due offset is sent, so someone registering a day before the event gets the
+// one-day reminder rather than a stale "one week" one as well.
+const runEventReminders = async () => {
+    const offsets = getReminderOffsets();
+    if (!offsets.length) return;
+
+    const now = new Date();
+    const horizon = new Date(now.getTime() + offsets[0] * 60 * 1000);
+
+    const events = await Event.find({
+        status: 'published',
+        'dateTime.start': { $gt: now, $lte: horizon }
+    }).select('title dateTime location mode participants').lean();
+
+    let sent = 0;
+    for (const event of events) {
+        const minutesUntilStart = (new Date(event.dateTime.start) - now) / 60000;
+        const dueOffset = offsets.filter(offset => minutesUntilStart <= offset).pop();
+        const type = `reminder-${dueOffset}`;
+
+        for (const participant of event.participants) {
+            if (SKIPPED_STATUSES.includes(participant.status)) continue;
+
+            const userIds = await getParticipantUserIds(participant);
+            const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('name email');
+
+            for (const user of users) {
+                const delivered = await sendOnce(event, user, type, () =>
+                    sendEventReminderEmail(user.email, user.name, event, describeOffset(dueOffset))
+                );
+                if (delivered) sent += 1;
+            }
+        }
+    }
+
+    if (sent) console.log(`📧 Sent ${sent} event reminder emails`);
+};
+
+// Nudge users who liked an event but haven't registered before registration closes
+const runRegistrationClosingNudges = async () => {
+    const windowHours = parseInt(process.env.REGISTRATION_NUDGE_HOURS) || 24;
+    const now = new Date();
+
+    const events = await Event.find({
+        status: 'published',
+        'registration.closedAt': null,
+        'registration.deadline': { $gt: now, $lte: new Date(now.getTime() + windowHours * 60 * 60 * 1000) },
+        'likes.0': { $exists: true }
+    }).select('title dateTime registration likes participants').lean();
+
+    let sent = 0;
+    for (const event of events) {
+        const registeredIds = new Set();
+        for (const participant of event.participants) {
+            (await getParticipantUserIds(participant)).forEach(id => registeredIds.add(id.toString()));
+        }
+
+        const likerIds = event.likes
+            .map(like => like.user)
+            .filter(userId => userId && !registeredIds.has(userId.toString()));
+        const users = await User.find({ _id: { $in: likerIds }, isActive: true }).select('name email');
+
+        for (const user of users) {
+            const delivered = await sendOnce(event, user, 'deadline-nudge', () =>
+                sendRegistrationClosingEmail(user.email, user.name, event)
+            );
+            if (delivered) sent += 1;
+        }
+    }
+
+    if (sent) console.log(`📧 Sent ${sent} registration closing nudges`);
+};
+
+module.exports = {
+    getReminderOffsets,
+    runEventReminders,
+    runRegistrationClosingNudges
+};
@@ -0,0 +1,12 @@
+const { HOOKS, hooks } = require('../utils/eventHooks');
+const { issueEventCertificates } = require('../utils/certificateService');
+
+// Subscribe features to event lifecycle hooks
+
+// Issue certificates to everyone who attended or won once the event is over
+hooks.on(HOOKS.EVENT_COMPLETED, async ({ event }) => {
+    if (!event.certificate || !event.certificate.enabled) return;
+
+    const issued = await issueEventCertificates(event);
+    if (issued) console.log(`🎓 Issued ${issued} certificates for "${event.title}"`);
+});
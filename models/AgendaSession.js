@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const SESSION_TYPES = ['talk', 'keynote', 'workshop', 'panel', 'networking', 'break', 'other'];
+
+// One session on an event's agenda. Participants add sessions to their personal agenda,
+// which is stored here as `attendees`.
+const agendaSessionSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Session title is required'],
+        trim: true,
+        maxlength: [150, 'Session title cannot be more than 150 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [3000, 'Session description cannot be more than 3000 characters']
+    },
+    type: {
+        type: String,
+        enum: SESSION_TYPES,
+        default: 'talk'
+    },
+    startsAt: {
+        type: Date,
+        required: [true, 'Session start is required']
+    },
+    endsAt: {
+        type: Date,
+        required: [true, 'Session end is required']
+    },
+    room: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Room cannot be more than 100 characters']
+    },
+    track: {
+        type: String,
+        trim: true // Name of one of the event's tracks
+    },
+    speakers: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User' // Set for speakers with a LiftupLabs account
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        headline: String, // e.g. "Staff Engineer, Acme"
+        bio: String,
+        avatar: String,
+        links: {
+            website: String,
+            linkedin: String,
+            twitter: String,
+            github: String
+        }
+    }],
+    capacity: {
+        type: Number,
+        min: 1,
+        default: null // No limit by default
+    },
+    attendees: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+});
+
+agendaSessionSchema.index({ event: 1, startsAt: 1 });
+agendaSessionSchema.index({ event: 1, attendees: 1 });
+agendaSessionSchema.index({ 'speakers.user': 1 });
+
+// Virtual for the number of people with the session on their agenda
+agendaSessionSchema.virtual('attendeeCount').get(function () {
+    return (this.attendees || []).length;
+});
+
+agendaSessionSchema.statics.SESSION_TYPES = SESSION_TYPES;
+
+module.exports = mongoose.model('AgendaSession', agendaSessionSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const announcementSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Announcement title is required'],
+        trim: true,
+        maxlength: [150, 'Title cannot be more than 150 characters']
+    },
+    body: {
+        type: String, // Markdown
+        required: [true, 'Announcement body is required'],
+        maxlength: [10000, 'Announcement cannot be more than 10000 characters']
+    },
+    pinned: {
+        type: Boolean,
+        default: false
+    },
+    // How the announcement was fanned out when posted
+    delivery: {
+        email: {
+            type: Boolean,
+            default: false
+        },
+        inApp: {
+            type: Boolean,
+            default: true
+        },
+        recipientCount: {
+            type: Number,
+            default: 0
+        },
+        emailedCount: {
+            type: Number,
+            default: 0
+        },
+        completedAt: Date
+    },
+    // Read receipts, one entry per user
+    reads: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        readAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    editedAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+announcementSchema.index({ event: 1, pinned: -1, createdAt: -1 });
+
+// Check if a user has read the announcement
+announcementSchema.methods.isReadBy = function (userId) {
+    return this.reads.some(r => r.user.toString() === userId.toString());
+};
+
+// Record a read receipt. Guarded so each user is only counted once.
+announcementSchema.statics.markRead = function (announcementId, userId) {
+    return this.updateOne(
+        { _id: announcementId, 'reads.user': { $ne: userId } },
+        { $push: { reads: { user: userId, readAt: new Date() } } }
+    );
+};
+
+module.exports = mongoose.model('Announcement', announcementSchema);
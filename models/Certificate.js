@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters for public certificate IDs (no 0/O, 1/I)
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ID_LENGTH = 10;
+
+const certificateSchema = new mongoose.Schema({
+    certificateId: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['participation', 'winner'],
+        required: true
+    },
+    position: {
+        type: String, // Prize position for winner certificates
+        default: ''
+    },
+    // Snapshot of what the certificate says, so later renames don't change issued certificates
+    recipientName: {
+        type: String,
+        required: true
+    },
+    eventTitle: {
+        type: String,
+        required: true
+    },
+    teamName: String,
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+// Note: certificateId index is automatically created by unique: true
+certificateSchema.index({ event: 1, user: 1, type: 1, position: 1 }, { unique: true });
+certificateSchema.index({ user: 1, issuedAt: -1 });
+
+// Virtual for whether the certificate still stands
+certificateSchema.virtual('isValid').get(function () {
+    return !this.revokedAt;
+});
+
+// Generate a random public certificate ID, e.g. LUL-7KQ2M9XH4C
+certificateSchema.statics.generateId = function () {
+    const bytes = crypto.randomBytes(ID_LENGTH);
+    let id = '';
+    for (let i = 0; i < ID_LENGTH; i++) {
+        id += ID_ALPHABET[bytes[i] % ID_ALPHABET.length];
+    }
+    return `LUL-${id}`;
+};
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled email that was sent. The unique index is what makes
+// scheduled sending idempotent: a job claims an email by inserting its log entry
+// first, so restarts and concurrent runs can never send the same email twice.
+const emailLogSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        default: null // Not set for emails about many events, e.g. the weekly digest
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true // e.g. 'reminder-1440' (minutes before start), 'deadline-nudge', 'digest-2025-01-06'
+    },
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+emailLogSchema.index({ event: 1, user: 1, type: 1 }, { unique: true });
+
+// Claim an email for sending. Resolves to the log entry, or null if it was already claimed.
+emailLogSchema.statics.claim = async function (eventId, userId, type) {
+    try {
+        return await this.create({ event: eventId, user: userId, type });
+    } catch (error) {
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+module.exports = mongoose.model('EmailLog', emailLogSchema);
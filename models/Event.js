@@ -1,5 +1,20 @@
 const mongoose = require('mongoose');
 
+// Event team roles below the owner (organizer.user), and what each may do.
+// The owner may do everything, including the owner-only actions.
+const STAFF_ROLES = ['co-organizer', 'check-in', 'judge'];
+const ROLE_PERMISSIONS = {
+    'co-organizer': [
+        'event:edit', 'participants:view', 'participants:manage', 'check-in', 'check-in:lookup', 'analytics:view',
+        'announcements:manage', 'agenda:manage', 'judging:manage', 'quiz:manage',
+        'certificates:manage', 'feedback:view', 'staff:view'
+    ],
+    // Scanning tickets only needs names and check-in state, not answers, exports or payments
+    'check-in': ['check-in', 'check-in:lookup'],
+    judge: ['judging:score']
+};
+const OWNER_PERMISSIONS = ['event:delete', 'staff:manage', 'ownership:transfer'];
+
 const eventSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -34,6 +49,39 @@ const eventSchema = new mongoose.Schema({
             }
         }
     },
+    // Event team: people invited by email to help run the event. `user` is set as soon as
+    // the email belongs to an account; only accepted members get their role's permissions.
+    staff: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        email: {
+            type: String,
+            required: true,
+            lowercase: true,
+            trim: true
+        },
+        role: {
+            type: String,
+            enum: STAFF_ROLES,
+            required: true
+        },
+        status: {
+            type: String,
+            enum: ['invited', 'accepted'],
+            default: 'invited'
+        },
+        invitedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        invitedAt: {
+            type: Date,
+            default: Date.now
+        },
+        acceptedAt: Date
+    }],
     category: {
         type: String,
         required: [true, 'Event category is required'],
@@ -57,9 +105,22 @@ const eventSchema = new mongoose.Schema({
             type: String,
             default: 'India'
         },
+        // GeoJSON point, [longitude, latitude]. Clients send { latitude, longitude };
+        // see utils/geoService.js
         coordinates: {
-            latitude: Number,
-            longitude: Number
+            type: {
+                type: String,
+                enum: ['Point']
+            },
+            coordinates: {
+                type: [Number],
+                default: undefined,
+                validate: {
+                    validator: (value) => !value || (value.length === 2 &&
+                        Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90),
+                    message: 'Coordinates must be [longitude, latitude]'
+                }
+            }
         }
     },
     dateTime: {
@@ -103,6 +164,7 @@ const eventSchema = new mongoose.Schema({
             type: Number,
             default: 0
         },
+        closedAt: Date, // Set by the scheduler once the deadline passes
         requirements: [String],
         teamSize: {
             min: {
@@ -115,6 +177,62 @@ const eventSchema = new mongoose.Schema({
             }
         }
     },
+    // Organizer-defined questions asked on registration (answers live on each participant)
+    registrationForm: [{
+        key: {
+            type: String,
+            required: true,
+            match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field key may only contain letters, numbers and underscores']
+        },
+        label: {
+            type: String,
+            required: true,
+            maxlength: [200, 'Field label cannot be more than 200 characters']
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ['text', 'textarea', 'number', 'email', 'url', 'select', 'multi-select', 'boolean', 'file']
+        },
+        required: {
+            type: Boolean,
+            default: false
+        },
+        helpText: String,
+        options: [String], // Choices for select and multi-select fields
+        validation: {
+            minLength: Number,
+            maxLength: Number,
+            min: Number, // Minimum value, or minimum selections for multi-select
+            max: Number, // Maximum value, or maximum selections for multi-select
+            pattern: String, // Regular expression text answers must match
+            fileTypes: [String], // Allowed MIME types for file fields
+            maxFileSizeMb: Number
+        }
+    }],
+    // Questions attendees answer alongside their rating once the event ends
+    feedbackSurvey: [{
+        key: {
+            type: String,
+            required: true,
+            match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Question key may only contain letters, numbers and underscores']
+        },
+        label: {
+            type: String,
+            required: true,
+            maxlength: [200, 'Question label cannot be more than 200 characters']
+        },
+        type: {
+            type: String,
+            required: true,
+            enum: ['rating', 'text', 'select', 'multi-select', 'boolean']
+        },
+        required: {
+            type: Boolean,
+            default: false
+        },
+        options: [String] // Choices for select and multi-select questions
+    }],
     prizes: [{
         position: {
             type: String,
@@ -126,8 +244,122 @@ const eventSchema = new mongoose.Schema({
             default: 'INR'
         },
         description: String,
-        benefits: [String]
+        benefits: [String],
+        winners: [{
+            type: mongoose.Schema.Types.ObjectId // Participant entries that won this prize
+        }]
     }],
+    // Hackathon judging: submission window, scoring rubric and invited judges
+    judging: {
+        submissionDeadline: Date, // Defaults to the event end
+        rubric: [{
+            name: {
+                type: String,
+                required: true,
+                maxlength: [100, 'Criterion name cannot be more than 100 characters']
+            },
+            description: String,
+            maxScore: {
+                type: Number,
+                min: 1,
+                max: 100,
+                default: 10
+            },
+            weight: {
+                type: Number,
+                min: 0,
+                default: 1
+            }
+        }],
+        judges: [{
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            status: {
+                type: String,
+                enum: ['invited', 'accepted'],
+                default: 'invited'
+            },
+            invitedAt: {
+                type: Date,
+                default: Date.now
+            },
+            acceptedAt: Date
+        }],
+        resultsPublishedAt: Date
+    },
+    // Certificate settings: an optional organizer-uploaded template (PDF or image)
+    // and where each merge field is drawn, as percentages of the page from the top left
+    certificate: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        template: {
+            url: String,
+            path: String,
+            mimeType: String
+        },
+        fields: [{
+            key: {
+                type: String,
+                enum: ['name', 'eventTitle', 'date', 'position', 'teamName', 'organizer', 'certificateId'],
+                required: true
+            },
+            x: {
+                type: Number,
+                min: 0,
+                max: 100,
+                default: 50
+            },
+            y: {
+                type: Number,
+                min: 0,
+                max: 100,
+                required: true
+            },
+            fontSize: {
+                type: Number,
+                min: 6,
+                max: 96,
+                default: 24
+            },
+            color: {
+                type: String,
+                match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1f2937'],
+                default: '#111827'
+            },
+            align: {
+                type: String,
+                enum: ['left', 'center', 'right'],
+                default: 'center'
+            }
+        }]
+    },
+    // Recurring events: the series this is an occurrence of (1-based seriesIndex)
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EventSeries',
+        default: null
+    },
+    seriesIndex: Number,
+    // Agenda tracks; sessions live in the AgendaSession collection and name their track
+    tracks: [{
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: [60, 'Track name cannot be more than 60 characters']
+        },
+        description: String,
+        color: {
+            type: String,
+            match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1f2937']
+        }
+    }],
+    // Free-form schedule for simple events (conferences should use the agenda instead)
     schedule: [{
         day: String,
         date: Date,
@@ -159,9 +391,10 @@ const eventSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['registered', 'confirmed', 'attended', 'cancelled'],
+            enum: ['pending', 'registered', 'confirmed', 'attended', 'cancelled', 'waitlisted'],
             default: 'registered'
         },
+        promotedAt: Date, // Set when moved off the waitlist
         // Contact Information
         phone: {
             type: String,
@@ -170,6 +403,10 @@ const eventSchema = new mongoose.Schema({
         alternateEmail: String,
 
         // Team Information
+        team: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Team'
+        },
         teamName: String,
         teamSize: {
             type: Number,
@@ -191,6 +428,7 @@ const eventSchema = new mongoose.Schema({
         experience: String,
         motivation: String,
         specialRequirements: String,
+        answers: mongoose.Schema.Types.Mixed, // Responses to registrationForm, keyed by field key
 
         // Payment Information (if applicable)
         paymentStatus: {
@@ -199,19 +437,49 @@ const eventSchema = new mongoose.Schema({
             default: 'pending'
         },
         paymentId: String,
+        paymentHoldExpiresAt: Date, // Pending seats are released if unpaid by this time
 
         // Check-in Information
         checkedIn: {
             type: Boolean,
             default: false
         },
-        checkedInAt: Date
+        checkedInAt: Date,
+        checkedInBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }],
     status: {
         type: String,
-        enum: ['draft', 'published', 'ongoing', 'completed', 'cancelled'],
+        enum: ['draft', 'pending-review', 'changes-requested', 'rejected', 'published', 'ongoing', 'completed', 'cancelled'],
         default: 'draft'
     },
+    moderation: {
+        submittedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String, // Latest rejection or change request reason
+        history: [{
+            action: {
+                type: String,
+                enum: ['submitted', 'auto-approved', 'approved', 'rejected', 'changes-requested'],
+                required: true
+            },
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            reason: String,
+            at: {
+                type: Date,
+                default: Date.now
+            }
+        }]
+    },
     visibility: {
         type: String,
         enum: ['public', 'private', 'institution-only'],
@@ -235,6 +503,17 @@ const eventSchema = new mongoose.Schema({
             default: Date.now
         }
     }],
+    // Private bookmarks; only ever exposed to the user as isSaved
+    saves: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        savedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     faqs: [{
         question: {
             type: String,
@@ -269,12 +548,28 @@ eventSchema.index({ category: 1 });
 eventSchema.index({ type: 1 });
 eventSchema.index({ mode: 1 });
 eventSchema.index({ 'location.city': 1 });
+eventSchema.index({ 'location.coordinates': '2dsphere' });
 eventSchema.index({ 'dateTime.start': 1 });
 eventSchema.index({ 'registration.deadline': 1 });
+eventSchema.index({ status: 1, 'dateTime.end': 1 });
 eventSchema.index({ status: 1 });
+eventSchema.index({ status: 1, 'moderation.submittedAt': 1 });
 eventSchema.index({ featured: 1 });
 eventSchema.index({ tags: 1 });
+eventSchema.index({ series: 1, 'dateTime.start': 1 });
+eventSchema.index({ 'staff.user': 1 });
+eventSchema.index({ 'staff.email': 1 });
+eventSchema.index({ 'likes.user': 1 });
+eventSchema.index({ 'saves.user': 1 });
 eventSchema.index({ createdAt: -1 });
+// Full-text search, weighted towards titles and tags
+eventSchema.index(
+    { title: 'text', tags: 'text', skills: 'text', 'organizer.name': 'text', description: 'text' },
+    {
+        name: 'event_text_search',
+        weights: { title: 10, tags: 5, skills: 3, 'organizer.name': 2, description: 1 }
+    }
+);
 
 // Virtual for formatted date
 eventSchema.virtual('formattedDate').get(function () {
@@ -299,34 +594,182 @@ eventSchema.virtual('formattedDate').get(function () {
     }
 });
 
+// Participant statuses with a confirmed seat
+const CONFIRMED_STATUSES = ['registered', 'confirmed', 'attended'];
+
+// Participant statuses that occupy a seat (counted in registration.currentParticipants)
+// 'pending' is a seat held for a paid event until the payment is confirmed
+const SEAT_STATUSES = ['pending', ...CONFIRMED_STATUSES];
+
+// Event statuses that have not been through moderation and are hidden from the public
+const UNLISTED_STATUSES = ['draft', 'pending-review', 'changes-requested', 'rejected'];
+
+// Event statuses from which an organizer may submit for review
+const SUBMITTABLE_STATUSES = ['draft', 'changes-requested', 'rejected'];
+
+// How long a pending seat is held for payment
+const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES) || 30;
+
+const getPaymentHoldExpiry = () => new Date(Date.now() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+
+// Query fragment matching events that still have a free seat
+const hasFreeSeat = {
+    $or: [
+        { 'registration.maxParticipants': null },
+        { $expr: { $lt: ['$registration.currentParticipants', '$registration.maxParticipants'] } }
+    ]
+};
+
 // Virtual for registration status
 eventSchema.virtual('registrationStatus').get(function () {
     const now = new Date();
-    if (now > this.registration.deadline) return 'closed';
-    // Removed max participants check - events can have unlimited participants
+    if (now > this.registration.deadline || this.registration.closedAt) return 'closed';
+    if (this.isFull) return 'waitlist';
     return 'open';
 });
 
+// Virtual for capacity check
+eventSchema.virtual('isFull').get(function () {
+    const max = this.registration.maxParticipants;
+    return max !== null && max !== undefined && this.registration.currentParticipants >= max;
+});
+
+// Virtual for public visibility (approved and not a draft)
+eventSchema.virtual('isListed').get(function () {
+    return !UNLISTED_STATUSES.includes(this.status);
+});
+
+// Virtual for paid events
+eventSchema.virtual('isPaid').get(function () {
+    const fee = this.registration.fee || {};
+    return !fee.isFree && fee.amount > 0;
+});
+
+// Virtual for waitlisted participants, ranked by registration time
+eventSchema.virtual('waitlist').get(function () {
+    return (this.participants || [])
+        .filter(p => p.status === 'waitlisted')
+        .sort((a, b) => new Date(a.registeredAt) - new Date(b.registeredAt));
+});
+
 // Method to check if user can register
 eventSchema.methods.canUserRegister = function (userId) {
     const now = new Date();
 
-    // Check if registration is still open
-    if (now > this.registration.deadline) return { canRegister: false, reason: 'Registration deadline has passed' };
+    // Only approved, upcoming events take registrations
+    if (this.status !== 'published') return { canRegister: false, reason: 'Event is not open for registration' };
 
-    // Removed max participants check - events can have unlimited participants
+    // Check if registration is still open
+    if (now > this.registration.deadline || this.registration.closedAt) {
+        return { canRegister: false, reason: 'Registration deadline has passed' };
+    }
 
     // Check if user is already registered
     const isRegistered = this.participants.some(p => p.user.toString() === userId.toString());
     if (isRegistered) return { canRegister: false, reason: 'Already registered' };
 
-    return { canRegister: true };
+    // A full event still accepts registrations, but onto the waitlist
+    return { canRegister: true, willBeWaitlisted: this.isFull };
+};
+
+// Method to submit the event for moderation. Trusted submitters skip the queue.
+eventSchema.methods.submitForReview = function (userId, autoApprove = false) {
+    const now = new Date();
+
+    this.status = autoApprove ? 'published' : 'pending-review';
+    this.moderation.submittedAt = now;
+    this.moderation.reason = undefined;
+    this.moderation.history.push({ action: autoApprove ? 'auto-approved' : 'submitted', by: userId, at: now });
+
+    if (autoApprove) {
+        this.moderation.reviewedAt = now;
+        this.moderation.reviewedBy = userId;
+    }
+
+    return this.save();
+};
+
+// Method to record a moderator decision ('approved', 'rejected' or 'changes-requested')
+eventSchema.methods.review = function (reviewerId, decision, reason) {
+    const statusByDecision = {
+        approved: 'published',
+        rejected: 'rejected',
+        'changes-requested': 'changes-requested'
+    };
+    const now = new Date();
+
+    this.status = statusByDecision[decision];
+    this.moderation.reviewedAt = now;
+    this.moderation.reviewedBy = reviewerId;
+    this.moderation.reason = reason;
+    this.moderation.history.push({ action: decision, by: reviewerId, reason, at: now });
+
+    return this.save();
+};
+
+// Deadline for hackathon project submissions
+eventSchema.virtual('submissionDeadline').get(function () {
+    return this.judging?.submissionDeadline || this.dateTime.end;
+});
+
+// Method to get a user's role on the event team: 'owner', an accepted staff role, or null
+eventSchema.methods.getStaffRole = function (userId) {
+    if (!userId) return null;
+    const id = userId.toString();
+
+    if ((this.organizer.user._id || this.organizer.user).toString() === id) return 'owner';
+
+    const member = (this.staff || []).find(m =>
+        m.user && (m.user._id || m.user).toString() === id && m.status === 'accepted'
+    );
+    return member ? member.role : null;
+};
+
+// Method to list what a user may do on the event
+eventSchema.methods.getPermissions = function (userId) {
+    const role = this.getStaffRole(userId);
+    if (role === 'owner') return [...new Set([...Object.values(ROLE_PERMISSIONS).flat(), ...OWNER_PERMISSIONS])];
+    return role ? ROLE_PERMISSIONS[role] : [];
+};
+
+// Method to check a single permission (e.g. 'participants:manage')
+eventSchema.methods.hasPermission = function (userId, permission) {
+    return this.getPermissions(userId).includes(permission);
+};
+
+// Method to check if a user is an accepted judge, invited through judging or the event team
+eventSchema.methods.isJudge = function (userId) {
+    return (this.judging?.judges || []).some(j =>
+        (j.user._id || j.user).toString() === userId.toString() && j.status === 'accepted'
+    ) || this.getStaffRole(userId) === 'judge';
+};
+
+// Method to list the user ids of every accepted judge
+eventSchema.methods.getJudgeIds = function () {
+    const ids = [
+        ...(this.judging?.judges || []).filter(j => j.status === 'accepted').map(j => j.user._id || j.user),
+        ...(this.staff || []).filter(m => m.role === 'judge' && m.status === 'accepted' && m.user).map(m => m.user._id || m.user)
+    ];
+    return [...new Map(ids.map(id => [id.toString(), id])).values()];
+};
+
+// Method to get a user's position on the waitlist (1-based, null if not waitlisted)
+eventSchema.methods.getWaitlistPosition = function (userId) {
+    const index = this.waitlist.findIndex(p => p.user.toString() === userId.toString());
+    return index === -1 ? null : index + 1;
 };
 
 // Method to register user for event
-eventSchema.methods.registerUser = function (userId, registrationData = {}) {
-    this.participants.push({
+// Takes a seat if one is free, otherwise joins the waitlist. Both steps are single
+// atomic updates, so concurrent registrations can never push the event over capacity.
+// Seats on paid events are held as 'pending' until the payment is confirmed.
+// Resolves to { event, status } or null if the user is already registered.
+eventSchema.methods.registerUser = async function (userId, registrationData = {}) {
+    const Event = this.constructor;
+    const seatStatus = this.isPaid ? 'pending' : 'registered';
+    const participant = {
         user: userId,
+        team: registrationData.team,
         phone: registrationData.phone,
         alternateEmail: registrationData.alternateEmail,
         teamName: registrationData.teamName,
@@ -336,18 +779,241 @@ eventSchema.methods.registerUser = function (userId, registrationData = {}) {
         experience: registrationData.experience,
         motivation: registrationData.motivation,
         specialRequirements: registrationData.specialRequirements,
+        answers: registrationData.answers,
         registeredAt: new Date(),
         status: 'registered'
-    });
-    this.registration.currentParticipants += 1;
-    return this.save();
+    };
+    const notRegistered = { _id: this._id, 'participants.user': { $ne: userId } };
+
+    const seatedParticipant = { ...participant, status: seatStatus };
+    if (seatStatus === 'pending') seatedParticipant.paymentHoldExpiresAt = getPaymentHoldExpiry();
+
+    const seated = await Event.findOneAndUpdate(
+        { ...notRegistered, ...hasFreeSeat },
+        {
+            $push: { participants: seatedParticipant },
+            $inc: { 'registration.currentParticipants': 1 }
+        },
+        { new: true }
+    );
+    if (seated) return { event: seated, status: seatStatus };
+
+    const waitlisted = await Event.findOneAndUpdate(
+        notRegistered,
+        { $push: { participants: { ...participant, status: 'waitlisted' } } },
+        { new: true }
+    );
+    if (waitlisted) return { event: waitlisted, status: 'waitlisted' };
+
+    return null;
 };
 
 // Method to unregister user from event
-eventSchema.methods.unregisterUser = function (userId) {
-    this.participants = this.participants.filter(p => p.user.toString() !== userId.toString());
-    this.registration.currentParticipants = Math.max(0, this.registration.currentParticipants - 1);
-    return this.save();
+// Frees the seat (if the user held one) and promotes from the waitlist.
+// Resolves to the list of promoted participants.
+eventSchema.methods.unregisterUser = async function (userId) {
+    const Event = this.constructor;
+    const participant = this.participants.find(p => p.user.toString() === userId.toString());
+    if (!participant) return [];
+
+    const heldSeat = SEAT_STATUSES.includes(participant.status);
+    const update = { $pull: { participants: { _id: participant._id } } };
+    if (heldSeat) update.$inc = { 'registration.currentParticipants': -1 };
+
+    const updated = await Event.findOneAndUpdate(
+        { _id: this._id, 'participants._id': participant._id },
+        update,
+        { new: true }
+    );
+    if (!updated || !heldSeat) return [];
+
+    return Event.promoteFromWaitlist(this._id);
+};
+
+// Method to change a participant's status, keeping the seat counter in sync. Taking a seat
+// (e.g. off the waitlist) is guarded on capacity like registration.
+// Resolves to { participant, promoted }, { full: true } if there is no free seat, or null
+// if the participant changed concurrently.
+eventSchema.methods.setParticipantStatus = async function (participantId, status) {
+    const Event = this.constructor;
+    const participant = this.participants.id(participantId);
+    if (!participant) return null;
+
+    const wasSeated = SEAT_STATUSES.includes(participant.status);
+    const isSeated = SEAT_STATUSES.includes(status);
+    const update = { $set: { 'participants.$.status': status } };
+    if (wasSeated !== isSeated) {
+        update.$inc = { 'registration.currentParticipants': isSeated ? 1 : -1 };
+    }
+    if (participant.status === 'waitlisted' && isSeated) {
+        update.$set['participants.$.promotedAt'] = new Date();
+    }
+
+    const takesSeat = isSeated && !wasSeated;
+    const unchanged = { _id: this._id, participants: { $elemMatch: { _id: participantId, status: participant.status } } };
+
+    const updated = await Event.findOneAndUpdate(
+        takesSeat ? { ...unchanged, ...hasFreeSeat } : unchanged,
+        update,
+        { new: true }
+    );
+    if (!updated) {
+        return takesSeat && await Event.exists(unchanged) ? { full: true } : null;
+    }
+
+    const promoted = wasSeated && !isSeated ? await Event.promoteFromWaitlist(this._id) : [];
+    return { participant: updated.participants.id(participantId), promoted };
+};
+
+// Method to find the registration a user holds, either directly or through their team
+eventSchema.methods.getUserRegistration = function (userId, team = null) {
+    return this.participants.find(p =>
+        (p.user._id || p.user).toString() === userId.toString() ||
+        (team && p.team && p.team.equals(team._id))
+    );
+};
+
+// Method to check a participant in. The checkedIn guard makes duplicate scans a no-op.
+// Resolves to { event, participant, duplicate } or null if the participant holds no seat.
+eventSchema.methods.checkInParticipant = async function (participantId, staffId) {
+    const Event = this.constructor;
+    const participant = this.participants.id(participantId);
+    if (!participant || !CONFIRMED_STATUSES.includes(participant.status)) return null;
+
+    const updated = await Event.findOneAndUpdate(
+        {
+            _id: this._id,
+            participants: {
+                $elemMatch: { _id: participantId, checkedIn: { $ne: true }, status: { $in: CONFIRMED_STATUSES } }
+            }
+        },
+        {
+            $set: {
+                'participants.$.checkedIn': true,
+                'participants.$.checkedInAt': new Date(),
+                'participants.$.checkedInBy': staffId,
+                'participants.$.status': 'attended'
+            }
+        },
+        { new: true }
+    );
+
+    if (!updated) {
+        const current = await Event.findOne(
+            { _id: this._id, 'participants._id': participantId },
+            { 'participants.$': 1 }
+        );
+        const existing = current && current.participants[0];
+        if (!existing || !existing.checkedIn) return null;
+        return { event: null, participant: existing, duplicate: true };
+    }
+
+    return { event: updated, participant: updated.participants.id(participantId), duplicate: false };
 };
 
+// Static to fill free seats from the head of the waitlist.
+// Resolves to the list of promoted participants.
+eventSchema.statics.promoteFromWaitlist = async function (eventId) {
+    const promoted = [];
+
+    for (;;) {
+        const event = await this.findById(eventId).select('participants registration');
+        if (!event || event.isFull) break;
+
+        const next = event.waitlist[0];
+        if (!next) break;
+
+        // Paid events hold the promoted seat until the promoted user pays
+        const promotion = {
+            'participants.$.status': event.isPaid ? 'pending' : 'registered',
+            'participants.$.promotedAt': new Date()
+        };
+        if (event.isPaid) promotion['participants.$.paymentHoldExpiresAt'] = getPaymentHoldExpiry();
+
+        // Guard on both the waitlisted status and free capacity so racing promoters
+        // cannot promote the same person twice or overfill the event
+        const updated = await this.findOneAndUpdate(
+            {
+                _id: eventId,
+                participants: { $elemMatch: { _id: next._id, status: 'waitlisted' } },
+                ...hasFreeSeat
+            },
+            {
+                $set: promotion,
+                $inc: { 'registration.currentParticipants': 1 }
+            },
+            { new: true }
+        );
+
+        if (updated) promoted.push(updated.participants.id(next._id));
+    }
+
+    return promoted;
+};
+
+// Static to record a confirmed payment against a participant. A pending seat becomes
+// 'registered'; a participant who was already moved on (e.g. confirmed by the organizer)
+// keeps their status. Resolves to the participant or null if the entry no longer exists.
+eventSchema.statics.markParticipantPaid = async function (eventId, participantId, paymentId) {
+    const confirmed = await this.findOneAndUpdate(
+        { _id: eventId, participants: { $elemMatch: { _id: participantId, paymentId, status: 'pending' } } },
+        {
+            $set: { 'participants.$.status': 'registered', 'participants.$.paymentStatus': 'paid' },
+            $unset: { 'participants.$.paymentHoldExpiresAt': 1 }
+        },
+        { new: true }
+    );
+    if (confirmed) return confirmed.participants.id(participantId);
+
+    const updated = await this.findOneAndUpdate(
+        {
+            _id: eventId,
+            participants: {
+                $elemMatch: { _id: participantId, paymentId, status: { $in: CONFIRMED_STATUSES } }
+            }
+        },
+        { $set: { 'participants.$.paymentStatus': 'paid' } },
+        { new: true }
+    );
+    return updated ? updated.participants.id(participantId) : null;
+};
+
+// Static to release pending seats whose payment hold has expired, then refill them
+// from the waitlist. Resolves to { released, promoted }.
+eventSchema.statics.releaseExpiredPaymentHolds = async function (eventId) {
+    const event = await this.findById(eventId).select('participants');
+    if (!event) return { released: [], promoted: [] };
+
+    const now = new Date();
+    const expired = event.participants.filter(p =>
+        p.status === 'pending' && p.paymentStatus !== 'paid' &&
+        p.paymentHoldExpiresAt && p.paymentHoldExpiresAt < now
+    );
+
+    const released = [];
+    for (const participant of expired) {
+        const updated = await this.findOneAndUpdate(
+            {
+                _id: eventId,
+                participants: {
+                    $elemMatch: { _id: participant._id, status: 'pending', paymentStatus: { $ne: 'paid' } }
+                }
+            },
+            {
+                $pull: { participants: { _id: participant._id } },
+                $inc: { 'registration.currentParticipants': -1 }
+            }
+        );
+        if (updated) released.push(participant);
+    }
+
+    const promoted = released.length ? await this.promoteFromWaitlist(eventId) : [];
+    return { released, promoted };
+};
+
+eventSchema.statics.UNLISTED_STATUSES = UNLISTED_STATUSES;
+eventSchema.statics.STAFF_ROLES = STAFF_ROLES;
+eventSchema.statics.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+eventSchema.statics.SUBMITTABLE_STATUSES = SUBMITTABLE_STATUSES;
+
 module.exports = mongoose.model('Event', eventSchema);
\ No newline at end of file
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One recorded edit to an event. Versions count up from 1 per event; version 0 is the
+// event as it was created.
+const eventRevisionSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    editor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Changed fields as dotted paths, e.g. dateTime.start or location.venue
+    changes: [{
+        _id: false,
+        path: {
+            type: String,
+            required: true
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    materialChanges: [{
+        type: String,
+        enum: ['dates', 'venue', 'mode']
+    }],
+    revertedTo: {
+        type: Number,
+        default: null // Set when this edit restored an earlier version
+    },
+    notifiedCount: {
+        type: Number,
+        default: 0 // Participants told about a material change
+    },
+    notifiedAt: Date // When those notifications finished sending
+}, {
+    timestamps: true
+});
+
+eventRevisionSchema.index({ event: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('EventRevision', eventRevisionSchema);
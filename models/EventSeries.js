@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { FREQUENCIES, WEEKDAYS } = require('../utils/recurrence');
+
+// A recurring event. Every occurrence is a full Event (with event.series pointing here),
+// so registration, payments, check-in and the rest work per occurrence as before.
+const eventSeriesSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    organizer: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: FREQUENCIES,
+            required: true
+        },
+        interval: {
+            type: Number,
+            min: 1,
+            default: 1
+        },
+        byWeekday: [{
+            type: String,
+            enum: WEEKDAYS
+        }],
+        count: Number,
+        until: Date
+    },
+    rrule: String, // The recurrence as an iCalendar RRULE, for display and calendar clients
+    timezone: String,
+    // Allow registering for every upcoming occurrence in one request
+    allowBundleRegistration: {
+        type: Boolean,
+        default: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'cancelled'],
+        default: 'active'
+    },
+    cancelledAt: Date
+}, {
+    timestamps: true
+});
+
+eventSeriesSchema.index({ organizer: 1 });
+
+// Check if user is the series organizer
+eventSeriesSchema.methods.isOrganizer = function (userId) {
+    return (this.organizer._id || this.organizer).toString() === userId.toString();
+};
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A reusable event saved by an organizer. `content` holds the copyable event fields with
+// the source event's dates, and new events from the template keep the same spacing between
+// start, end, registration deadline, schedule and agenda.
+const eventTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        maxlength: [100, 'Template name cannot be more than 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Template description cannot be more than 500 characters']
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    sourceEvent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event'
+    },
+    content: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    sessions: [mongoose.Schema.Types.Mixed], // Agenda sessions, without attendees
+    timesUsed: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+eventTemplateSchema.index({ owner: 1, createdAt: -1 });
+
+// Check if user owns the template
+eventTemplateSchema.methods.isOwner = function (userId) {
+    return (this.owner._id || this.owner).toString() === userId.toString();
+};
+
+module.exports = mongoose.model('EventTemplate', eventTemplateSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// An attendee's post-event feedback: an overall rating, how likely they are to
+// recommend the event (for NPS) and answers to the event's feedback survey
+const feedbackSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    organizer: {
+        type: mongoose.Schema.Types.ObjectId, // Copied from the event so ratings can be grouped by organizer
+        ref: 'User',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId // Event participant entry
+    },
+    rating: {
+        type: Number,
+        required: [true, 'Rating is required'],
+        min: [1, 'Rating must be between 1 and 5'],
+        max: [5, 'Rating must be between 1 and 5']
+    },
+    recommendScore: {
+        type: Number, // 0-10, "How likely are you to recommend this event?"
+        min: 0,
+        max: 10
+    },
+    comment: {
+        type: String,
+        maxlength: [2000, 'Comment cannot be more than 2000 characters']
+    },
+    answers: mongoose.Schema.Types.Mixed // Responses to feedbackSurvey, keyed by question key
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+feedbackSchema.index({ event: 1, user: 1 }, { unique: true });
+feedbackSchema.index({ organizer: 1 });
+
+// Average rating across all of each organizer's events, as a Map of organizer id -> { averageRating, ratingCount }
+feedbackSchema.statics.getOrganizerRatings = async function (organizerIds) {
+    const results = await this.aggregate([
+        { $match: { organizer: { $in: organizerIds.map(id => new mongoose.Types.ObjectId(id.toString())) } } },
+        { $group: { _id: '$organizer', averageRating: { $avg: '$rating' }, ratingCount: { $sum: 1 } } }
+    ]);
+
+    return new Map(results.map(r => [
+        r._id.toString(),
+        { averageRating: Math.round(r.averageRating * 10) / 10, ratingCount: r.ratingCount }
+    ]));
+};
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// In-app notification inbox entry
+const notificationSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: ['announcement', 'judge-invitation', 'staff-invitation', 'event-update']
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: String,
+    link: String, // Frontend path to open, e.g. /events/:id
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event'
+    },
+    announcement: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Announcement'
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ announcement: 1 });
+
+// Number of unread notifications in a user's inbox
+notificationSchema.statics.countUnread = function (userId) {
+    return this.countDocuments({ user: userId, readAt: null });
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    providerPaymentId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    clientSecret: {
+        type: String,
+        select: false
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+    status: {
+        type: String,
+        enum: ['requires_payment', 'paid', 'failed', 'cancelled', 'refund_pending', 'refunded'],
+        default: 'requires_payment'
+    },
+    paidAt: Date,
+    failureReason: String,
+    refund: {
+        providerRefundId: String,
+        amount: Number,
+        reason: String,
+        requestedAt: Date,
+        completedAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+// Note: providerPaymentId index is automatically created by unique: true
+paymentSchema.index({ event: 1, status: 1 });
+paymentSchema.index({ participant: 1 });
+paymentSchema.index({ user: 1 });
+
+// Revenue for an event: everything collected, minus refunds (in flight or settled)
+paymentSchema.statics.getEventRevenue = async function (eventId) {
+    const totals = await this.aggregate([
+        {
+            $match: {
+                event: new mongoose.Types.ObjectId(eventId),
+                status: { $in: ['paid', 'refund_pending', 'refunded'] }
+            }
+        },
+        { $group: { _id: '$status', total: { $sum: '$amount' }, currency: { $first: '$currency' } } }
+    ]);
+
+    const byStatus = Object.fromEntries(totals.map(t => [t._id, t.total]));
+    const gross = (byStatus.paid || 0) + (byStatus.refund_pending || 0) + (byStatus.refunded || 0);
+    const refunded = (byStatus.refund_pending || 0) + (byStatus.refunded || 0);
+
+    return {
+        gross,
+        refunded,
+        net: gross - refunded,
+        currency: totals[0]?.currency || null
+    };
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
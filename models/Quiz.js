@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const QUESTION_TYPES = ['mcq', 'multi-select', 'numeric', 'short-answer'];
+
+// The question bank and attempt settings for a quiz-category event (one quiz per event)
+const quizSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true,
+        unique: true
+    },
+    instructions: {
+        type: String,
+        maxlength: [5000, 'Instructions cannot be more than 5000 characters']
+    },
+    durationMinutes: {
+        type: Number,
+        required: [true, 'Quiz duration is required'],
+        min: [1, 'Quiz duration must be at least 1 minute'],
+        max: [600, 'Quiz duration cannot be more than 600 minutes']
+    },
+    // Attempts can be started between these times; they default to the event start and end
+    opensAt: Date,
+    closesAt: Date,
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    leaderboardVisibility: {
+        type: String,
+        enum: ['live', 'after-close', 'hidden'],
+        default: 'after-close'
+    },
+    questions: [{
+        type: {
+            type: String,
+            enum: QUESTION_TYPES,
+            required: true
+        },
+        prompt: {
+            type: String,
+            required: true,
+            maxlength: [2000, 'Question prompt cannot be more than 2000 characters']
+        },
+        options: [{
+            text: {
+                type: String,
+                required: true
+            },
+            isCorrect: {
+                type: Boolean,
+                default: false
+            }
+        }],
+        answer: Number, // numeric questions
+        tolerance: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        acceptedAnswers: [String], // short-answer questions, compared case-insensitively
+        points: {
+            type: Number,
+            min: 0,
+            default: 1
+        },
+        explanation: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Virtual for the highest possible score
+quizSchema.virtual('maxScore').get(function () {
+    return this.questions.reduce((total, q) => total + q.points, 0);
+});
+
+// Method to get the attempt window, falling back to the event's dates
+quizSchema.methods.getWindow = function (event) {
+    return {
+        opensAt: this.opensAt || event.dateTime.start,
+        closesAt: this.closesAt || event.dateTime.end
+    };
+};
+
+quizSchema.statics.QUESTION_TYPES = QUESTION_TYPES;
+
+module.exports = mongoose.model('Quiz', quizSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// A participant entry's single timed attempt at an event quiz
+const quizAttemptSchema = new mongoose.Schema({
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Quiz',
+        required: true
+    },
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId, // Event participant entry
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'submitted', 'expired'],
+        default: 'in-progress'
+    },
+    // Timing is decided on the server; answers saved after expiresAt are ignored
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    submittedAt: Date,
+    questionOrder: [mongoose.Schema.Types.ObjectId],
+    answers: [{
+        question: {
+            type: mongoose.Schema.Types.ObjectId, // Quiz questions entry
+            required: true
+        },
+        response: mongoose.Schema.Types.Mixed, // option id, option ids, number or text depending on the question type
+        correct: Boolean,
+        points: Number,
+        answeredAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    score: Number,
+    maxScore: Number
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+quizAttemptSchema.index({ quiz: 1, participant: 1 }, { unique: true });
+quizAttemptSchema.index({ quiz: 1, status: 1, score: -1, submittedAt: 1 });
+quizAttemptSchema.index({ status: 1, expiresAt: 1 });
+
+// Virtual for how long the attempt took, in seconds
+quizAttemptSchema.virtual('timeTakenSeconds').get(function () {
+    if (!this.submittedAt) return null;
+    return Math.round((this.submittedAt - this.startedAt) / 1000);
+});
+
+module.exports = mongoose.model('QuizAttempt', quizAttemptSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// A hackathon project, submitted once per participant entry (a solo participant or a team)
+const submissionSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    participant: {
+        type: mongoose.Schema.Types.ObjectId, // Event participant entry
+        required: true
+    },
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String,
+        required: [true, 'Project title is required'],
+        trim: true,
+        maxlength: [120, 'Project title cannot be more than 120 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [5000, 'Description cannot be more than 5000 characters']
+    },
+    repoUrl: String,
+    demoUrl: String,
+    attachments: [{
+        name: String,
+        url: String,
+        path: String,
+        size: Number,
+        mimeType: String
+    }],
+    status: {
+        type: String,
+        enum: ['draft', 'submitted'],
+        default: 'draft'
+    },
+    submittedAt: Date,
+    scores: [{
+        judge: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        criteria: [{
+            criterion: {
+                type: mongoose.Schema.Types.ObjectId, // Event judging.rubric entry
+                required: true
+            },
+            score: {
+                type: Number,
+                required: true,
+                min: 0
+            }
+        }],
+        total: Number, // Weighted score out of 100
+        comment: String,
+        scoredAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+submissionSchema.index({ event: 1, participant: 1 }, { unique: true });
+submissionSchema.index({ event: 1, status: 1 });
+
+// Virtual for the average judge score (null until someone has scored it)
+submissionSchema.virtual('averageScore').get(function () {
+    if (!this.scores.length) return null;
+    const sum = this.scores.reduce((total, s) => total + s.total, 0);
+    return Math.round((sum / this.scores.length) * 100) / 100;
+});
+
+// Weighted score out of 100 for one judge's criteria scores against the rubric
+submissionSchema.statics.calculateTotal = function (rubric, criteria) {
+    const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+    if (!totalWeight) return 0;
+
+    const weighted = rubric.reduce((sum, c) => {
+        const entry = criteria.find(s => s.criterion.toString() === c._id.toString());
+        return sum + (entry ? (entry.score / c.maxScore) * c.weight : 0);
+    }, 0);
+
+    return Math.round((weighted / totalWeight) * 10000) / 100;
+};
+
+// Get a judge's score entry
+submissionSchema.methods.getJudgeScore = function (judgeId) {
+    return this.scores.find(s => (s.judge._id || s.judge).toString() === judgeId.toString());
+};
+
+module.exports = mongoose.model('Submission', submissionSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Unambiguous characters for join codes (no 0/O, 1/I)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const teamSchema = new mongoose.Schema({
+    event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Team name is required'],
+        trim: true,
+        maxlength: [50, 'Team name cannot be more than 50 characters']
+    },
+    captain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    joinCode: {
+        type: String,
+        required: true,
+        unique: true,
+        uppercase: true
+    },
+    members: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        role: {
+            type: String,
+            enum: ['captain', 'member'],
+            default: 'member'
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'accepted'],
+            default: 'pending'
+        },
+        requestedAt: {
+            type: Date,
+            default: Date.now
+        },
+        acceptedAt: Date
+    }],
+    status: {
+        type: String,
+        enum: ['forming', 'registered', 'disbanded'],
+        default: 'forming'
+    },
+    answers: mongoose.Schema.Types.Mixed // Captain's registration form answers, copied onto the registration
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+// Note: joinCode index is automatically created by unique: true
+teamSchema.index({ event: 1, status: 1 });
+teamSchema.index({ 'members.user': 1 });
+
+// Virtual for accepted members
+teamSchema.virtual('acceptedMembers').get(function () {
+    return this.members.filter(m => m.status === 'accepted');
+});
+
+// Check if user is the team captain
+teamSchema.methods.isCaptain = function (userId) {
+    return (this.captain._id || this.captain).toString() === userId.toString();
+};
+
+// Find a user's membership entry
+teamSchema.methods.getMember = function (userId) {
+    return this.members.find(m => (m.user._id || m.user).toString() === userId.toString());
+};
+
+// Generate a random join code
+teamSchema.statics.generateJoinCode = function () {
+    const bytes = crypto.randomBytes(JOIN_CODE_LENGTH);
+    let code = '';
+    for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[bytes[i] % JOIN_CODE_ALPHABET.length];
+    }
+    return code;
+};
+
+// Find the active (not disbanded) team a user belongs to for an event
+teamSchema.statics.findActiveForUser = function (eventId, userId) {
+    return this.findOne({
+        event: eventId,
+        status: { $ne: 'disbanded' },
+        'members.user': userId
+    });
+};
+
+module.exports = mongoose.model('Team', teamSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -58,10 +59,16 @@ const userSchema = new mongoose.Schema({
         },
         status: {
             type: String,
-            enum: ['registered', 'confirmed', 'attended', 'cancelled'],
+            enum: ['pending', 'registered', 'confirmed', 'attended', 'cancelled', 'waitlisted'],
             default: 'registered'
         }
     }],
+    emailPreferences: {
+        weeklyDigest: {
+            type: Boolean,
+            default: true
+        }
+    },
     hostedEvents: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Event'
@@ -73,6 +80,10 @@ const userSchema = new mongoose.Schema({
     emailVerificationToken: String,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    calendarToken: {
+        type: String,
+        select: false // Secret for the calendar subscription feed
+    },
     lastLogin: Date,
     isActive: {
         type: Boolean,
@@ -86,6 +97,7 @@ const userSchema = new mongoose.Schema({
 // Note: email index is automatically created by unique: true
 userSchema.index({ role: 1 });
 userSchema.index({ 'profile.city': 1 });
+userSchema.index({ calendarToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -112,9 +124,16 @@ userSchema.methods.getPublicProfile = function () {
     delete userObject.emailVerificationToken;
     delete userObject.passwordResetToken;
     delete userObject.passwordResetExpires;
+    delete userObject.calendarToken;
     return userObject;
 };
 
+// Generate a new calendar subscription token (invalidates the previous feed URL)
+userSchema.methods.generateCalendarToken = function () {
+    this.calendarToken = crypto.randomBytes(24).toString('hex');
+    return this.calendarToken;
+};
+
 // Check if user is registered for an event
 userSchema.methods.isRegisteredForEvent = function (eventId) {
     return this.registeredEvents.some(reg => reg.event.toString() === eventId.toString());
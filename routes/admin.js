@@ -0,0 +1,195 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const { protect, authorize } = require('../middleware/auth');
+const { sendEventModerationEmail } = require('../utils/emailService');
+const { getJobStatus, runJobNow } = require('../utils/scheduler');
+
+const router = express.Router();
+
+// Apply a moderation decision to an event awaiting review and email the organizer.
+// Sends the error response itself and resolves to null when the review cannot proceed.
+const reviewEvent = async (req, res, decision) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+        return null;
+    }
+
+    const event = await Event.findById(req.params.id).populate('organizer.user', 'name email');
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    if (event.status !== 'pending-review') {
+        res.status(400).json({
+            success: false,
+            message: 'Event is not awaiting review'
+        });
+        return null;
+    }
+
+    await event.review(req.user.id, decision, req.body.reason);
+
+    const organizer = event.organizer.user;
+    if (organizer && organizer.email) {
+        await sendEventModerationEmail(organizer.email, organizer.name, event, decision, req.body.reason);
+    }
+
+    return event;
+};
+
+// @route   GET /api/admin/events/pending
+// @desc    Get the moderation queue (oldest submissions first)
+// @access  Private/Admin
+router.get('/events/pending', protect, authorize('admin'), [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const filter = { status: 'pending-review' };
+
+        const events = await Event.find(filter)
+            .select('-participants')
+            .populate('organizer.user', 'name email role avatar profile.institution')
+            .sort({ 'moderation.submittedAt': 1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Event.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get moderation queue error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching moderation queue'
+        });
+    }
+});
+
+// @route   POST /api/admin/events/:id/approve
+// @desc    Approve and publish an event
+// @access  Private/Admin
+router.post('/events/:id/approve', protect, authorize('admin'), [
+    body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], async (req, res) => {
+    try {
+        const event = await reviewEvent(req, res, 'approved');
+        if (!event) return;
+
+        res.json({
+            success: true,
+            message: 'Event approved and published',
+            data: { event }
+        });
+    } catch (error) {
+        console.error('Approve event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while approving event'
+        });
+    }
+});
+
+// @route   POST /api/admin/events/:id/reject
+// @desc    Reject an event with a reason
+// @access  Private/Admin
+router.post('/events/:id/reject', protect, authorize('admin'), [
+    body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('A rejection reason of 5 to 1000 characters is required')
+], async (req, res) => {
+    try {
+        const event = await reviewEvent(req, res, 'rejected');
+        if (!event) return;
+
+        res.json({
+            success: true,
+            message: 'Event rejected',
+            data: { event }
+        });
+    } catch (error) {
+        console.error('Reject event error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while rejecting event'
+        });
+    }
+});
+
+// @route   POST /api/admin/events/:id/request-changes
+// @desc    Send an event back to the organizer for changes
+// @access  Private/Admin
+router.post('/events/:id/request-changes', protect, authorize('admin'), [
+    body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('Please describe the requested changes (5 to 1000 characters)')
+], async (req, res) => {
+    try {
+        const event = await reviewEvent(req, res, 'changes-requested');
+        if (!event) return;
+
+        res.json({
+            success: true,
+            message: 'Changes requested from organizer',
+            data: { event }
+        });
+    } catch (error) {
+        console.error('Request event changes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting changes'
+        });
+    }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    Get background job status
+// @access  Private/Admin
+router.get('/jobs', protect, authorize('admin'), (req, res) => {
+    res.json({
+        success: true,
+        data: { jobs: getJobStatus() }
+    });
+});
+
+// @route   POST /api/admin/jobs/:name/run
+// @desc    Run a background job immediately
+// @access  Private/Admin
+router.post('/jobs/:name/run', protect, authorize('admin'), async (req, res) => {
+    try {
+        const succeeded = await runJobNow(req.params.name);
+
+        res.json({
+            success: succeeded,
+            message: succeeded ? 'Job completed successfully' : 'Job failed. Check the job status for details.',
+            data: { jobs: getJobStatus() }
+        });
+    } catch (error) {
+        res.status(404).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
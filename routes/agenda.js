@@ -0,0 +1,527 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const AgendaSession = require('../models/AgendaSession');
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+    validateTracks,
+    findTrackName,
+    resolveSpeakers,
+    findScheduleConflicts,
+    findAgendaClashes,
+    getSessionDay
+} = require('../utils/agendaService');
+
+// Mounted at /api/events/:id/agenda
+const router = express.Router({ mergeParams: true });
+
+// Participant statuses whose holders may build a personal agenda
+const AGENDA_STATUSES = ['pending', 'registered', 'confirmed', 'attended'];
+
+const loadAgendaEvent = async (req, res) => {
+    const event = await Event.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    const canSeeUnlisted = event && req.user &&
+        (event.getStaffRole(req.user.id) || req.user.role === 'admin');
+
+    // Events awaiting moderation are only visible to their organizer and admins
+    if (!event || (!event.isListed && !canSeeUnlisted)) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    return event;
+};
+
+const loadSession = async (event, req, res) => {
+    const session = await AgendaSession.findOne({ _id: req.params.sessionId, event: event._id }).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!session) {
+        res.status(404).json({
+            success: false,
+            message: 'Session not found'
+        });
+        return null;
+    }
+
+    return session;
+};
+
+const denyUnlessOrganizer = (event, req, res) => {
+    if (event.hasPermission(req.user.id, 'agenda:manage')) return false;
+
+    res.status(403).json({
+        success: false,
+        message: 'Access denied. Only event organizers can manage the agenda.'
+    });
+    return true;
+};
+
+// Session fields shared by the create and update validators
+const sessionValidators = (optional) => {
+    const field = (name) => (optional ? body(name).optional() : body(name));
+    return [
+        field('title').trim().isLength({ min: 3, max: 150 }).withMessage('Session title must be between 3 and 150 characters'),
+        field('startsAt').isISO8601().withMessage('Invalid session start format'),
+        field('endsAt').isISO8601().withMessage('Invalid session end format'),
+        body('description').optional().isLength({ max: 3000 }).withMessage('Session description cannot exceed 3000 characters'),
+        body('type').optional().isIn(AgendaSession.SESSION_TYPES).withMessage(`Session type must be one of: ${AgendaSession.SESSION_TYPES.join(', ')}`),
+        body('room').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('Room cannot exceed 100 characters'),
+        body('track').optional({ nullable: true }).isString(),
+        body('capacity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Capacity must be a positive whole number'),
+        body('speakers').optional().isArray().withMessage('Speakers must be a list')
+    ];
+};
+
+// Check a session's times and track against its event, and its room and speakers against
+// the rest of the agenda. Sends the error response and returns true if the session is invalid.
+const rejectInvalidSession = async (event, session, res) => {
+    if (new Date(session.endsAt) <= new Date(session.startsAt)) {
+        res.status(400).json({
+            success: false,
+            message: 'Session end must be after its start'
+        });
+        return true;
+    }
+
+    if (new Date(session.startsAt) < event.dateTime.start || new Date(session.endsAt) > event.dateTime.end) {
+        res.status(400).json({
+            success: false,
+            message: 'Sessions must take place during the event'
+        });
+        return true;
+    }
+
+    if (session.track && !findTrackName(event, session.track)) {
+        res.status(400).json({
+            success: false,
+            message: `"${session.track}" is not one of this event's tracks`
+        });
+        return true;
+    }
+
+    const others = await AgendaSession.find({ event: event._id }).select('title startsAt endsAt room speakers');
+    const conflicts = findScheduleConflicts(session, others);
+    if (conflicts.length) {
+        res.status(409).json({
+            success: false,
+            message: 'This session clashes with another session',
+            conflicts
+        });
+        return true;
+    }
+
+    return false;
+};
+
+// Session as shown to clients: attendee ids are private, only the count is shown
+const toSessionResponse = (session, userId, timeZone) => {
+    const { attendees, ...rest } = session.toObject ? session.toObject() : session;
+    return {
+        ...rest,
+        day: getSessionDay(session, timeZone),
+        attendeeCount: (attendees || []).length,
+        isFull: session.capacity !== null && session.capacity !== undefined && (attendees || []).length >= session.capacity,
+        isInMyAgenda: Boolean(userId) && (attendees || []).some(id => id.toString() === userId.toString())
+    };
+};
+
+// @route   GET /api/events/:id/agenda
+// @desc    Get the event's tracks and sessions, optionally filtered by track, day, type or speaker
+// @access  Public
+router.get('/', optionalAuth, [
+    query('track').optional().isString(),
+    query('day').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Day must be YYYY-MM-DD'),
+    query('type').optional().isIn(AgendaSession.SESSION_TYPES),
+    query('speaker').optional().isMongoId().withMessage('Speaker must be a user id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+
+        const filter = { event: event._id };
+        if (req.query.track) filter.track = findTrackName(event, req.query.track) || req.query.track;
+        if (req.query.type) filter.type = req.query.type;
+        if (req.query.speaker) filter['speakers.user'] = req.query.speaker;
+
+        const sessions = await AgendaSession.find(filter)
+            .populate('speakers.user', 'name avatar')
+            .sort({ startsAt: 1, room: 1 })
+            .lean();
+
+        const timeZone = event.dateTime.timezone;
+        const all = sessions.map(session => toSessionResponse(session, req.user?.id, timeZone));
+
+        res.json({
+            success: true,
+            data: {
+                tracks: event.tracks,
+                // Days with sessions (before the day filter), for the day picker
+                days: [...new Set(all.map(session => session.day))],
+                sessions: req.query.day ? all.filter(session => session.day === req.query.day) : all
+            }
+        });
+    } catch (error) {
+        console.error('Get agenda error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching agenda'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/agenda/mine
+// @desc    Get the current user's personal agenda, with clashes between sessions
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+
+        const sessions = await AgendaSession.find({ event: event._id, attendees: req.user.id })
+            .populate('speakers.user', 'name avatar')
+            .sort({ startsAt: 1 })
+            .lean();
+
+        const clashes = findAgendaClashes(sessions);
+
+        res.json({
+            success: true,
+            data: {
+                sessions: sessions.map(session => ({
+                    ...toSessionResponse(session, req.user.id, event.dateTime.timezone),
+                    clashesWith: clashes.get(session._id.toString())
+                })),
+                hasClashes: [...clashes.values()].some(list => list.length > 0)
+            }
+        });
+    } catch (error) {
+        console.error('Get personal agenda error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching your agenda'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/agenda/tracks
+// @desc    Replace the event's tracks ({ name, description, color })
+// @access  Private (event owner and co-organizers)
+router.put('/tracks', protect, [
+    body('tracks').isArray().withMessage('Tracks must be a list')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+        if (denyUnlessOrganizer(event, req, res)) return;
+
+        const trackError = validateTracks(req.body.tracks);
+        if (trackError) {
+            return res.status(400).json({
+                success: false,
+                message: trackError
+            });
+        }
+
+        // Sessions have to be moved off a track before it can be removed
+        const usedTracks = await AgendaSession.distinct('track', { event: event._id, track: { $nin: [null, ''] } });
+        const removed = usedTracks.filter(name => !req.body.tracks.some(track => track.name.trim().toLowerCase() === name.toLowerCase()));
+        if (removed.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Tracks still have sessions: ${removed.join(', ')}`
+            });
+        }
+
+        event.tracks = req.body.tracks.map(({ name, description, color }) => ({ name, description, color }));
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Tracks updated',
+            data: { tracks: event.tracks }
+        });
+    } catch (error) {
+        console.error('Update tracks error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating tracks'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/agenda/sessions
+// @desc    Add a session. Rooms and speakers can't be double booked.
+// @access  Private (event owner and co-organizers)
+router.post('/sessions', protect, sessionValidators(false), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+        if (denyUnlessOrganizer(event, req, res)) return;
+
+        const { speakers, error: speakerError } = await resolveSpeakers(req.body.speakers);
+        if (speakerError) {
+            return res.status(400).json({
+                success: false,
+                message: speakerError
+            });
+        }
+
+        const session = new AgendaSession({
+            event: event._id,
+            title: req.body.title,
+            description: req.body.description,
+            type: req.body.type,
+            startsAt: req.body.startsAt,
+            endsAt: req.body.endsAt,
+            room: req.body.room,
+            track: req.body.track ? findTrackName(event, req.body.track) || req.body.track : undefined,
+            speakers,
+            capacity: req.body.capacity
+        });
+
+        if (await rejectInvalidSession(event, session, res)) return;
+
+        await session.save();
+
+        res.status(201).json({
+            success: true,
+            message: 'Session added to the agenda',
+            data: { session: toSessionResponse(session, req.user.id, event.dateTime.timezone) }
+        });
+    } catch (error) {
+        console.error('Create session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding session'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/agenda/sessions/:sessionId
+// @desc    Update a session
+// @access  Private (event owner and co-organizers)
+router.put('/sessions/:sessionId', protect, sessionValidators(true), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+        if (denyUnlessOrganizer(event, req, res)) return;
+
+        const session = await loadSession(event, req, res);
+        if (!session) return;
+
+        ['title', 'description', 'type', 'startsAt', 'endsAt', 'room', 'capacity']
+            .filter(field => req.body[field] !== undefined)
+            .forEach(field => { session[field] = req.body[field]; });
+
+        if (req.body.track !== undefined) {
+            session.track = req.body.track ? findTrackName(event, req.body.track) || req.body.track : undefined;
+        }
+
+        if (req.body.speakers !== undefined) {
+            const { speakers, error: speakerError } = await resolveSpeakers(req.body.speakers);
+            if (speakerError) {
+                return res.status(400).json({
+                    success: false,
+                    message: speakerError
+                });
+            }
+            session.speakers = speakers;
+        }
+
+        if (session.capacity && session.capacity < session.attendees.length) {
+            return res.status(400).json({
+                success: false,
+                message: `${session.attendees.length} people already have this session on their agenda`
+            });
+        }
+
+        if (await rejectInvalidSession(event, session, res)) return;
+
+        await session.save();
+
+        res.json({
+            success: true,
+            message: 'Session updated',
+            data: { session: toSessionResponse(session, req.user.id, event.dateTime.timezone) }
+        });
+    } catch (error) {
+        console.error('Update session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating session'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/agenda/sessions/:sessionId
+// @desc    Remove a session from the agenda (and from everyone's personal agenda)
+// @access  Private (event owner and co-organizers)
+router.delete('/sessions/:sessionId', protect, async (req, res) => {
+    try {
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+        if (denyUnlessOrganizer(event, req, res)) return;
+
+        const session = await loadSession(event, req, res);
+        if (!session) return;
+
+        await session.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Session removed from the agenda'
+        });
+    } catch (error) {
+        console.error('Delete session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing session'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/agenda/sessions/:sessionId/attend
+// @desc    Add a session to the current user's agenda. Clashes are reported, not blocked.
+// @access  Private (registered participants)
+router.post('/sessions/:sessionId/attend', protect, async (req, res) => {
+    try {
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+
+        const team = await Team.findActiveForUser(event._id, req.user.id);
+        const participant = event.getUserRegistration(req.user.id, team);
+        if (!participant || !AGENDA_STATUSES.includes(participant.status)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only registered participants can build a personal agenda'
+            });
+        }
+
+        const session = await loadSession(event, req, res);
+        if (!session) return;
+
+        // Guarded on capacity so concurrent requests can't overfill the session;
+        // adding a session that's already on the agenda is a no-op
+        await AgendaSession.updateOne(
+            {
+                _id: session._id,
+                attendees: { $ne: req.user.id },
+                $or: [
+                    { capacity: null },
+                    { $expr: { $lt: [{ $size: '$attendees' }, '$capacity'] } }
+                ]
+            },
+            { $push: { attendees: req.user.id } }
+        );
+
+        const updated = await AgendaSession.findById(session._id);
+        if (!updated.attendees.some(id => id.toString() === req.user.id.toString())) {
+            return res.status(400).json({
+                success: false,
+                message: 'This session is full'
+            });
+        }
+
+        const others = await AgendaSession.find({ event: event._id, attendees: req.user.id, _id: { $ne: session._id } })
+            .select('title startsAt endsAt');
+        const clashesWith = findAgendaClashes([updated, ...others]).get(updated._id.toString());
+
+        res.json({
+            success: true,
+            message: clashesWith.length
+                ? 'Session added to your agenda. It clashes with other sessions on your agenda'
+                : 'Session added to your agenda',
+            data: {
+                session: toSessionResponse(updated, req.user.id, event.dateTime.timezone),
+                clashesWith
+            }
+        });
+    } catch (error) {
+        console.error('Add agenda session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating your agenda'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/agenda/sessions/:sessionId/attend
+// @desc    Remove a session from the current user's agenda
+// @access  Private
+router.delete('/sessions/:sessionId/attend', protect, async (req, res) => {
+    try {
+        const event = await loadAgendaEvent(req, res);
+        if (!event) return;
+
+        const session = await loadSession(event, req, res);
+        if (!session) return;
+
+        await AgendaSession.updateOne({ _id: session._id }, { $pull: { attendees: req.user.id } });
+
+        res.json({
+            success: true,
+            message: 'Session removed from your agenda'
+        });
+    } catch (error) {
+        console.error('Remove agenda session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating your agenda'
+        });
+    }
+});
+
+module.exports = router;
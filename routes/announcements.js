@@ -0,0 +1,349 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Announcement = require('../models/Announcement');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { getEventUserIds } = require('../utils/registrationService');
+const { fanOutAnnouncement, markAnnouncementRead } = require('../utils/announcementService');
+
+// Mounted at /api/events/:id/announcements
+const router = express.Router({ mergeParams: true });
+
+// Load the event and work out how the current user relates to it. Announcements are
+// managed by the owner and co-organizers, and visible to the event team, admins and
+// anyone registered (not cancelled).
+const loadEventAccess = async (eventId, user) => {
+    const event = await Event.findById(eventId);
+    if (!event) return { event: null };
+
+    const isOrganizer = event.hasPermission(user.id, 'announcements:manage');
+    const isStaff = Boolean(event.getStaffRole(user.id));
+    const isAdmin = user.role === 'admin';
+
+    let isParticipant = false;
+    if (!isStaff && !isAdmin) {
+        const team = await Team.findActiveForUser(event._id, user.id);
+        const participant = event.getUserRegistration(user.id, team);
+        isParticipant = Boolean(participant) && participant.status !== 'cancelled';
+    }
+
+    return { event, isOrganizer, isAdmin, canRead: isStaff || isAdmin || isParticipant };
+};
+
+// @route   GET /api/events/:id/announcements
+// @desc    Get an event's announcements (pinned first, newest first)
+// @access  Private (organizer, admin or registered participant)
+router.get('/', protect, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { event, isOrganizer, isAdmin, canRead } = await loadEventAccess(req.params.id, req.user);
+        if (!event || !canRead) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const filter = { event: event._id };
+
+        const announcements = await Announcement.find(filter)
+            .populate('author', 'name avatar')
+            .sort({ pinned: -1, createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Announcement.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                announcements: announcements.map(announcement => {
+                    const { reads, ...announcementObj } = announcement.toObject();
+                    announcementObj.isRead = announcement.isReadBy(req.user.id);
+
+                    // Organizers see how many people have read each announcement
+                    if (isOrganizer || isAdmin) announcementObj.readCount = reads.length;
+
+                    return announcementObj;
+                }),
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get announcements error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching announcements'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/announcements
+// @desc    Post an announcement, optionally delivered by email and to the in-app inbox
+// @access  Private (event owner and co-organizers)
+router.post('/', protect, [
+    body('title').trim().isLength({ min: 3, max: 150 }).withMessage('Title must be between 3 and 150 characters'),
+    body('body').trim().isLength({ min: 1, max: 10000 }).withMessage('Announcement must be between 1 and 10000 characters'),
+    body('pinned').optional().isBoolean(),
+    body('notify.email').optional().isBoolean(),
+    body('notify.inApp').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { event, isOrganizer } = await loadEventAccess(req.params.id, req.user);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!isOrganizer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can post announcements.'
+            });
+        }
+
+        const notify = req.body.notify || {};
+        const announcement = await Announcement.create({
+            event: event._id,
+            author: req.user.id,
+            title: req.body.title,
+            body: req.body.body,
+            pinned: Boolean(req.body.pinned),
+            delivery: {
+                email: Boolean(notify.email),
+                inApp: notify.inApp !== false
+            }
+        });
+
+        // Deliver in the background so large events don't hold up the response
+        fanOutAnnouncement(announcement, event).catch(error => {
+            console.error('Announcement delivery error:', error);
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Announcement posted successfully',
+            data: { announcement }
+        });
+    } catch (error) {
+        console.error('Create announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while posting announcement'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/announcements/:announcementId
+// @desc    Edit an announcement (not re-delivered)
+// @access  Private (event owner and co-organizers)
+router.put('/:announcementId', protect, [
+    body('title').optional().trim().isLength({ min: 3, max: 150 }).withMessage('Title must be between 3 and 150 characters'),
+    body('body').optional().trim().isLength({ min: 1, max: 10000 }).withMessage('Announcement must be between 1 and 10000 characters'),
+    body('pinned').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { event, isOrganizer } = await loadEventAccess(req.params.id, req.user);
+        const announcement = event && await Announcement.findOne({ _id: req.params.announcementId, event: event._id });
+
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        if (!isOrganizer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can edit announcements.'
+            });
+        }
+
+        ['title', 'body', 'pinned'].forEach(field => {
+            if (req.body[field] !== undefined) announcement[field] = req.body[field];
+        });
+        if (req.body.title !== undefined || req.body.body !== undefined) {
+            announcement.editedAt = new Date();
+        }
+        await announcement.save();
+
+        res.json({
+            success: true,
+            message: 'Announcement updated successfully',
+            data: { announcement }
+        });
+    } catch (error) {
+        console.error('Update announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating announcement'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/announcements/:announcementId
+// @desc    Delete an announcement and its inbox entries
+// @access  Private (event owner and co-organizers)
+router.delete('/:announcementId', protect, async (req, res) => {
+    try {
+        const { event, isOrganizer } = await loadEventAccess(req.params.id, req.user);
+        const announcement = event && await Announcement.findOne({ _id: req.params.announcementId, event: event._id });
+
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        if (!isOrganizer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can delete announcements.'
+            });
+        }
+
+        await Notification.deleteMany({ announcement: announcement._id });
+        await announcement.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Announcement deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete announcement error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting announcement'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/announcements/:announcementId/read
+// @desc    Mark an announcement as read
+// @access  Private (registered participant)
+router.post('/:announcementId/read', protect, async (req, res) => {
+    try {
+        const { event, canRead } = await loadEventAccess(req.params.id, req.user);
+        const announcement = event && canRead &&
+            await Announcement.exists({ _id: req.params.announcementId, event: event._id });
+
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        await markAnnouncementRead(announcement._id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Announcement marked as read'
+        });
+    } catch (error) {
+        console.error('Mark announcement read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while marking announcement as read'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/announcements/:announcementId/receipts
+// @desc    Get read receipts for an announcement
+// @access  Private (event owner and co-organizers)
+router.get('/:announcementId/receipts', protect, async (req, res) => {
+    try {
+        const { event, isOrganizer } = await loadEventAccess(req.params.id, req.user);
+        const announcement = event && await Announcement.findOne({ _id: req.params.announcementId, event: event._id })
+            .populate('reads.user', 'name email avatar');
+
+        if (!announcement) {
+            return res.status(404).json({
+                success: false,
+                message: 'Announcement not found'
+            });
+        }
+
+        if (!isOrganizer) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view read receipts.'
+            });
+        }
+
+        // Everyone currently registered who hasn't opened it yet
+        const readerIds = new Set(announcement.reads.map(r => (r.user._id || r.user).toString()));
+        const audience = await getEventUserIds(event);
+        const unread = await User.find({ _id: { $in: audience.filter(id => !readerIds.has(id)) } })
+            .select('name email avatar');
+
+        res.json({
+            success: true,
+            data: {
+                delivery: announcement.delivery,
+                readCount: announcement.reads.length,
+                unreadCount: unread.length,
+                reads: announcement.reads,
+                unread
+            }
+        });
+    } catch (error) {
+        console.error('Get announcement receipts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching read receipts'
+        });
+    }
+});
+
+module.exports = router;
@@ -235,7 +235,11 @@ router.put('/profile', protect, [
         .optional()
         .trim()
         .isLength({ max: 500 })
-        .withMessage('Bio too long (max 500 characters)')
+        .withMessage('Bio too long (max 500 characters)'),
+    body('emailPreferences.weeklyDigest')
+        .optional()
+        .isBoolean()
+        .withMessage('Weekly digest preference must be true or false')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -247,7 +251,7 @@ router.put('/profile', protect, [
             });
         }
 
-        const allowedUpdates = ['name', 'profile', 'avatar'];
+        const allowedUpdates = ['name', 'profile', 'avatar', 'emailPreferences'];
         const updates = {};
 
         // Filter allowed updates
@@ -0,0 +1,128 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/certificates/my
+// @desc    Get current user's certificates
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+    try {
+        const certificates = await Certificate.find({ user: req.user.id })
+            .populate('event', 'title category dateTime image')
+            .sort({ issuedAt: -1 });
+
+        res.json({
+            success: true,
+            data: { certificates }
+        });
+    } catch (error) {
+        console.error('Get my certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching certificates'
+        });
+    }
+});
+
+// @route   GET /api/certificates/:id/verify
+// @desc    Verify a certificate by its public ID
+// @access  Public
+router.get('/:id/verify', async (req, res) => {
+    try {
+        const certificate = await Certificate.findOne({ certificateId: req.params.id.toUpperCase() })
+            .populate('event', 'title category dateTime organizer.name organizer.institution');
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found',
+                data: { valid: false }
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                valid: certificate.isValid,
+                certificate: {
+                    certificateId: certificate.certificateId,
+                    recipientName: certificate.recipientName,
+                    type: certificate.type,
+                    position: certificate.position || undefined,
+                    teamName: certificate.teamName,
+                    eventTitle: certificate.eventTitle,
+                    eventDate: certificate.event?.dateTime?.start,
+                    category: certificate.event?.category,
+                    organizer: certificate.event?.organizer?.name,
+                    institution: certificate.event?.organizer?.institution,
+                    issuedAt: certificate.issuedAt,
+                    revokedAt: certificate.revokedAt,
+                    revokedReason: certificate.revokedReason
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Verify certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying certificate'
+        });
+    }
+});
+
+// @route   POST /api/certificates/:id/revoke
+// @desc    Revoke a certificate (event organizer or admin)
+// @access  Private
+router.post('/:id/revoke', protect, [
+    body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('A reason of 5 to 500 characters is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const certificate = await Certificate.findOne({ certificateId: req.params.id.toUpperCase() })
+            .populate('event', 'organizer.user staff');
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Certificate not found'
+            });
+        }
+
+        const isOrganizer = certificate.event && certificate.event.hasPermission(req.user.id, 'certificates:manage');
+        if (!isOrganizer && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers or an admin can revoke certificates.'
+            });
+        }
+
+        certificate.revokedAt = new Date();
+        certificate.revokedReason = req.body.reason;
+        await certificate.save();
+
+        res.json({
+            success: true,
+            message: 'Certificate revoked',
+            data: { certificate }
+        });
+    } catch (error) {
+        console.error('Revoke certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking certificate'
+        });
+    }
+});
+
+module.exports = router;
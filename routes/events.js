@@ -2,10 +2,191 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const Team = require('../models/Team');
+const Payment = require('../models/Payment');
+const Certificate = require('../models/Certificate');
+const Quiz = require('../models/Quiz');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const {
+    getParticipantUserIds,
+    syncRegisteredEventStatus,
+    notifyPromotedParticipants
+} = require('../utils/registrationService');
+const { sendOrganizerMessageEmail } = require('../utils/emailService');
+const { generateTicketToken, verifyTicketToken, renderTicketQr } = require('../utils/ticketService');
+const { buildCalendar } = require('../utils/calendarService');
+const { HOOKS, emitHook } = require('../utils/eventHooks');
+const {
+    registrationUpload,
+    validateFormDefinition,
+    collectRegistrationAnswers,
+    removeAnswerFiles,
+    getAnswerFileUrls,
+    getParticipantAnswers
+} = require('../utils/registrationForm');
+const { resolveColumns, streamParticipantExport } = require('../utils/participantExport');
+const { getQuizAnalytics } = require('../utils/quizService');
+const {
+    DATE_BUCKETS,
+    FEE_BUCKETS,
+    buildTextFilter,
+    buildPrefixFilter,
+    buildFacetFilters,
+    combineFilters,
+    getFacets
+} = require('../utils/eventSearch');
+const {
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM,
+    fromGeoPoint,
+    parseNear,
+    buildWithinFilter,
+    buildNearFilter,
+    distanceKm,
+    resolveEventLocation
+} = require('../utils/geoService');
+const { getRecommendations, toRecommendationResponse } = require('../utils/recommendationService');
+const { parseRecurrence } = require('../utils/recurrence');
+const { createSeries } = require('../utils/seriesService');
+const { cloneEvent } = require('../utils/templateService');
+const { recordEventEdit } = require('../utils/eventHistory');
+const {
+    validateSurveyDefinition,
+    getFeedbackSummary,
+    attachOrganizerRatings
+} = require('../utils/feedbackService');
+const {
+    certificateTemplateUpload,
+    uploadCertificateTemplate,
+    getVerifyUrl,
+    issueCertificates,
+    issueEventCertificates,
+    renderCertificatePdf
+} = require('../utils/certificateService');
+const {
+    PAYMENTS_UNAVAILABLE_MESSAGE,
+    isPaymentUnavailable,
+    createPaymentForParticipant,
+    refundParticipantPayment,
+    releaseExpiredPaymentHolds
+} = require('../utils/paymentService');
 
 const router = express.Router();
 
+// Roles whose events skip the moderation queue (comma separated, e.g. "admin,institution")
+const canBypassReview = (user) => {
+    const roles = (process.env.MODERATION_BYPASS_ROLES || 'admin').split(',').map(role => role.trim());
+    return roles.includes(user.role);
+};
+
+// Participant statuses with a confirmed seat, which therefore get a ticket
+const TICKETED_STATUSES = ['registered', 'confirmed', 'attended'];
+
+// Event fields organizers set through create and update. Everything else is server-managed
+// (participants, counters, likes, moderation) or has its own route (certificate settings,
+// judging, agenda tracks, prize winners, the event team)
+const EDITABLE_FIELDS = [
+    'title', 'description', 'category', 'mode', 'location', 'dateTime', 'registration', 'registrationForm',
+    'feedbackSurvey', 'prizes', 'schedule', 'tags', 'skills', 'image', 'documents', 'faqs', 'socialLinks',
+    'sponsors', 'visibility', 'status'
+];
+const EDITABLE_REGISTRATION_FIELDS = ['deadline', 'fee', 'maxParticipants', 'requirements', 'teamSize'];
+
+// The organizer-editable part of a request body; prize winners are only set through the winners route
+const pickEditableFields = (body) => {
+    const fields = {};
+    EDITABLE_FIELDS
+        .filter(field => body[field] !== undefined)
+        .forEach(field => { fields[field] = body[field]; });
+
+    if (fields.registration) {
+        const registration = {};
+        EDITABLE_REGISTRATION_FIELDS
+            .filter(field => fields.registration[field] !== undefined)
+            .forEach(field => { registration[field] = fields.registration[field]; });
+        fields.registration = registration;
+    }
+
+    if (Array.isArray(fields.prizes)) {
+        fields.prizes = fields.prizes.map(({ winners, ...prize }) => prize);
+    }
+
+    return fields;
+};
+
+// Resolve the current user's ticket-holding registration for an event
+const findTicketedRegistration = async (event, userId) => {
+    const team = await Team.findActiveForUser(event._id, userId);
+    const participant = event.getUserRegistration(userId, team);
+
+    if (!participant) {
+        return { status: 404, message: 'You are not registered for this event' };
+    }
+
+    if (!TICKETED_STATUSES.includes(participant.status)) {
+        return { status: 400, message: 'Tickets are only issued for confirmed registrations' };
+    }
+
+    return { participant };
+};
+
+// Add or remove the user's entry in event.likes or event.saves. The guarded updates make
+// repeated and concurrent requests no-ops, so nobody is ever counted twice. Resolves to
+// the event's likes and saves afterwards, or null if the event isn't listed.
+const setEventReaction = async (eventId, field, userId, active) => {
+    const listed = { _id: eventId, status: { $nin: Event.UNLISTED_STATUSES } };
+    const timestamp = field === 'likes' ? 'likedAt' : 'savedAt';
+
+    if (active) {
+        await Event.updateOne(
+            { ...listed, [`${field}.user`]: { $ne: userId } },
+            { $push: { [field]: { user: userId, [timestamp]: new Date() } } }
+        );
+    } else {
+        await Event.updateOne(listed, { $pull: { [field]: { user: userId } } });
+    }
+
+    return Event.findOne(listed).select('likes.user saves.user').lean();
+};
+
+// Add likeCount, isLiked and isSaved to a plain event object and drop the private saves list
+const addReactionFlags = (event, userId) => {
+    const hasUser = (entries) => Boolean(userId) &&
+        (entries || []).some(entry => entry.user && entry.user.toString() === userId.toString());
+
+    event.likeCount = (event.likes || []).length;
+    event.isLiked = hasUser(event.likes);
+    event.isSaved = hasUser(event.saves);
+    delete event.saves;
+    return event;
+};
+
+// Change a participant's status atomically, mirror it into User.registeredEvents and
+// refund cancelled registrations. Resolves to { participant, promoted }, { full: true } if
+// the participant would need a seat the event doesn't have, or null if the participant
+// changed concurrently.
+const applyParticipantStatus = async (event, participant, status, refundReason) => {
+    const result = await event.setParticipantStatus(participant._id, status);
+    if (!result || result.full) return result;
+
+    await syncRegisteredEventStatus(event._id, participant, status);
+
+    // Cancelled participants get their money back
+    if (status === 'cancelled') {
+        await refundParticipantPayment(participant, refundReason);
+    }
+
+    return result;
+};
+
+// Organizer bulk actions: the status each sets and the statuses it may be applied to
+const BULK_ACTIONS = {
+    confirm: { status: 'confirmed', from: ['pending', 'registered', 'waitlisted'] },
+    reject: { status: 'cancelled', from: ['pending', 'registered', 'confirmed', 'waitlisted'], reason: 'Registration rejected by organizer' },
+    'mark-attended': { status: 'attended', from: ['registered', 'confirmed'] },
+    cancel: { status: 'cancelled', from: ['pending', 'registered', 'confirmed', 'attended', 'waitlisted'], reason: 'Registration cancelled by organizer' }
+};
+
 // @route   GET /api/events
 // @desc    Get all events with filtering and pagination
 // @access  Public
@@ -15,7 +196,13 @@ router.get('/', [
     query('category').optional().isIn(['hackathon', 'quiz', 'workshop', 'seminar', 'tech-fest', 'competition', 'conference']),
     query('mode').optional().isIn(['Online', 'Offline', 'Hybrid']),
     query('city').optional().isString(),
-    query('sort').optional().isIn(['latest', 'oldest', 'prize', 'deadline', 'participants'])
+    query('search').optional().isString().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
+    query('fee').optional().isIn(FEE_BUCKETS),
+    query('date').optional().isIn(DATE_BUCKETS),
+    query('facets').optional().isBoolean().toBoolean(),
+    query('near').optional().custom(value => parseNear(value) !== null).withMessage('near must be "latitude,longitude"'),
+    query('radiusKm').optional().isFloat({ min: 0.1, max: MAX_RADIUS_KM }).withMessage(`Radius must be between 0.1 and ${MAX_RADIUS_KM} km`),
+    query('sort').optional().isIn(['relevance', 'distance', 'latest', 'oldest', 'prize', 'deadline', 'participants'])
 ], optionalAuth, async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -33,35 +220,62 @@ router.get('/', [
         const limit = parseInt(req.query.limit) || 10;
         const skip = (page - 1) * limit;
 
-        // Build filter object
-        const filter = { status: 'published' };
-
-        if (req.query.category) filter.category = req.query.category;
-        if (req.query.mode) filter.mode = req.query.mode;
-        if (req.query.city) filter['location.city'] = new RegExp(req.query.city, 'i');
-        if (req.query.search) {
-            filter.$or = [
-                { title: new RegExp(req.query.search, 'i') },
-                { description: new RegExp(req.query.search, 'i') },
-                { tags: new RegExp(req.query.search, 'i') }
-            ];
-        }
+        // Build base filter: listing status, date range and prize. Sidebar filters
+        // (category, mode, city, fee, date bucket) are kept separate for the facet counts.
+        const base = { status: 'published' };
 
         // Date filters
         if (req.query.dateFrom || req.query.dateTo) {
-            filter['dateTime.start'] = {};
-            if (req.query.dateFrom) filter['dateTime.start'].$gte = new Date(req.query.dateFrom);
-            if (req.query.dateTo) filter['dateTime.start'].$lte = new Date(req.query.dateTo);
+            base['dateTime.start'] = {};
+            if (req.query.dateFrom) base['dateTime.start'].$gte = new Date(req.query.dateFrom);
+            if (req.query.dateTo) base['dateTime.start'].$lte = new Date(req.query.dateTo);
         }
 
         // Prize filter
         if (req.query.minPrize) {
-            filter['prizes.0.amount'] = { $gte: parseInt(req.query.minPrize) };
+            base['prizes.0.amount'] = { $gte: parseInt(req.query.minPrize) };
+        }
+
+        // Events near a point
+        const near = req.query.near ? parseNear(req.query.near) : null;
+        const radiusKm = parseFloat(req.query.radiusKm) || DEFAULT_RADIUS_KM;
+        if (near) {
+            base['location.coordinates'] = buildWithinFilter(near, radiusKm);
+        }
+
+        const facetFilters = buildFacetFilters(req.query);
+
+        // Full-text search, falling back to prefix matching when the text index finds
+        // nothing (partial words while typing, e.g. "hack" for "hackathon")
+        const search = (req.query.search || '').trim();
+        let searchMode = null;
+        if (search) {
+            searchMode = 'text';
+            Object.assign(base, buildTextFilter(search));
+            if (!(await Event.exists(combineFilters(base, facetFilters)))) {
+                searchMode = 'prefix';
+                delete base.$text;
+                Object.assign(base, buildPrefixFilter(search));
+            }
         }
 
-        // Build sort object
+        const filter = combineFilters(base, facetFilters);
+
+        // Build sort object; text matches default to relevance and near searches to distance
         let sort = { createdAt: -1 }; // Default sort
-        switch (req.query.sort) {
+        let findFilter = filter;
+        const defaultSort = searchMode === 'text' ? 'relevance' : near ? 'distance' : undefined;
+        switch (req.query.sort || defaultSort) {
+            case 'relevance':
+                if (searchMode === 'text') sort = { score: { $meta: 'textScore' }, 'dateTime.start': 1 };
+                break;
+            case 'distance':
+                // $nearSphere returns nearest first but can't be combined with $text or counted
+                if (near && searchMode !== 'text') {
+                    findFilter = { ...filter, 'location.coordinates': buildNearFilter(near, radiusKm) };
+                    sort = {};
+                }
+                break;
             case 'latest':
                 sort = { 'dateTime.start': -1 };
                 break;
@@ -80,7 +294,9 @@ router.get('/', [
         }
 
         // Execute query
-        const events = await Event.find(filter)
+        const projection = searchMode === 'text' ? { score: { $meta: 'textScore' } } : {};
+        const events = await Event.find(findFilter, projection)
+            .select('-staff')
             .populate('organizer.user', 'name avatar')
             .sort(sort)
             .skip(skip)
@@ -90,6 +306,17 @@ router.get('/', [
         // Get total count for pagination
         const total = await Event.countDocuments(filter);
 
+        const facets = req.query.facets === false ? undefined : await getFacets(base, facetFilters);
+
+        await attachOrganizerRatings(events);
+        events.forEach(event => addReactionFlags(event, req.user?.id));
+
+        if (near) {
+            events.forEach(event => {
+                event.distanceKm = Math.round(distanceKm(near, event.location.coordinates) * 10) / 10;
+            });
+        }
+
         // Add user registration status if authenticated
         if (req.user) {
             events.forEach(event => {
@@ -103,6 +330,8 @@ router.get('/', [
             success: true,
             data: {
                 events,
+                facets,
+                searchMode,
                 pagination: {
                     current: page,
                     pages: Math.ceil(total / limit),
@@ -122,17 +351,30 @@ router.get('/', [
 });
 
 // @route   GET /api/events/my/hosted
-// @desc    Get events hosted by current user
+// @desc    Get events hosted by current user, or on whose event team they are, with their role
 // @access  Private
 router.get('/my/hosted', protect, async (req, res) => {
     try {
-        const events = await Event.find({ 'organizer.user': req.user.id })
+        const events = await Event.find({
+            $or: [
+                { 'organizer.user': req.user.id },
+                { staff: { $elemMatch: { user: req.user.id, status: 'accepted' } } }
+            ]
+        })
             .sort({ createdAt: -1 })
             .populate('participants.user', 'name email');
 
         res.json({
             success: true,
-            data: { events }
+            data: {
+                events: events.map(event => {
+                    const eventObj = event.toObject();
+                    eventObj.myRole = event.getStaffRole(req.user.id);
+                    // Judges have no business with the participant list
+                    if (!event.hasPermission(req.user.id, 'participants:view')) delete eventObj.participants;
+                    return eventObj;
+                })
+            }
         });
     } catch (error) {
         console.error('Get hosted events error:', error);
@@ -151,6 +393,7 @@ router.get('/my/registered', protect, async (req, res) => {
         const user = await User.findById(req.user.id)
             .populate({
                 path: 'registeredEvents.event',
+                select: '-staff',
                 populate: {
                     path: 'organizer.user',
                     select: 'name avatar'
@@ -172,6 +415,71 @@ router.get('/my/registered', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/events/my/saved
+// @desc    Get events saved by current user, most recently saved first
+// @access  Private
+router.get('/my/saved', protect, async (req, res) => {
+    try {
+        const events = await Event.find({ 'saves.user': req.user.id })
+            .select('-staff')
+            .populate('organizer.user', 'name avatar')
+            .lean();
+
+        const savedAt = (event) => event.saves.find(s => s.user.toString() === req.user.id.toString()).savedAt;
+        events.sort((a, b) => savedAt(b) - savedAt(a));
+
+        res.json({
+            success: true,
+            data: {
+                events: events.map(event => {
+                    const saved = savedAt(event);
+                    return { ...addReactionFlags(event, req.user.id), savedAt: saved };
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Get saved events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching saved events'
+        });
+    }
+});
+
+// @route   GET /api/events/recommended
+// @desc    Get upcoming events recommended for the current user, with the reasons why
+// @access  Private
+router.get('/recommended', protect, [
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = await User.findById(req.user.id).select('profile registeredEvents');
+        const recommendations = await getRecommendations(user, { limit: parseInt(req.query.limit) || 10 });
+
+        res.json({
+            success: true,
+            data: {
+                recommendations: recommendations.map(toRecommendationResponse)
+            }
+        });
+    } catch (error) {
+        console.error('Get recommended events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching recommendations'
+        });
+    }
+});
+
 // @route   GET /api/events/:id
 // @desc    Get single event by ID
 // @access  Public
@@ -180,7 +488,12 @@ router.get('/:id', optionalAuth, async (req, res) => {
         const event = await Event.findById(req.params.id)
             .populate('organizer.user', 'name avatar profile.institution');
 
-        if (!event) {
+        // Check how the user relates to the event: owner, staff role or admin
+        const myRole = event && req.user ? event.getStaffRole(req.user.id) : null;
+        const isAdmin = req.user && req.user.role === 'admin';
+
+        // Events awaiting moderation are only visible to their event team and admins
+        if (!event || (!event.isListed && !myRole && !isAdmin)) {
             return res.status(404).json({
                 success: false,
                 message: 'Event not found'
@@ -191,28 +504,34 @@ router.get('/:id', optionalAuth, async (req, res) => {
         event.views += 1;
         await event.save();
 
-        // Check if user is organizer or admin
-        const isOrganizer = req.user && event.organizer.user._id.toString() === req.user.id.toString();
-        const isAdmin = req.user && req.user.role === 'admin';
-
         // Add user registration status if authenticated
         let isUserRegistered = false;
+        let waitlistPosition = null;
         if (req.user) {
             isUserRegistered = event.participants.some(
                 p => p.user.toString() === req.user.id.toString()
             );
+            waitlistPosition = event.getWaitlistPosition(req.user.id);
         }
 
         // Convert to plain object
         const eventObj = event.toObject();
+        await attachOrganizerRatings([eventObj]);
+        addReactionFlags(eventObj, req.user?.id);
+
+        // The team list (with invited emails) is only shown to those who can see the team
+        if (!event.hasPermission(req.user?.id, 'staff:view') && !isAdmin) {
+            delete eventObj.staff;
+        }
 
-        // Privacy protection: Only organizers and admins can see participant details
-        if (!isOrganizer && !isAdmin) {
+        // Privacy protection: only the owner, co-organizers and admins can see participant details
+        if (!event.hasPermission(req.user?.id, 'participants:view') && !isAdmin) {
             // Regular users only see the count, not the participant list
-            eventObj.participantCount = eventObj.participants.length;
+            eventObj.participantCount = event.registration.currentParticipants;
+            eventObj.waitlistCount = event.waitlist.length;
             delete eventObj.participants;
         } else {
-            // Organizers and admins see full participant details
+            // The owner, co-organizers and admins see full participant details
             await event.populate('participants.user', 'name email avatar profile');
             eventObj.participants = event.participants;
         }
@@ -221,7 +540,11 @@ router.get('/:id', optionalAuth, async (req, res) => {
             success: true,
             data: {
                 event: eventObj,
-                isUserRegistered
+                isUserRegistered,
+                waitlistPosition,
+                registrationStatus: event.registrationStatus,
+                myRole,
+                myPermissions: event.getPermissions(req.user?.id)
             }
         });
     } catch (error) {
@@ -239,6 +562,194 @@ router.get('/:id', optionalAuth, async (req, res) => {
     }
 });
 
+// @route   POST /api/events/:id/like
+// @desc    Like an event (idempotent)
+// @access  Private
+router.post('/:id/like', protect, async (req, res) => {
+    try {
+        const event = await setEventReaction(req.params.id, 'likes', req.user.id, true);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const { likeCount, isLiked, isSaved } = addReactionFlags(event, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Event liked',
+            data: { likeCount, isLiked, isSaved }
+        });
+    } catch (error) {
+        console.error('Like event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while liking event'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/like
+// @desc    Remove a like from an event (idempotent)
+// @access  Private
+router.delete('/:id/like', protect, async (req, res) => {
+    try {
+        const event = await setEventReaction(req.params.id, 'likes', req.user.id, false);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const { likeCount, isLiked, isSaved } = addReactionFlags(event, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Event unliked',
+            data: { likeCount, isLiked, isSaved }
+        });
+    } catch (error) {
+        console.error('Unlike event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unliking event'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/save
+// @desc    Save (bookmark) an event (idempotent)
+// @access  Private
+router.post('/:id/save', protect, async (req, res) => {
+    try {
+        const event = await setEventReaction(req.params.id, 'saves', req.user.id, true);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const { likeCount, isLiked, isSaved } = addReactionFlags(event, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Event saved',
+            data: { likeCount, isLiked, isSaved }
+        });
+    } catch (error) {
+        console.error('Save event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving event'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/save
+// @desc    Remove an event from saved (idempotent)
+// @access  Private
+router.delete('/:id/save', protect, async (req, res) => {
+    try {
+        const event = await setEventReaction(req.params.id, 'saves', req.user.id, false);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const { likeCount, isLiked, isSaved } = addReactionFlags(event, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Event removed from saved',
+            data: { likeCount, isLiked, isSaved }
+        });
+    } catch (error) {
+        console.error('Unsave event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing saved event'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/ics
+// @desc    Download an event as an iCalendar (.ics) file
+// @access  Public
+router.get('/:id/ics', optionalAuth, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id)
+            .select('title description category mode location dateTime organizer staff status createdAt updatedAt')
+            .lean();
+
+        // Events awaiting moderation are only visible to their event team and admins
+        // (lean result, so the team is checked inline rather than with getStaffRole)
+        const userId = req.user && req.user.id.toString();
+        const isOrganizer = event && userId && (
+            event.organizer.user.toString() === userId ||
+            (event.staff || []).some(m => m.status === 'accepted' && m.user && m.user.toString() === userId)
+        );
+        const isAdmin = req.user && req.user.role === 'admin';
+        if (!event || (Event.UNLISTED_STATUSES.includes(event.status) && !isOrganizer && !isAdmin)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const filename = event.title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'event';
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${filename}.ics"`);
+        res.send(buildCalendar([event], event.title));
+    } catch (error) {
+        console.error('Get event ics error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating calendar file'
+        });
+    }
+});
+
 // @route   POST /api/events
 // @desc    Create a new event
 // @access  Private
@@ -292,9 +803,20 @@ router.post('/', protect, [
             });
         }
 
-        // Create event
+        const formError = validateFormDefinition(req.body.registrationForm) ||
+            validateSurveyDefinition(req.body.feedbackSurvey);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        // Create event (always as a draft; publishing goes through moderation)
         const eventData = {
-            ...req.body,
+            ...pickEditableFields(req.body),
+            status: 'draft',
+            allowBundleRegistration: req.body.allowBundleRegistration,
             organizer: {
                 user: req.user.id,
                 name: req.user.name,
@@ -313,17 +835,62 @@ router.post('/', protect, [
             type: req.body.category.charAt(0).toUpperCase() + req.body.category.slice(1)
         };
 
-        const event = await Event.create(eventData);
+        const { location, error: locationError } = await resolveEventLocation(req.body.location, { mode: req.body.mode });
+        if (locationError) {
+            return res.status(400).json({
+                success: false,
+                message: locationError
+            });
+        }
+        eventData.location = location;
+
+        // A recurrence rule turns the event into a series, one event per occurrence
+        let rule = null;
+        if (req.body.recurrence) {
+            const { rule: parsedRule, error: recurrenceError } = parseRecurrence(req.body.recurrence);
+            if (recurrenceError) {
+                return res.status(400).json({
+                    success: false,
+                    message: recurrenceError
+                });
+            }
+            rule = parsedRule;
+        }
+
+        const { series, events, error: seriesError } = rule
+            ? await createSeries(eventData, rule, req.user.id)
+            : { series: null, events: [await Event.create(eventData)] };
+        if (seriesError) {
+            return res.status(400).json({
+                success: false,
+                message: seriesError
+            });
+        }
+        const event = events[0];
 
         // Add event to user's hosted events
         await User.findByIdAndUpdate(req.user.id, {
-            $push: { hostedEvents: event._id }
+            $push: { hostedEvents: { $each: events.map(e => e._id) } }
         });
 
+        // Asking to publish right away submits the event for review
+        let message = series ? `Event series created with ${events.length} occurrences` : 'Event created successfully';
+        if (['published', 'pending-review'].includes(req.body.status)) {
+            const autoApprove = canBypassReview(req.user);
+            for (const created of events) {
+                await created.submitForReview(req.user.id, autoApprove);
+            }
+            message = autoApprove
+                ? `${series ? 'Event series' : 'Event'} created and published successfully`
+                : `${series ? 'Event series' : 'Event'} created and submitted for review`;
+        }
+
         res.status(201).json({
             success: true,
-            message: 'Event created successfully',
-            data: { event }
+            message,
+            data: series
+                ? { event, series, occurrences: events.map(e => ({ _id: e._id, seriesIndex: e.seriesIndex, dateTime: e.dateTime })) }
+                : { event }
         });
     } catch (error) {
         console.error('Create event error:', error);
@@ -334,39 +901,180 @@ router.post('/', protect, [
     }
 });
 
-// @route   PUT /api/events/:id
-// @desc    Update an event
-// @access  Private (Only event organizer)
-router.put('/:id', protect, async (req, res) => {
+// @route   POST /api/events/:id/clone
+// @desc    Duplicate an event as a new draft, with every date shifted by offsetDays
+// @access  Private (event owner and co-organizers)
+router.post('/:id/clone', protect, [
+    body('offsetDays').isInt({ min: -3650, max: 3650 }).withMessage('Offset must be a whole number of days'),
+    body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters')
+], async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id);
-
-        if (!event) {
-            return res.status(404).json({
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Event not found'
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'event:edit')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can duplicate this event.'
+            });
+        }
+
+        const overrides = req.body.title ? { title: req.body.title } : {};
+        const { event: copy, error } = await cloneEvent(event, parseInt(req.body.offsetDays), req.user, overrides);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Event duplicated. Review the copy and submit it for publishing when ready.',
+            data: { event: copy }
+        });
+    } catch (error) {
+        console.error('Clone event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while duplicating event'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id
+// @desc    Update an event
+// @access  Private (Only event organizer)
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
             });
         }
 
-        // Check if user is the organizer
-        if (event.organizer.user.toString() !== req.user.id.toString()) {
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'event:edit')) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only event organizer can update this event.'
+                message: 'Access denied. Only event organizers can update this event.'
+            });
+        }
+
+        // Status changes go through moderation; organizers may only cancel directly
+        const updates = pickEditableFields(req.body);
+        const isCancelling = updates.status === 'cancelled' && event.status !== 'cancelled';
+        if (updates.status !== undefined && updates.status !== event.status && !isCancelling) {
+            return res.status(400).json({
+                success: false,
+                message: 'Event status cannot be changed directly. Submit the event for review to publish it.'
+            });
+        }
+
+        const formError = validateFormDefinition(updates.registrationForm) ||
+            validateSurveyDefinition(updates.feedbackSurvey);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        // Re-geocode when the address changes without new coordinates
+        if (updates.location) {
+            const addressChanged = ['venue', 'city', 'state', 'country'].some(field =>
+                updates.location[field] !== undefined && updates.location[field] !== event.location?.[field]
+            );
+            const { location, error: locationError } = await resolveEventLocation(
+                {
+                    ...updates.location,
+                    coordinates: updates.location.coordinates ??
+                        (addressChanged ? null : fromGeoPoint(event.location?.coordinates))
+                },
+                { mode: updates.mode || event.mode }
+            );
+            if (locationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: locationError
+                });
+            }
+            updates.location = location;
+        }
+
+        if (updates.category) {
+            updates.type = updates.category.charAt(0).toUpperCase() + updates.category.slice(1);
+        }
+
+        // Replacing the prize list keeps the winners already picked for prizes that remain
+        if (Array.isArray(updates.prizes)) {
+            updates.prizes = updates.prizes.map(prize => {
+                const existing = prize._id && event.prizes.find(p => p._id.toString() === String(prize._id));
+                return { ...prize, winners: existing ? existing.winners : [] };
             });
         }
 
+        // Registration counters and the scheduler's close marker are server-managed;
+        // moving the deadline into the future reopens registration
+        if (updates.registration) {
+            const deadline = new Date(updates.registration.deadline || event.registration.deadline);
+            updates.registration = {
+                ...updates.registration,
+                currentParticipants: event.registration.currentParticipants,
+                closedAt: deadline > new Date() ? undefined : event.registration.closedAt
+            };
+        }
+
         // Update event
+        const before = event.toObject();
         const updatedEvent = await Event.findByIdAndUpdate(
             req.params.id,
-            req.body,
+            updates,
             { new: true, runValidators: true }
         );
 
+        if (isCancelling) {
+            await emitHook(HOOKS.EVENT_CANCELLED, { event: updatedEvent.toObject() });
+        }
+
+        // A higher capacity opens seats for the waitlist, just as an unregistration does
+        let promoted = [];
+        if (updates.registration && !['cancelled', 'completed'].includes(updatedEvent.status)) {
+            promoted = await Event.promoteFromWaitlist(updatedEvent._id);
+            await notifyPromotedParticipants(updatedEvent, promoted);
+        }
+
+        // Record what changed; participants are told about new dates, venue or mode
+        const revision = await recordEventEdit(before, updatedEvent, req.user.id, Object.keys(updates));
+
         res.json({
             success: true,
             message: 'Event updated successfully',
-            data: { event: updatedEvent }
+            data: { event: updatedEvent, revision, promotedFromWaitlist: promoted.length }
         });
     } catch (error) {
         console.error('Update event error:', error);
@@ -377,6 +1085,67 @@ router.put('/:id', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/events/:id/submit
+// @desc    Submit an event for moderation review
+// @access  Private (Only event organizer)
+router.post('/:id/submit', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'event:edit')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can submit this event for review.'
+            });
+        }
+
+        if (!Event.SUBMITTABLE_STATUSES.includes(event.status)) {
+            return res.status(400).json({
+                success: false,
+                message: event.status === 'pending-review'
+                    ? 'Event is already awaiting review'
+                    : 'Event has already been published'
+            });
+        }
+
+        if (new Date() > event.registration.deadline) {
+            return res.status(400).json({
+                success: false,
+                message: 'Registration deadline has passed. Update the event dates before submitting.'
+            });
+        }
+
+        const autoApprove = canBypassReview(req.user);
+        await event.submitForReview(req.user.id, autoApprove);
+
+        res.json({
+            success: true,
+            message: autoApprove ? 'Event published successfully' : 'Event submitted for review',
+            data: { event }
+        });
+    } catch (error) {
+        console.error('Submit event error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting event for review'
+        });
+    }
+});
+
 // @route   DELETE /api/events/:id
 // @desc    Delete an event
 // @access  Private (Only event organizer or admin)
@@ -398,12 +1167,12 @@ router.delete('/:id', protect, async (req, res) => {
         console.log('Event organizer ID:', event.organizer.user.toString());
         console.log('User role:', req.user.role);
 
-        // Check if user is the organizer or admin
-        if (event.organizer.user.toString() !== req.user.id.toString() && req.user.role !== 'admin') {
-            console.log('Access denied - user is not organizer or admin');
+        // Only the owner (not co-organizers) or an admin may delete
+        if (!event.hasPermission(req.user.id, 'event:delete') && req.user.role !== 'admin') {
+            console.log('Access denied - user is not owner or admin');
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only event organizer or admin can delete this event.'
+                message: 'Access denied. Only the event owner or admin can delete this event.'
             });
         }
 
@@ -433,8 +1202,11 @@ router.delete('/:id', protect, async (req, res) => {
 // @route   POST /api/events/:id/register
 // @desc    Register for an event
 // @access  Private
-router.post('/:id/register', protect, async (req, res) => {
+router.post('/:id/register', protect, registrationUpload, async (req, res) => {
     try {
+        // Free up seats whose payment hold lapsed before checking capacity
+        await releaseExpiredPaymentHolds(req.params.id);
+
         const event = await Event.findById(req.params.id);
 
         if (!event) {
@@ -453,25 +1225,86 @@ router.post('/:id/register', protect, async (req, res) => {
             });
         }
 
-        // Register user
-        await event.registerUser(req.user.id, req.body);
+        // Events that need a minimum team size only accept team registrations
+        if (event.registration.teamSize.min > 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'This event requires team registration. Create or join a team instead.'
+            });
+        }
+
+        if (isPaymentUnavailable(event)) {
+            return res.status(503).json({
+                success: false,
+                message: PAYMENTS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        // Team members are registered through their team
+        const team = await Team.findActiveForUser(event._id, req.user.id);
+        if (team) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already part of a team for this event'
+            });
+        }
+
+        // Validate answers to the organizer's registration form (and upload any files)
+        const { answers, errors: formErrors } = await collectRegistrationAnswers(event, req.user.id, req.body.answers, req.files);
+        if (formErrors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please correct the registration form',
+                errors: formErrors
+            });
+        }
+
+        // Register user (or waitlist them if the event is full)
+        const result = await event.registerUser(req.user.id, { ...req.body, team: undefined, answers });
+        if (!result) {
+            await removeAnswerFiles(answers);
+            return res.status(400).json({
+                success: false,
+                message: 'Already registered'
+            });
+        }
 
         // Add event to user's registered events
         await User.findByIdAndUpdate(req.user.id, {
             $push: {
                 registeredEvents: {
                     event: event._id,
-                    status: 'registered'
+                    status: result.status
                 }
             }
         });
 
+        const isWaitlisted = result.status === 'waitlisted';
+        const isPending = result.status === 'pending';
+
+        // Paid events hold the seat until the payment is confirmed by the provider webhook
+        let payment = null;
+        if (isPending) {
+            payment = await createPaymentForParticipant(
+                result.event,
+                result.event.getUserRegistration(req.user.id),
+                req.user.id
+            );
+        }
+
+        let message = 'Successfully registered for the event';
+        if (isWaitlisted) message = 'Event is full. You have been added to the waitlist';
+        if (isPending) message = 'Seat reserved. Complete the payment to confirm your registration';
+
         res.json({
             success: true,
-            message: 'Successfully registered for the event',
+            message,
             data: {
                 eventId: event._id,
-                eventTitle: event.title
+                eventTitle: event.title,
+                status: result.status,
+                waitlistPosition: isWaitlisted ? result.event.getWaitlistPosition(req.user.id) : null,
+                payment
             }
         });
     } catch (error) {
@@ -498,16 +1331,24 @@ router.delete('/:id/register', protect, async (req, res) => {
         }
 
         // Check if user is registered
-        const isRegistered = event.participants.some(p => p.user.toString() === req.user.id.toString());
-        if (!isRegistered) {
+        const registration = event.participants.find(p => p.user.toString() === req.user.id.toString());
+        if (!registration) {
             return res.status(400).json({
                 success: false,
                 message: 'You are not registered for this event'
             });
         }
 
-        // Unregister user
-        await event.unregisterUser(req.user.id);
+        if (registration.team) {
+            return res.status(400).json({
+                success: false,
+                message: 'This is a team registration. Disband the team to unregister.'
+            });
+        }
+
+        // Unregister user, freeing their seat for the waitlist
+        const promoted = await event.unregisterUser(req.user.id);
+        const payment = await refundParticipantPayment(registration, 'Unregistered by participant');
 
         // Remove event from user's registered events
         await User.findByIdAndUpdate(req.user.id, {
@@ -516,9 +1357,16 @@ router.delete('/:id/register', protect, async (req, res) => {
             }
         });
 
+        await notifyPromotedParticipants(event, promoted);
+
         res.json({
             success: true,
-            message: 'Successfully unregistered from the event'
+            message: payment && payment.status !== 'cancelled'
+                ? 'Successfully unregistered from the event. Your payment will be refunded'
+                : 'Successfully unregistered from the event',
+            data: {
+                refundStatus: payment && payment.status !== 'cancelled' ? payment.status : null
+            }
         });
     } catch (error) {
         console.error('Event unregistration error:', error);
@@ -568,25 +1416,49 @@ router.post('/:id/admin-register', protect, authorize('admin'), async (req, res)
             });
         }
 
-        // Register user
-        await event.registerUser(userId);
+        if (isPaymentUnavailable(event)) {
+            return res.status(503).json({
+                success: false,
+                message: PAYMENTS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        // Register user (capacity still applies, so they may be waitlisted)
+        const result = await event.registerUser(userId);
+        if (!result) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is already registered for this event'
+            });
+        }
 
         // Add event to user's registered events
         await User.findByIdAndUpdate(userId, {
             $push: {
                 registeredEvents: {
                     event: event._id,
-                    status: 'confirmed' // Admin registrations are automatically confirmed
+                    status: result.status
                 }
             }
         });
 
+        // Paid events hold the seat until the user pays, exactly as when they register themselves.
+        // The payment is theirs to complete, so it is listed under their payments rather than returned here.
+        if (result.status === 'pending') {
+            await createPaymentForParticipant(result.event, result.event.getUserRegistration(userId), userId);
+        }
+
+        let message = 'User registered for event successfully';
+        if (result.status === 'waitlisted') message = 'Event is full. User has been added to the waitlist';
+        if (result.status === 'pending') message = 'Seat reserved. The user must complete the payment to confirm the registration';
+
         res.json({
             success: true,
-            message: 'User registered for event successfully',
+            message,
             data: {
                 eventId: event._id,
-                userId: userId
+                userId: userId,
+                status: result.status
             }
         });
     } catch (error) {
@@ -621,11 +1493,11 @@ router.put('/:id/participants/:participantId/status', protect, async (req, res)
             });
         }
 
-        // Check if user is the organizer
-        if (event.organizer.user.toString() !== req.user.id.toString()) {
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'participants:manage')) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only event organizer can update participant status.'
+                message: 'Access denied. Only event organizers can update participant status.'
             });
         }
 
@@ -638,24 +1510,31 @@ router.put('/:id/participants/:participantId/status', protect, async (req, res)
             });
         }
 
-        participant.status = status;
-        await event.save();
+        // Update atomically so the seat count stays correct; cancelling frees a seat for the waitlist
+        const result = await applyParticipantStatus(event, participant, status, 'Registration cancelled by organizer');
+        if (!result) {
+            return res.status(409).json({
+                success: false,
+                message: 'Participant was updated concurrently. Please retry.'
+            });
+        }
 
-        // Also update in user's registered events
-        await User.updateOne(
-            {
-                _id: participant.user,
-                'registeredEvents.event': eventId
-            },
-            {
-                $set: { 'registeredEvents.$.status': status }
-            }
-        );
+        if (result.full) {
+            return res.status(400).json({
+                success: false,
+                message: 'Event is full. Free a seat before moving this participant off the waitlist.'
+            });
+        }
+
+        await notifyPromotedParticipants(event, result.promoted);
 
         res.json({
             success: true,
             message: 'Participant status updated successfully',
-            data: { participant }
+            data: {
+                participant: result.participant,
+                promotedFromWaitlist: result.promoted.length
+            }
         });
     } catch (error) {
         console.error('Update participant status error:', error);
@@ -666,6 +1545,175 @@ router.put('/:id/participants/:participantId/status', protect, async (req, res)
     }
 });
 
+// @route   POST /api/events/:id/participants/bulk
+// @desc    Apply a status action and/or send an email to a selection of participants (event organizer only)
+// @access  Private
+router.post('/:id/participants/bulk', protect, [
+    body('action').optional().isIn(Object.keys(BULK_ACTIONS)).withMessage(`Action must be one of: ${Object.keys(BULK_ACTIONS).join(', ')}`),
+    body('participantIds').optional().isArray({ min: 1, max: 1000 }).withMessage('participantIds must list between 1 and 1000 participants'),
+    body('participantIds.*').optional().isMongoId().withMessage('Invalid participant id'),
+    body('filter').optional().isObject(),
+    body('filter.status').optional().isArray(),
+    body('filter.checkedIn').optional().isBoolean(),
+    body('filter.paymentStatus').optional().isIn(['pending', 'paid', 'failed', 'refunded']),
+    body('email').optional().isObject(),
+    body('email.subject').if(body('email').exists()).trim().isLength({ min: 3, max: 150 }).withMessage('Email subject must be between 3 and 150 characters'),
+    body('email.message').if(body('email').exists()).trim().isLength({ min: 10, max: 5000 }).withMessage('Email message must be between 10 and 5000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { action, participantIds, filter, email } = req.body;
+
+        if (!action && !email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Provide an action, an email, or both'
+            });
+        }
+
+        if (!participantIds && !filter) {
+            return res.status(400).json({
+                success: false,
+                message: 'Select participants with participantIds or a filter ({} selects everyone)'
+            });
+        }
+
+        let event = await Event.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'participants:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can update participants.'
+            });
+        }
+
+        const results = [];
+        let selected = event.participants;
+
+        if (participantIds) {
+            const ids = [...new Set(participantIds.map(String))];
+            ids.filter(id => !event.participants.id(id)).forEach(id => {
+                results.push({ participantId: id, outcome: 'skipped', reason: 'Participant not found' });
+            });
+            selected = ids.map(id => event.participants.id(id)).filter(Boolean);
+        }
+
+        if (filter) {
+            selected = selected.filter(p =>
+                (!filter.status || filter.status.includes(p.status)) &&
+                (filter.checkedIn === undefined || p.checkedIn === filter.checkedIn) &&
+                (!filter.paymentStatus || p.paymentStatus === filter.paymentStatus)
+            );
+        }
+
+        const bulkAction = action && BULK_ACTIONS[action];
+        const promoted = [];
+
+        for (const { _id: participantId } of selected) {
+            // Re-read from the latest copy: earlier cancellations may have promoted this participant
+            const participant = event.participants.id(participantId);
+            const report = {
+                participantId,
+                user: participant.user,
+                previousStatus: participant.status,
+                status: participant.status,
+                outcome: 'skipped'
+            };
+
+            try {
+                if (bulkAction) {
+                    if (participant.status === bulkAction.status) {
+                        report.reason = `Already ${bulkAction.status}`;
+                    } else if (!bulkAction.from.includes(participant.status)) {
+                        report.reason = `Cannot ${action} a ${participant.status} participant`;
+                    } else if (action === 'confirm' && participant.status === 'pending' && participant.paymentStatus !== 'paid') {
+                        report.reason = 'Payment has not been completed';
+                    } else {
+                        const result = await applyParticipantStatus(event, participant, bulkAction.status, bulkAction.reason);
+
+                        if (!result) {
+                            report.outcome = 'failed';
+                            report.reason = 'Participant was updated concurrently';
+                        } else if (result.full) {
+                            report.reason = 'Event is full';
+                        } else {
+                            report.outcome = 'updated';
+                            report.status = bulkAction.status;
+                            if (result.promoted.length) {
+                                promoted.push(...result.promoted);
+                                event = await Event.findById(event._id);
+                            }
+                        }
+                    }
+                }
+
+                // With an action only the affected participants are emailed; on its own the email is a broadcast
+                if (email && (!bulkAction || report.outcome === 'updated')) {
+                    const userIds = await getParticipantUserIds(participant);
+                    const users = await User.find({ _id: { $in: userIds } }).select('name email');
+
+                    report.emailed = 0;
+                    for (const user of users) {
+                        const sent = await sendOrganizerMessageEmail(user.email, user.name, event, email, report.status);
+                        if (sent) report.emailed += 1;
+                    }
+                    if (!bulkAction) report.outcome = 'emailed';
+                }
+            } catch (error) {
+                console.error('Bulk participant action error:', error);
+                report.outcome = 'failed';
+                report.reason = 'Unexpected error';
+            }
+
+            results.push(report);
+        }
+
+        // Only announce promotions that the bulk action itself didn't undo
+        const latest = await Event.findById(event._id);
+        const stillPromoted = promoted.filter(p => {
+            const current = latest.participants.id(p._id);
+            return current && current.status === p.status;
+        });
+        await notifyPromotedParticipants(latest, stillPromoted);
+
+        const summary = results.reduce((counts, r) => {
+            counts[r.outcome] = (counts[r.outcome] || 0) + 1;
+            return counts;
+        }, { selected: selected.length });
+
+        res.json({
+            success: true,
+            message: 'Bulk action completed',
+            data: {
+                summary,
+                results,
+                promotedFromWaitlist: stillPromoted.length
+            }
+        });
+    } catch (error) {
+        console.error('Bulk participant update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating participants'
+        });
+    }
+});
+
 // @route   GET /api/events/:id/participants
 // @desc    Get event participants (event organizer only)
 // @access  Private
@@ -681,19 +1729,37 @@ router.get('/:id/participants', protect, async (req, res) => {
             });
         }
 
-        // Check if user is the organizer
-        if (event.organizer.user.toString() !== req.user.id.toString()) {
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'participants:view')) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only event organizer can view participants.'
+                message: 'Access denied. Only event organizers can view participants.'
             });
         }
 
+        const teams = await Team.find({ event: event._id, status: { $ne: 'disbanded' } })
+            .populate('captain', 'name email avatar')
+            .populate('members.user', 'name email avatar profile')
+            .sort({ createdAt: 1 });
+
         res.json({
             success: true,
             data: {
-                participants: event.participants,
-                totalParticipants: event.participants.length,
+                participants: event.participants.filter(p => p.status !== 'waitlisted'),
+                teams: teams.map(team => {
+                    const participant = event.participants.find(p => p.team && p.team.equals(team._id));
+                    return {
+                        _id: team._id,
+                        name: team.name,
+                        captain: team.captain,
+                        status: team.status,
+                        registrationStatus: participant ? participant.status : null,
+                        size: team.acceptedMembers.length,
+                        members: team.members
+                    };
+                }),
+                waitlist: event.waitlist,
+                totalParticipants: event.registration.currentParticipants,
                 maxParticipants: event.registration.maxParticipants
             }
         });
@@ -706,10 +1772,10 @@ router.get('/:id/participants', protect, async (req, res) => {
     }
 });
 
-// @route   GET /api/events/:id/analytics
-// @desc    Get event analytics (event organizer only)
+// @route   GET /api/events/:id/participants/answers
+// @desc    Get every participant's registration form answers (event owner and co-organizers)
 // @access  Private
-router.get('/:id/analytics', protect, async (req, res) => {
+router.get('/:id/participants/answers', protect, async (req, res) => {
     try {
         const event = await Event.findById(req.params.id)
             .populate('participants.user', 'name email');
@@ -721,21 +1787,136 @@ router.get('/:id/analytics', protect, async (req, res) => {
             });
         }
 
-        // Check if user is the organizer
-        if (event.organizer.user.toString() !== req.user.id.toString()) {
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'participants:view')) {
             return res.status(403).json({
                 success: false,
-                message: 'Access denied. Only event organizer can view analytics.'
+                message: 'Access denied. Only the event owner and co-organizers can view registration answers.'
             });
         }
 
-        // Calculate analytics
+        const participants = event.participants.filter(p => p.status !== 'cancelled');
+        const fileUrls = await getAnswerFileUrls(event.registrationForm, participants);
+
+        const responses = participants
+            .map(participant => ({
+                participantId: participant._id,
+                user: participant.user,
+                teamName: participant.teamName,
+                status: participant.status,
+                registeredAt: participant.registeredAt,
+                answers: getParticipantAnswers(event.registrationForm, participant, fileUrls)
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                form: event.registrationForm,
+                responses
+            }
+        });
+    } catch (error) {
+        console.error('Get registration answers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching registration answers'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/participants/export
+// @desc    Download participants as CSV or XLSX (event organizer or admin)
+// @access  Private
+router.get('/:id/participants/export', protect, [
+    query('format').optional().isIn(['csv', 'xlsx']).withMessage('Format must be csv or xlsx'),
+    query('columns').optional().isString(),
+    query('status').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id).select('-participants');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Same rule as GET /api/events/:id: only organizers and admins see participant details
+        const isOrganizer = event.hasPermission(req.user.id, 'participants:view');
+        if (!isOrganizer && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can export participants.'
+            });
+        }
+
+        let columns;
+        try {
+            columns = resolveColumns(event, req.query.columns);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        await streamParticipantExport(res, event, {
+            format: req.query.format || 'csv',
+            columns,
+            statuses: req.query.status ? req.query.status.split(',').map(status => status.trim()) : null
+        });
+    } catch (error) {
+        console.error('Export participants error:', error);
+        // Once streaming has started the only option is to abort the download
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while exporting participants'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/analytics
+// @desc    Get event analytics (event organizer only)
+// @access  Private
+router.get('/:id/analytics', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id)
+            .populate('participants.user', 'name email');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check the user's event team permissions
+        if (!event.hasPermission(req.user.id, 'analytics:view')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view analytics.'
+            });
+        }
+
+        // Calculate analytics
         const participants = event.participants;
         const statusCounts = {
             registered: 0,
             confirmed: 0,
             attended: 0,
-            cancelled: 0
+            cancelled: 0,
+            waitlisted: 0
         };
 
         const dailyRegistrations = {};
@@ -762,20 +1943,46 @@ router.get('/:id/analytics', protect, async (req, res) => {
             });
         }
 
+        // Revenue from settled payments, net of refunds
+        const revenue = await Payment.getEventRevenue(event._id);
+
+        // Live check-in counts
+        const ticketed = participants.filter(p => TICKETED_STATUSES.includes(p.status));
+        const checkedIn = ticketed.filter(p => p.checkedIn);
+        const lastCheckIn = checkedIn.reduce(
+            (latest, p) => (!latest || p.checkedInAt > latest ? p.checkedInAt : latest),
+            null
+        );
+
         const analytics = {
             totalRegistrations: participants.length,
             confirmedParticipants: statusCounts.confirmed,
             attendedParticipants: statusCounts.attended,
             cancelledRegistrations: statusCounts.cancelled,
+            waitlistedRegistrations: statusCounts.waitlisted,
             registrationTrend: last7Days,
             statusDistribution: statusCounts,
             dailyRegistrations,
             views: event.views || 0,
-            revenue: (event.registration?.fee || 0) * participants.length,
+            checkIn: {
+                checkedIn: checkedIn.length,
+                expected: ticketed.length,
+                rate: ticketed.length ? (checkedIn.length / ticketed.length) * 100 : 0,
+                lastCheckInAt: lastCheckIn
+            },
+            revenue: revenue.net,
+            revenueBreakdown: revenue,
             capacityUtilization: event.registration?.maxParticipants ?
-                (participants.length / event.registration.maxParticipants) * 100 : null
+                (event.registration.currentParticipants / event.registration.maxParticipants) * 100 : null
         };
 
+        analytics.feedback = await getFeedbackSummary(event);
+
+        if (event.category === 'quiz') {
+            const quiz = await Quiz.findOne({ event: event._id });
+            analytics.quiz = quiz ? await getQuizAnalytics(quiz) : null;
+        }
+
         res.json({
             success: true,
             data: { analytics }
@@ -789,4 +1996,659 @@ router.get('/:id/analytics', protect, async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+// @route   POST /api/events/:id/payment
+// @desc    Start (or restart) payment for a seat held as pending
+// @access  Private
+router.post('/:id/payment', protect, async (req, res) => {
+    try {
+        await releaseExpiredPaymentHolds(req.params.id);
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Team registrations are paid for by the captain, who holds the participant entry
+        const participant = event.participants.find(p => p.user.toString() === req.user.id.toString());
+        if (!participant) {
+            return res.status(404).json({
+                success: false,
+                message: 'You do not have a registration awaiting payment for this event'
+            });
+        }
+
+        if (participant.status !== 'pending' || participant.paymentStatus === 'paid') {
+            return res.status(400).json({
+                success: false,
+                message: 'This registration does not require payment'
+            });
+        }
+
+        if (isPaymentUnavailable(event)) {
+            return res.status(503).json({
+                success: false,
+                message: PAYMENTS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        const payment = await createPaymentForParticipant(event, participant, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Payment created. Complete it before the seat hold expires',
+            data: { payment }
+        });
+    } catch (error) {
+        console.error('Create payment error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating payment'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/ticket
+// @desc    Get the current user's signed ticket for an event
+// @access  Private
+router.get('/:id/ticket', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const registration = await findTicketedRegistration(event, req.user.id);
+        if (!registration.participant) {
+            return res.status(registration.status).json({
+                success: false,
+                message: registration.message
+            });
+        }
+
+        const { participant } = registration;
+
+        res.json({
+            success: true,
+            data: {
+                ticket: {
+                    token: generateTicketToken(event, participant),
+                    eventId: event._id,
+                    eventTitle: event.title,
+                    participantId: participant._id,
+                    teamName: participant.teamName,
+                    status: participant.status,
+                    checkedIn: participant.checkedIn,
+                    checkedInAt: participant.checkedInAt,
+                    qrCodeUrl: `/api/events/${event._id}/ticket/qr`
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get ticket error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching ticket'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/ticket/qr
+// @desc    Get the current user's ticket rendered as a QR code (PNG or SVG)
+// @access  Private
+router.get('/:id/ticket/qr', protect, [
+    query('format').optional().isIn(['png', 'svg']).withMessage('Format must be png or svg')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid query parameters',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const registration = await findTicketedRegistration(event, req.user.id);
+        if (!registration.participant) {
+            return res.status(registration.status).json({
+                success: false,
+                message: registration.message
+            });
+        }
+
+        const format = req.query.format || 'png';
+        const token = generateTicketToken(event, registration.participant);
+        const qr = await renderTicketQr(token, format);
+
+        res.set('Content-Type', format === 'svg' ? 'image/svg+xml' : 'image/png');
+        res.set('Cache-Control', 'private, no-store');
+        res.send(qr);
+    } catch (error) {
+        console.error('Get ticket QR error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating ticket QR code'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/certificate
+// @desc    Configure certificates: enable them, upload a template (multipart "template") and place merge fields
+// @access  Private (Only event organizer)
+router.put('/:id/certificate', protect, certificateTemplateUpload, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'certificates:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can configure certificates.'
+            });
+        }
+
+        // Multipart requests send every value as a string
+        if (req.body.enabled !== undefined) {
+            event.certificate.enabled = req.body.enabled === true || req.body.enabled === 'true';
+        }
+
+        if (req.body.fields !== undefined) {
+            let fields = req.body.fields;
+            if (typeof fields === 'string') {
+                try {
+                    fields = JSON.parse(fields);
+                } catch (error) {
+                    fields = null;
+                }
+            }
+            if (!Array.isArray(fields)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Certificate fields must be a list'
+                });
+            }
+            event.certificate.fields = fields;
+        }
+
+        if (req.file) {
+            event.certificate.template = await uploadCertificateTemplate(event._id, req.file);
+        } else if (req.body.removeTemplate === true || req.body.removeTemplate === 'true') {
+            event.certificate.template = undefined;
+        }
+
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Certificate settings updated successfully',
+            data: { certificate: event.certificate }
+        });
+    } catch (error) {
+        console.error('Update certificate settings error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating certificate settings'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/prizes/:prizeId/winners
+// @desc    Set the participant entries that won a prize
+// @access  Private (Only event organizer)
+router.put('/:id/prizes/:prizeId/winners', protect, [
+    body('participantIds').isArray().withMessage('participantIds must be a list'),
+    body('participantIds.*').isMongoId().withMessage('Invalid participant id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'judging:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can award prizes.'
+            });
+        }
+
+        const prize = event.prizes.id(req.params.prizeId);
+        if (!prize) {
+            return res.status(404).json({
+                success: false,
+                message: 'Prize not found'
+            });
+        }
+
+        // Only participants with a confirmed seat can win
+        const winners = [...new Set(req.body.participantIds.map(String))];
+        const invalid = winners.filter(id => {
+            const participant = event.participants.id(id);
+            return !participant || !TICKETED_STATUSES.includes(participant.status);
+        });
+        if (invalid.length) {
+            return res.status(400).json({
+                success: false,
+                message: `Not confirmed participants of this event: ${invalid.join(', ')}`
+            });
+        }
+
+        prize.winners = winners;
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Prize winners updated successfully',
+            data: { prize }
+        });
+    } catch (error) {
+        console.error('Update prize winners error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating prize winners'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/certificate
+// @desc    Download the current user's certificate as a PDF (?type=participation|winner&position=)
+// @access  Private
+router.get('/:id/certificate', protect, [
+    query('type').optional().isIn(['participation', 'winner']),
+    query('position').optional().isString()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.certificate.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Certificates are not available for this event'
+            });
+        }
+
+        const team = await Team.findActiveForUser(event._id, req.user.id);
+        const participant = event.getUserRegistration(req.user.id, team);
+        if (!participant) {
+            return res.status(404).json({
+                success: false,
+                message: 'You are not registered for this event'
+            });
+        }
+
+        const certificates = (await issueCertificates(event, participant))
+            .filter(c => c.user.toString() === req.user.id.toString());
+
+        const matching = certificates.filter(c =>
+            (!req.query.type || c.type === req.query.type) &&
+            (!req.query.position || c.position === req.query.position)
+        );
+
+        // Winner certificates take precedence unless a type is asked for
+        const certificate = matching.find(c => c.type === 'winner') || matching[0];
+
+        if (!certificate) {
+            return res.status(404).json({
+                success: false,
+                message: 'No certificate available yet. Certificates are issued to attendees and prize winners.'
+            });
+        }
+
+        if (certificate.revokedAt) {
+            return res.status(410).json({
+                success: false,
+                message: 'This certificate has been revoked'
+            });
+        }
+
+        const pdf = await renderCertificatePdf(event, certificate, getVerifyUrl(req, certificate.certificateId));
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.certificateId}.pdf"`);
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.send(pdf);
+    } catch (error) {
+        console.error('Get certificate error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating certificate'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/certificates
+// @desc    List certificates issued for an event
+// @access  Private (Only event organizer)
+router.get('/:id/certificates', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).select('organizer staff');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'certificates:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view certificates.'
+            });
+        }
+
+        const certificates = await Certificate.find({ event: event._id })
+            .populate('user', 'name email')
+            .sort({ type: -1, issuedAt: 1 });
+
+        res.json({
+            success: true,
+            data: { certificates }
+        });
+    } catch (error) {
+        console.error('Get event certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching certificates'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/certificates/issue
+// @desc    Issue certificates to every attendee and prize winner now
+// @access  Private (Only event organizer)
+router.post('/:id/certificates/issue', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'certificates:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can issue certificates.'
+            });
+        }
+
+        if (!event.certificate.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Enable certificates for this event first'
+            });
+        }
+
+        const issued = await issueEventCertificates(event);
+
+        res.json({
+            success: true,
+            message: 'Certificates issued successfully',
+            data: { issued }
+        });
+    } catch (error) {
+        console.error('Issue certificates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while issuing certificates'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/check-in
+// @desc    Check in a participant by scanning their ticket (event organizer or admin)
+// @access  Private
+router.post('/:id/check-in', protect, [
+    body('token').notEmpty().withMessage('Ticket token is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check if user is on the check-in staff or an admin
+        if (!event.hasPermission(req.user.id, 'check-in') && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event check-in staff or admin can check in participants.'
+            });
+        }
+
+        let ticket;
+        try {
+            ticket = verifyTicketToken(req.body.token);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        if (ticket.eventId !== event._id.toString()) {
+            return res.status(400).json({
+                success: false,
+                message: 'This ticket is for a different event'
+            });
+        }
+
+        const result = await event.checkInParticipant(ticket.participantId, req.user.id);
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                message: 'Registration not found or no longer valid for check-in'
+            });
+        }
+
+        const attendee = await User.findById(result.participant.user).select('name email avatar');
+
+        if (result.duplicate) {
+            return res.status(409).json({
+                success: false,
+                message: 'Ticket has already been scanned',
+                data: {
+                    duplicate: true,
+                    attendee,
+                    teamName: result.participant.teamName,
+                    checkedInAt: result.participant.checkedInAt
+                }
+            });
+        }
+
+        await syncRegisteredEventStatus(event._id, result.participant, 'attended');
+
+        const ticketed = result.event.participants.filter(p => TICKETED_STATUSES.includes(p.status));
+
+        res.json({
+            success: true,
+            message: 'Checked in successfully',
+            data: {
+                duplicate: false,
+                attendee,
+                teamName: result.participant.teamName,
+                teamSize: result.participant.teamSize,
+                checkedInAt: result.participant.checkedInAt,
+                counts: {
+                    checkedIn: ticketed.filter(p => p.checkedIn).length,
+                    expected: ticketed.length
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Check-in error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking in participant'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/check-in
+// @desc    Look up ticketed attendees by name for the door: name, team and check-in state only
+// @access  Private (event check-in staff or admin)
+router.get('/:id/check-in', protect, [
+    query('q').optional().trim().isLength({ max: 100 }).withMessage('Search cannot be more than 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id)
+            .select('organizer staff participants')
+            .populate('participants.user', 'name avatar');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        // Check if user is on the check-in staff or an admin
+        if (!event.hasPermission(req.user.id, 'check-in:lookup') && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event check-in staff or admin can look up attendees.'
+            });
+        }
+
+        const search = (req.query.q || '').toLowerCase();
+        const ticketed = event.participants.filter(p => TICKETED_STATUSES.includes(p.status));
+        const attendees = ticketed
+            .filter(p => !search ||
+                (p.user?.name || '').toLowerCase().includes(search) ||
+                (p.teamName || '').toLowerCase().includes(search))
+            .map(p => ({
+                _id: p._id,
+                name: p.user?.name,
+                avatar: p.user?.avatar,
+                teamName: p.teamName,
+                teamSize: p.teamSize,
+                checkedIn: p.checkedIn,
+                checkedInAt: p.checkedInAt
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                attendees,
+                counts: {
+                    checkedIn: ticketed.filter(p => p.checkedIn).length,
+                    expected: ticketed.length
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Check-in lookup error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while looking up attendees'
+        });
+    }
+});
+
+module.exports = router;
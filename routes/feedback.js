@@ -0,0 +1,230 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const Feedback = require('../models/Feedback');
+const { protect } = require('../middleware/auth');
+const { validateSurveyAnswers } = require('../utils/feedbackService');
+
+// Mounted at /api/events/:id/feedback
+const router = express.Router({ mergeParams: true });
+
+const hasEnded = (event) => event.status === 'completed' || new Date() >= event.dateTime.end;
+
+// The attended participant entry (the user's own or their team's) that entitles them to give feedback
+const findAttendedEntry = async (event, userId) => {
+    const team = await Team.findActiveForUser(event._id, userId);
+    const participant = event.getUserRegistration(userId, team);
+    return participant && participant.status === 'attended' ? participant : null;
+};
+
+// @route   GET /api/events/:id/feedback/mine
+// @desc    Get the feedback survey, whether the user can answer it and their existing feedback
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const participant = await findAttendedEntry(event, req.user.id);
+        const feedback = await Feedback.findOne({ event: event._id, user: req.user.id });
+
+        res.json({
+            success: true,
+            data: {
+                survey: event.feedbackSurvey,
+                canSubmit: Boolean(participant) && hasEnded(event),
+                feedback
+            }
+        });
+    } catch (error) {
+        console.error('Get my feedback error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching feedback'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/feedback
+// @desc    Submit (or update) feedback for an event the user attended
+// @access  Private (attendees)
+router.put('/', protect, [
+    body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+    body('recommendScore').optional({ nullable: true }).isInt({ min: 0, max: 10 }).withMessage('Recommendation score must be from 0 to 10'),
+    body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters'),
+    body('answers').optional().isObject().withMessage('Answers must be an object keyed by question')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const participant = await findAttendedEntry(event, req.user.id);
+        if (!participant) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only attendees can give feedback on this event'
+            });
+        }
+
+        if (!hasEnded(event)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Feedback opens once the event has ended'
+            });
+        }
+
+        const { answers, errors: surveyErrors } = validateSurveyAnswers(event.feedbackSurvey, req.body.answers);
+        if (surveyErrors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: surveyErrors
+            });
+        }
+
+        const update = {
+            $set: {
+                organizer: event.organizer.user,
+                participant: participant._id,
+                rating: req.body.rating,
+                comment: req.body.comment,
+                answers
+            }
+        };
+        // The recommendation question is optional; clearing it removes the answer from NPS
+        if (req.body.recommendScore === undefined || req.body.recommendScore === null) {
+            update.$unset = { recommendScore: 1 };
+        } else {
+            update.$set.recommendScore = req.body.recommendScore;
+        }
+
+        const feedback = await Feedback.findOneAndUpdate(
+            { event: event._id, user: req.user.id },
+            update,
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.json({
+            success: true,
+            message: 'Thank you for your feedback',
+            data: { feedback }
+        });
+    } catch (error) {
+        console.error('Submit feedback error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting feedback'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/feedback
+// @desc    Get individual feedback responses (aggregates are in the analytics route)
+// @access  Private (event owner and co-organizers)
+router.get('/', protect, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('rating').optional().isInt({ min: 1, max: 5 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id).select('organizer.user staff');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'feedback:view')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view feedback.'
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { event: event._id };
+        if (req.query.rating) filter.rating = parseInt(req.query.rating);
+
+        const feedback = await Feedback.find(filter)
+            .populate('user', 'name avatar')
+            .sort({ updatedAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Feedback.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                feedback,
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get feedback error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching feedback'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const EventRevision = require('../models/EventRevision');
+const { protect } = require('../middleware/auth');
+const { revertEvent } = require('../utils/eventHistory');
+
+// Mounted at /api/events/:id/history
+const router = express.Router({ mergeParams: true });
+
+// Load the event if the user may see its history (owner, co-organizers and admins)
+const loadEvent = async (req, res) => {
+    const event = await Event.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    if (!event.hasPermission(req.user.id, 'event:edit') && req.user.role !== 'admin') {
+        res.status(403).json({
+            success: false,
+            message: 'Access denied. Only event organizers and admins can view the change history.'
+        });
+        return null;
+    }
+
+    return event;
+};
+
+// @route   GET /api/events/:id/history
+// @desc    Get an event's change history, newest first
+// @access  Private (event owner, co-organizers and admins)
+router.get('/', protect, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+        const filter = { event: event._id };
+
+        const revisions = await EventRevision.find(filter)
+            .populate('editor', 'name avatar')
+            .sort({ version: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await EventRevision.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                revisions,
+                createdAt: event.createdAt,
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get event history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching change history'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/history/:version
+// @desc    Get a single revision
+// @access  Private (event owner, co-organizers and admins)
+router.get('/:version', protect, [
+    param('version').isInt({ min: 1 }).withMessage('Version must be a positive whole number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        const revision = await EventRevision.findOne({ event: event._id, version: parseInt(req.params.version) })
+            .populate('editor', 'name avatar');
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: 'Revision not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { revision }
+        });
+    } catch (error) {
+        console.error('Get event revision error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching revision'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/history/:version/revert
+// @desc    Restore the event to how it was at a version (0 is as created)
+// @access  Private (event owner, co-organizers and admins)
+router.post('/:version/revert', protect, [
+    param('version').isInt({ min: 0 }).withMessage('Version must be a whole number')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        const version = parseInt(req.params.version);
+        const { event: reverted, revision, error } = await revertEvent(event, version, req.user.id);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Event restored to version ${version}`,
+            data: { event: reverted, revision }
+        });
+    } catch (error) {
+        console.error('Revert event error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while reverting event'
+        });
+    }
+});
+
+module.exports = router;
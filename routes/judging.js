@@ -0,0 +1,823 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { getExtension, uploadFile, removeFiles } = require('../utils/fileStorage');
+
+// Mounted at /api/events/:id/judging
+const router = express.Router({ mergeParams: true });
+
+const SUBMISSION_BUCKET = 'submission-files';
+const MAX_ATTACHMENTS = 5;
+
+// Participant statuses whose holders may submit a project
+const SUBMITTING_STATUSES = ['registered', 'confirmed', 'attended'];
+
+// Configure Multer for submission attachments
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 20 * 1024 * 1024, // 20MB
+        files: MAX_ATTACHMENTS
+    }
+}).array('attachments', MAX_ATTACHMENTS);
+
+const attachmentUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE' ? 'Attachments cannot be larger than 20MB' : error.message
+        });
+    });
+};
+
+// Load a hackathon for the judging routes. Sends the error response itself and
+// resolves to null when the event doesn't exist or isn't a hackathon.
+const loadHackathon = async (req, res) => {
+    const event = await Event.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    if (event.category !== 'hackathon') {
+        res.status(400).json({
+            success: false,
+            message: 'Project submissions are only available for hackathons'
+        });
+        return null;
+    }
+
+    return event;
+};
+
+// Owners and co-organizers run judging
+const canManageJudging = (event, userId) => event.hasPermission(userId, 'judging:manage');
+
+// The current user's participant entry (their own or their team's), if it may submit
+const findSubmittingEntry = async (event, userId) => {
+    const team = await Team.findActiveForUser(event._id, userId);
+    const participant = event.getUserRegistration(userId, team);
+    if (!participant || !SUBMITTING_STATUSES.includes(participant.status)) return null;
+    return participant;
+};
+
+// Rankings from the submitted projects' average judge scores; equal scores share a rank
+const buildRankings = (event, submissions) => {
+    const judgeIds = event.getJudgeIds();
+
+    const rows = submissions.map(submission => ({
+        submissionId: submission._id,
+        participantId: submission.participant,
+        title: submission.title,
+        team: submission.team,
+        submittedBy: submission.submittedBy,
+        averageScore: submission.averageScore,
+        judgeCount: submission.scores.length,
+        pendingJudges: judgeIds.filter(judgeId => !submission.getJudgeScore(judgeId)).length,
+        criteria: event.judging.rubric.map(criterion => {
+            const scores = submission.scores
+                .map(s => s.criteria.find(c => c.criterion.toString() === criterion._id.toString()))
+                .filter(Boolean)
+                .map(c => c.score);
+            return {
+                criterion: criterion._id,
+                name: criterion.name,
+                maxScore: criterion.maxScore,
+                average: scores.length
+                    ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100
+                    : null
+            };
+        })
+    }));
+
+    rows.sort((a, b) => ((b.averageScore ?? -1) - (a.averageScore ?? -1)) || (b.judgeCount - a.judgeCount));
+
+    rows.forEach((row, index) => {
+        const previous = rows[index - 1];
+        row.rank = previous && previous.averageScore === row.averageScore ? previous.rank : index + 1;
+    });
+
+    return rows;
+};
+
+// @route   PUT /api/events/:id/judging
+// @desc    Set the submission deadline and scoring rubric
+// @access  Private (event owner and co-organizers)
+router.put('/', protect, [
+    body('submissionDeadline').optional({ nullable: true }).isISO8601().withMessage('Invalid submission deadline format'),
+    body('rubric').optional().isArray({ min: 1, max: 20 }).withMessage('Rubric must have between 1 and 20 criteria'),
+    body('rubric.*.name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Criterion name must be between 2 and 100 characters'),
+    body('rubric.*.maxScore').optional().isInt({ min: 1, max: 100 }).withMessage('Criterion max score must be between 1 and 100'),
+    body('rubric.*.weight').optional().isFloat({ min: 0 }).withMessage('Criterion weight cannot be negative')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!canManageJudging(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can configure judging.'
+            });
+        }
+
+        if (req.body.submissionDeadline !== undefined) {
+            event.judging.submissionDeadline = req.body.submissionDeadline || undefined;
+        }
+
+        if (req.body.rubric !== undefined) {
+            // Changing the rubric would invalidate scores already given
+            const scored = await Submission.exists({ event: event._id, 'scores.0': { $exists: true } });
+            if (scored) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The rubric cannot be changed after judges have started scoring'
+                });
+            }
+            event.judging.rubric = req.body.rubric;
+        }
+
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Judging settings updated successfully',
+            data: {
+                judging: event.judging,
+                submissionDeadline: event.submissionDeadline
+            }
+        });
+    } catch (error) {
+        console.error('Update judging settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating judging settings'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/judging/judges
+// @desc    Invite a registered user to judge by email
+// @access  Private (event owner and co-organizers)
+router.post('/judges', protect, [
+    body('email').isEmail().normalizeEmail().withMessage('A valid email is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!canManageJudging(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can invite judges.'
+            });
+        }
+
+        const judge = await User.findOne({ email: req.body.email, isActive: true }).select('name email');
+        if (!judge) {
+            return res.status(404).json({
+                success: false,
+                message: 'No active user with this email. Judges need a LiftupLabs account.'
+            });
+        }
+
+        if (await findSubmittingEntry(event, judge._id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Participants cannot judge the event they take part in'
+            });
+        }
+
+        if (event.judging.judges.some(j => j.user.toString() === judge._id.toString())) {
+            return res.status(400).json({
+                success: false,
+                message: 'This user has already been invited'
+            });
+        }
+
+        event.judging.judges.push({ user: judge._id });
+        await event.save();
+
+        await Notification.create({
+            user: judge._id,
+            type: 'judge-invitation',
+            title: `You're invited to judge ${event.title}`,
+            message: `${req.user.name} invited you to judge project submissions.`,
+            link: `/events/${event._id}/judging`,
+            event: event._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Judge invited successfully',
+            data: { judges: event.judging.judges }
+        });
+    } catch (error) {
+        console.error('Invite judge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while inviting judge'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/judging/judges/accept
+// @desc    Accept an invitation to judge
+// @access  Private (invited judge)
+router.post('/judges/accept', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        const invitation = event.judging.judges.find(j => j.user.toString() === req.user.id.toString());
+        if (!invitation) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not been invited to judge this event'
+            });
+        }
+
+        if (invitation.status !== 'accepted') {
+            invitation.status = 'accepted';
+            invitation.acceptedAt = new Date();
+            await event.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'You are now a judge for this event'
+        });
+    } catch (error) {
+        console.error('Accept judge invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while accepting invitation'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/judging/judges/:userId
+// @desc    Remove a judge (their scores are discarded)
+// @access  Private (event owner and co-organizers)
+router.delete('/judges/:userId', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!canManageJudging(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can remove judges.'
+            });
+        }
+
+        const judge = event.judging.judges.find(j => j.user.toString() === req.params.userId);
+        if (!judge) {
+            return res.status(404).json({
+                success: false,
+                message: 'Judge not found'
+            });
+        }
+
+        if (event.judging.resultsPublishedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Judges cannot be removed after results are published'
+            });
+        }
+
+        event.judging.judges.pull(judge._id);
+        await event.save();
+
+        await Submission.updateMany(
+            { event: event._id },
+            { $pull: { scores: { judge: req.params.userId } } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Judge removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove judge error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing judge'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/judging/submission
+// @desc    Get the current user's (or their team's) submission
+// @access  Private
+router.get('/submission', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        const participant = await findSubmittingEntry(event, req.user.id);
+        if (!participant) {
+            return res.status(404).json({
+                success: false,
+                message: 'You are not a confirmed participant of this event'
+            });
+        }
+
+        const submission = await Submission.findOne({ event: event._id, participant: participant._id })
+            .select('-scores')
+            .populate('submittedBy', 'name');
+
+        res.json({
+            success: true,
+            data: {
+                submission,
+                submissionDeadline: event.submissionDeadline
+            }
+        });
+    } catch (error) {
+        console.error('Get submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching submission'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/judging/submission
+// @desc    Create or update the project submission (multipart "attachments"); submit: true hands it in
+// @access  Private (confirmed participant or team member)
+router.put('/submission', protect, attachmentUpload, [
+    body('title').optional().trim().isLength({ min: 3, max: 120 }).withMessage('Project title must be between 3 and 120 characters'),
+    body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description cannot exceed 5000 characters'),
+    body('repoUrl').optional({ checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Repository URL must be a valid http(s) URL'),
+    body('demoUrl').optional({ checkFalsy: true }).isURL({ protocols: ['http', 'https'], require_protocol: true }).withMessage('Demo link must be a valid http(s) URL'),
+    body('submit').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        const participant = await findSubmittingEntry(event, req.user.id);
+        if (!participant) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only confirmed participants can submit a project'
+            });
+        }
+
+        if (new Date() > event.submissionDeadline) {
+            return res.status(400).json({
+                success: false,
+                message: 'The submission deadline has passed'
+            });
+        }
+
+        let submission = await Submission.findOne({ event: event._id, participant: participant._id });
+        if (!submission) {
+            if (!req.body.title) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Project title is required'
+                });
+            }
+            submission = new Submission({
+                event: event._id,
+                participant: participant._id,
+                team: participant.team,
+                submittedBy: req.user.id
+            });
+        }
+
+        ['title', 'description', 'repoUrl', 'demoUrl'].forEach(field => {
+            if (req.body[field] !== undefined) submission[field] = req.body[field];
+        });
+
+        const files = req.files || [];
+        if (submission.attachments.length + files.length > MAX_ATTACHMENTS) {
+            return res.status(400).json({
+                success: false,
+                message: `A submission can have at most ${MAX_ATTACHMENTS} attachments`
+            });
+        }
+
+        for (const file of files) {
+            const filePath = `${event._id}/${participant._id}/${Date.now()}-${Math.round(Math.random() * 1E9)}.${getExtension(file)}`;
+            submission.attachments.push(await uploadFile(SUBMISSION_BUCKET, filePath, file));
+        }
+
+        // Multipart requests send every value as a string
+        if (req.body.submit === true || req.body.submit === 'true') {
+            if (!submission.repoUrl && !submission.demoUrl && !submission.attachments.length) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Add a repository URL, a demo link or an attachment before submitting'
+                });
+            }
+            submission.status = 'submitted';
+            submission.submittedAt = new Date();
+            submission.submittedBy = req.user.id;
+        }
+
+        await submission.save();
+
+        const submissionObj = submission.toObject();
+        delete submissionObj.scores;
+
+        res.json({
+            success: true,
+            message: submission.status === 'submitted' ? 'Project submitted successfully' : 'Draft saved',
+            data: { submission: submissionObj }
+        });
+    } catch (error) {
+        console.error('Save submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving submission'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/judging/submission/attachments/:attachmentId
+// @desc    Remove an attachment from the submission
+// @access  Private (confirmed participant or team member)
+router.delete('/submission/attachments/:attachmentId', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        const participant = await findSubmittingEntry(event, req.user.id);
+        const submission = participant &&
+            await Submission.findOne({ event: event._id, participant: participant._id });
+        const attachment = submission && submission.attachments.id(req.params.attachmentId);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        if (new Date() > event.submissionDeadline) {
+            return res.status(400).json({
+                success: false,
+                message: 'The submission deadline has passed'
+            });
+        }
+
+        await removeFiles(SUBMISSION_BUCKET, [attachment.path]);
+        submission.attachments.pull(attachment._id);
+        await submission.save();
+
+        res.json({
+            success: true,
+            message: 'Attachment removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing attachment'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/judging/submissions
+// @desc    Get submitted projects (judges see only their own scores)
+// @access  Private (organizer or accepted judge)
+router.get('/submissions', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        const organizer = canManageJudging(event, req.user.id);
+        if (!organizer && !event.isJudge(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the organizer and judges can view submissions.'
+            });
+        }
+
+        const submissions = await Submission.find({ event: event._id, status: 'submitted' })
+            .populate('team', 'name')
+            .populate('submittedBy', 'name')
+            .populate('scores.judge', 'name')
+            .sort({ submittedAt: 1 });
+
+        res.json({
+            success: true,
+            data: {
+                rubric: event.judging.rubric,
+                submissions: submissions.map(submission => {
+                    const submissionObj = submission.toObject({ virtuals: true });
+                    if (!organizer) {
+                        submissionObj.myScore = submission.getJudgeScore(req.user.id) || null;
+                        delete submissionObj.scores;
+                        delete submissionObj.averageScore;
+                    }
+                    return submissionObj;
+                })
+            }
+        });
+    } catch (error) {
+        console.error('Get submissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching submissions'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/judging/submissions/:submissionId/score
+// @desc    Score a submission against the rubric (replaces the judge's earlier score)
+// @access  Private (accepted judge)
+router.put('/submissions/:submissionId/score', protect, [
+    body('criteria').isArray({ min: 1 }).withMessage('Scores for every rubric criterion are required'),
+    body('criteria.*.criterion').isMongoId().withMessage('Invalid criterion id'),
+    body('criteria.*.score').isFloat({ min: 0 }).withMessage('Scores cannot be negative'),
+    body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot exceed 2000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!event.isJudge(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only judges can score submissions.'
+            });
+        }
+
+        if (event.judging.resultsPublishedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Results have been published; scores are final'
+            });
+        }
+
+        const submission = await Submission.findOne({
+            _id: req.params.submissionId,
+            event: event._id,
+            status: 'submitted'
+        });
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found'
+            });
+        }
+
+        // Every rubric criterion must be scored exactly once, within its range
+        const rubric = event.judging.rubric;
+        const criteria = req.body.criteria;
+        const problems = rubric.flatMap(criterion => {
+            const entries = criteria.filter(c => c.criterion === criterion._id.toString());
+            if (entries.length !== 1) return [`Score "${criterion.name}" exactly once`];
+            if (entries[0].score > criterion.maxScore) return [`"${criterion.name}" is scored out of ${criterion.maxScore}`];
+            return [];
+        });
+        if (criteria.length !== rubric.length) problems.push('Scores must match the rubric criteria');
+
+        if (!rubric.length || problems.length) {
+            return res.status(400).json({
+                success: false,
+                message: rubric.length ? problems.join('. ') : 'The organizer has not set up a rubric yet'
+            });
+        }
+
+        const score = {
+            judge: req.user.id,
+            criteria: criteria.map(c => ({ criterion: c.criterion, score: c.score })),
+            total: Submission.calculateTotal(rubric, criteria),
+            comment: req.body.comment,
+            scoredAt: new Date()
+        };
+
+        const existing = submission.getJudgeScore(req.user.id);
+        if (existing) {
+            existing.set(score);
+        } else {
+            submission.scores.push(score);
+        }
+        await submission.save();
+
+        res.json({
+            success: true,
+            message: 'Score saved successfully',
+            data: { score: submission.getJudgeScore(req.user.id) }
+        });
+    } catch (error) {
+        console.error('Score submission error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving score'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/judging/rankings
+// @desc    Get submissions ranked by average judge score
+// @access  Private (event owner and co-organizers)
+router.get('/rankings', protect, async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!canManageJudging(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view rankings.'
+            });
+        }
+
+        const submissions = await Submission.find({ event: event._id, status: 'submitted' })
+            .populate('team', 'name')
+            .populate('submittedBy', 'name email');
+
+        res.json({
+            success: true,
+            data: {
+                rankings: buildRankings(event, submissions),
+                judges: event.judging.judges,
+                resultsPublishedAt: event.judging.resultsPublishedAt
+            }
+        });
+    } catch (error) {
+        console.error('Get rankings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching rankings'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/judging/results
+// @desc    Award prizes to submissions and publish the results
+// @access  Private (event owner and co-organizers)
+router.post('/results', protect, [
+    body('awards').isArray({ min: 1 }).withMessage('Awards must list at least one prize'),
+    body('awards.*.prizeId').isMongoId().withMessage('Invalid prize id'),
+    body('awards.*.submissionIds').isArray({ min: 1 }).withMessage('Each prize needs at least one submission'),
+    body('awards.*.submissionIds.*').isMongoId().withMessage('Invalid submission id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!canManageJudging(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can publish results.'
+            });
+        }
+
+        const submissionIds = req.body.awards.flatMap(a => a.submissionIds);
+        const submissions = await Submission.find({
+            _id: { $in: submissionIds },
+            event: event._id,
+            status: 'submitted'
+        });
+
+        for (const award of req.body.awards) {
+            const prize = event.prizes.id(award.prizeId);
+            if (!prize) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Prize ${award.prizeId} not found`
+                });
+            }
+
+            const winners = award.submissionIds.map(id => submissions.find(s => s._id.toString() === id));
+            if (winners.some(s => !s)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Prize "${prize.position}" lists a submission that was not handed in for this event`
+                });
+            }
+
+            prize.winners = winners.map(s => s.participant);
+        }
+
+        event.judging.resultsPublishedAt = new Date();
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Results published successfully',
+            data: { prizes: event.prizes }
+        });
+    } catch (error) {
+        console.error('Publish results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while publishing results'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/judging/results
+// @desc    Get published results: prize winners and their projects
+// @access  Public
+router.get('/results', async (req, res) => {
+    try {
+        const event = await loadHackathon(req, res);
+        if (!event) return;
+
+        if (!event.judging.resultsPublishedAt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Results have not been published yet'
+            });
+        }
+
+        const winnerIds = event.prizes.flatMap(prize => prize.winners);
+        const submissions = await Submission.find({ event: event._id, participant: { $in: winnerIds } })
+            .select('participant title description repoUrl demoUrl team submittedBy')
+            .populate('team', 'name')
+            .populate('submittedBy', 'name avatar');
+
+        res.json({
+            success: true,
+            data: {
+                publishedAt: event.judging.resultsPublishedAt,
+                prizes: event.prizes.map(prize => ({
+                    _id: prize._id,
+                    position: prize.position,
+                    amount: prize.amount,
+                    currency: prize.currency,
+                    description: prize.description,
+                    winners: prize.winners
+                        .map(id => submissions.find(s => s.participant.equals(id)))
+                        .filter(Boolean)
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get results error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching results'
+        });
+    }
+});
+
+module.exports = router;
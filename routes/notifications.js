@@ -0,0 +1,171 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const Announcement = require('../models/Announcement');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/notifications
+// @desc    Get current user's notification inbox
+// @access  Private
+router.get('/', protect, [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 50 }),
+    query('unread').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.user.id };
+        if (req.query.unread === 'true') filter.readAt = null;
+
+        const notifications = await Notification.find(filter)
+            .populate('event', 'title image')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Notification.countDocuments(filter);
+        const unreadCount = await Notification.countUnread(req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    current: page,
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching notifications'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark every notification as read
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+    try {
+        const unread = await Notification.find({ user: req.user.id, readAt: null }).select('announcement');
+
+        await Notification.updateMany(
+            { _id: { $in: unread.map(n => n._id) } },
+            { $set: { readAt: new Date() } }
+        );
+
+        // Opening an announcement from the inbox counts as reading it
+        for (const notification of unread.filter(n => n.announcement)) {
+            await Announcement.markRead(notification.announcement, req.user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: { updated: unread.length }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating notifications'
+        });
+    }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', protect, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        if (notification.announcement) {
+            await Announcement.markRead(notification.announcement, req.user.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: { notification }
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating notification'
+        });
+    }
+});
+
+// @route   DELETE /api/notifications/:id
+// @desc    Remove a notification from the inbox
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const result = await Notification.deleteOne({ _id: req.params.id, user: req.user.id });
+
+        if (!result.deletedCount) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete notification error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting notification'
+        });
+    }
+});
+
+module.exports = router;
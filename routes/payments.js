@@ -0,0 +1,127 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Payment = require('../models/Payment');
+const { protect } = require('../middleware/auth');
+const { getPaymentProvider, getPaymentConfigError } = require('../utils/paymentProviders');
+const { handleWebhookEvent } = require('../utils/paymentService');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment provider webhooks
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+    try {
+        const configError = getPaymentConfigError();
+        if (configError) {
+            console.error('Payment webhook refused:', configError);
+            return res.status(503).json({
+                success: false,
+                message: 'Payments are not configured'
+            });
+        }
+
+        const provider = getPaymentProvider();
+
+        let webhook;
+        try {
+            webhook = provider.verifyWebhook(req.rawBody, req.headers[provider.signatureHeader]);
+        } catch (error) {
+            console.error('Webhook verification failed:', error.message);
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        const result = await handleWebhookEvent(webhook);
+
+        // Always acknowledge verified webhooks so the provider stops retrying
+        res.json({
+            success: true,
+            received: true,
+            handled: result.handled
+        });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while processing webhook'
+        });
+    }
+});
+
+// @route   GET /api/payments/my
+// @desc    Get current user's payments
+// @access  Private
+router.get('/my', protect, async (req, res) => {
+    try {
+        const payments = await Payment.find({ user: req.user.id })
+            .populate('event', 'title dateTime.start')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { payments }
+        });
+    } catch (error) {
+        console.error('Get payments error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching payments'
+        });
+    }
+});
+
+// @route   POST /api/payments/simulate
+// @desc    Simulate a provider webhook for your own payment (fake provider, non-production only)
+// @access  Private
+router.post('/simulate', protect, [
+    body('paymentId').notEmpty().withMessage('Payment ID is required'),
+    body('type').optional().isIn(['payment.succeeded', 'payment.failed']).withMessage('Invalid webhook type')
+], async (req, res) => {
+    try {
+        const provider = process.env.NODE_ENV !== 'production' && !getPaymentConfigError() && getPaymentProvider();
+        if (!provider || !provider.buildWebhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'API endpoint not found'
+            });
+        }
+
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const payment = await Payment.findOne({ providerPaymentId: req.body.paymentId, user: req.user.id });
+        if (!payment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Payment not found'
+            });
+        }
+
+        // Go through signing and verification so the simulated webhook takes the real path
+        const { rawBody, signature } = provider.buildWebhook(req.body.type || 'payment.succeeded', payment.providerPaymentId);
+        const result = await handleWebhookEvent(provider.verifyWebhook(Buffer.from(rawBody), signature));
+
+        res.json({
+            success: true,
+            message: 'Webhook simulated',
+            data: { handled: result.handled }
+        });
+    } catch (error) {
+        console.error('Simulate payment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while simulating payment'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,582 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const { protect } = require('../middleware/auth');
+const {
+    validateQuestions,
+    saveResponses,
+    getAttemptQuestions,
+    getQuestionOrder,
+    isAttemptOpen,
+    finalizeAttempt,
+    getLeaderboard
+} = require('../utils/quizService');
+
+// Mounted at /api/events/:id/quiz
+const router = express.Router({ mergeParams: true });
+
+// Participant statuses whose holders may take the quiz
+const QUIZ_STATUSES = ['registered', 'confirmed', 'attended'];
+
+// Load a quiz-category event. Sends the error response itself and resolves to null
+// when the event doesn't exist or isn't a quiz.
+const loadQuizEvent = async (req, res) => {
+    const event = await Event.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    if (event.category !== 'quiz') {
+        res.status(400).json({
+            success: false,
+            message: 'Quizzes are only available for quiz events'
+        });
+        return null;
+    }
+
+    return event;
+};
+
+// Owners and co-organizers manage the quiz
+const canManageQuiz = (event, userId) => event.hasPermission(userId, 'quiz:manage');
+
+// The current user's participant entry (their own or their team's), if it may take the quiz
+const findQuizEntry = async (event, userId) => {
+    const team = await Team.findActiveForUser(event._id, userId);
+    const participant = event.getUserRegistration(userId, team);
+    if (!participant || !QUIZ_STATUSES.includes(participant.status)) return null;
+    return participant;
+};
+
+// What a participant sees of their attempt: the questions while it runs, the score once it's
+// finished, and the correct answers only after the quiz closes for everyone
+const formatAttempt = (quiz, attempt, closed) => {
+    const result = {
+        _id: attempt._id,
+        status: attempt.status,
+        startedAt: attempt.startedAt,
+        expiresAt: attempt.expiresAt,
+        submittedAt: attempt.submittedAt,
+        answers: attempt.answers.map(a => ({ question: a.question, response: a.response }))
+    };
+
+    if (attempt.status === 'in-progress') {
+        result.questions = getAttemptQuestions(quiz, attempt);
+        return result;
+    }
+
+    result.score = attempt.score;
+    result.maxScore = attempt.maxScore;
+    result.timeTakenSeconds = attempt.timeTakenSeconds;
+
+    if (closed) {
+        result.questions = getAttemptQuestions(quiz, attempt).map(question => {
+            const full = quiz.questions.id(question._id);
+            const answer = attempt.answers.find(a => a.question.equals(question._id));
+            return {
+                ...question,
+                correctOptions: full.options.filter(o => o.isCorrect).map(o => o._id),
+                answer: full.type === 'numeric' ? full.answer : undefined,
+                acceptedAnswers: full.type === 'short-answer' ? full.acceptedAnswers : undefined,
+                explanation: full.explanation,
+                correct: Boolean(answer && answer.correct),
+                points: answer ? answer.points : 0
+            };
+        });
+    }
+
+    return result;
+};
+
+// @route   GET /api/events/:id/quiz
+// @desc    Get the quiz: the full question bank for the organizer, an overview and
+//          the current user's attempt status for everyone else
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'This event has no quiz yet'
+            });
+        }
+
+        if (canManageQuiz(event, req.user.id)) {
+            return res.json({
+                success: true,
+                data: { quiz: quiz.toObject({ virtuals: true }) }
+            });
+        }
+
+        const participant = await findQuizEntry(event, req.user.id);
+        const attempt = participant &&
+            await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id }).select('status expiresAt');
+
+        res.json({
+            success: true,
+            data: {
+                quiz: {
+                    instructions: quiz.instructions,
+                    durationMinutes: quiz.durationMinutes,
+                    questionCount: quiz.questions.length,
+                    maxScore: quiz.maxScore,
+                    leaderboardVisibility: quiz.leaderboardVisibility,
+                    ...quiz.getWindow(event)
+                },
+                canAttempt: Boolean(participant),
+                attempt
+            }
+        });
+    } catch (error) {
+        console.error('Get quiz error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching quiz'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/quiz
+// @desc    Create or update the quiz and its question bank
+// @access  Private (event owner and co-organizers)
+router.put('/', protect, [
+    body('durationMinutes').optional().isInt({ min: 1, max: 600 }).withMessage('Duration must be between 1 and 600 minutes'),
+    body('opensAt').optional({ nullable: true }).isISO8601().withMessage('Invalid opening time format'),
+    body('closesAt').optional({ nullable: true }).isISO8601().withMessage('Invalid closing time format'),
+    body('instructions').optional().isLength({ max: 5000 }).withMessage('Instructions cannot exceed 5000 characters'),
+    body('shuffleQuestions').optional().isBoolean(),
+    body('leaderboardVisibility').optional().isIn(['live', 'after-close', 'hidden']).withMessage('Invalid leaderboard visibility'),
+    body('questions').optional().isArray()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        if (!canManageQuiz(event, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can manage the quiz.'
+            });
+        }
+
+        let quiz = await Quiz.findOne({ event: event._id });
+        if (!quiz) {
+            if (!req.body.durationMinutes || !req.body.questions) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A new quiz needs a duration and questions'
+                });
+            }
+            quiz = new Quiz({ event: event._id });
+        }
+
+        if (req.body.questions !== undefined) {
+            const questionError = validateQuestions(req.body.questions);
+            if (questionError) {
+                return res.status(400).json({
+                    success: false,
+                    message: questionError
+                });
+            }
+
+            // Changing questions under running or graded attempts would make scores meaningless
+            if (!quiz.isNew && await QuizAttempt.exists({ quiz: quiz._id })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Questions cannot be changed after participants have started the quiz'
+                });
+            }
+            quiz.questions = req.body.questions;
+        }
+
+        ['instructions', 'durationMinutes', 'shuffleQuestions', 'leaderboardVisibility'].forEach(field => {
+            if (req.body[field] !== undefined) quiz[field] = req.body[field];
+        });
+        ['opensAt', 'closesAt'].forEach(field => {
+            if (req.body[field] !== undefined) quiz[field] = req.body[field] || undefined;
+        });
+
+        const { opensAt, closesAt } = quiz.getWindow(event);
+        if (new Date(opensAt) >= new Date(closesAt)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The quiz must open before it closes'
+            });
+        }
+
+        await quiz.save();
+
+        res.json({
+            success: true,
+            message: 'Quiz saved successfully',
+            data: { quiz: quiz.toObject({ virtuals: true }) }
+        });
+    } catch (error) {
+        console.error('Save quiz error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: Object.values(error.errors).map(e => ({ msg: e.message, path: e.path }))
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving quiz'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/quiz/attempt
+// @desc    Start the timed quiz attempt (returns the running attempt if already started)
+// @access  Private (registered participant)
+router.post('/attempt', protect, async (req, res) => {
+    try {
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'This event has no quiz yet'
+            });
+        }
+
+        const participant = await findQuizEntry(event, req.user.id);
+        if (!participant) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only registered participants can take the quiz'
+            });
+        }
+
+        const existing = await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id });
+        if (existing) {
+            if (isAttemptOpen(existing)) {
+                return res.json({
+                    success: true,
+                    message: 'Quiz attempt resumed',
+                    data: { attempt: formatAttempt(quiz, existing, false) }
+                });
+            }
+            return res.status(400).json({
+                success: false,
+                message: 'You have already taken this quiz'
+            });
+        }
+
+        const now = new Date();
+        const { opensAt, closesAt } = quiz.getWindow(event);
+        if (now < new Date(opensAt) || now >= new Date(closesAt)) {
+            return res.status(400).json({
+                success: false,
+                message: now < new Date(opensAt) ? 'The quiz has not opened yet' : 'The quiz has closed'
+            });
+        }
+
+        // The attempt ends after the time limit or when the quiz closes, whichever is first
+        const expiresAt = new Date(Math.min(now.getTime() + quiz.durationMinutes * 60 * 1000, new Date(closesAt).getTime()));
+
+        let attempt;
+        try {
+            attempt = await QuizAttempt.create({
+                quiz: quiz._id,
+                event: event._id,
+                participant: participant._id,
+                user: req.user.id,
+                startedAt: now,
+                expiresAt,
+                questionOrder: getQuestionOrder(quiz)
+            });
+        } catch (createError) {
+            // A teammate (or a double click) started it first
+            if (createError.code !== 11000) throw createError;
+            attempt = await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Quiz attempt started',
+            data: { attempt: formatAttempt(quiz, attempt, false) }
+        });
+    } catch (error) {
+        console.error('Start quiz attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting quiz'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/quiz/attempt
+// @desc    Get the current user's attempt (questions while running, results once finished)
+// @access  Private (registered participant)
+router.get('/attempt', protect, async (req, res) => {
+    try {
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        const participant = await findQuizEntry(event, req.user.id);
+        let attempt = quiz && participant &&
+            await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id });
+
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not started this quiz'
+            });
+        }
+
+        // Time ran out since the last request: close it now instead of waiting for the job
+        if (attempt.status === 'in-progress' && !isAttemptOpen(attempt)) {
+            attempt = await finalizeAttempt(quiz, attempt) ||
+                await QuizAttempt.findById(attempt._id);
+        }
+
+        const closed = new Date() >= new Date(quiz.getWindow(event).closesAt);
+
+        res.json({
+            success: true,
+            data: { attempt: formatAttempt(quiz, attempt, closed) }
+        });
+    } catch (error) {
+        console.error('Get quiz attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching quiz attempt'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/quiz/attempt/answers
+// @desc    Save answers while the attempt is running
+// @access  Private (registered participant)
+router.put('/attempt/answers', protect, [
+    body('answers').isArray({ min: 1 }).withMessage('Answers must be a non-empty list'),
+    body('answers.*.question').isMongoId().withMessage('Invalid question id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        const participant = await findQuizEntry(event, req.user.id);
+        const attempt = quiz && participant &&
+            await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id });
+
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not started this quiz'
+            });
+        }
+
+        if (!isAttemptOpen(attempt)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Time is up for this attempt'
+            });
+        }
+
+        const answerError = saveResponses(quiz, attempt, req.body.answers);
+        if (answerError) {
+            return res.status(400).json({
+                success: false,
+                message: answerError
+            });
+        }
+
+        // Guard on status so answers can't land on an attempt that was just finalized
+        const saved = await QuizAttempt.findOneAndUpdate(
+            { _id: attempt._id, status: 'in-progress' },
+            { $set: { answers: attempt.answers } },
+            { new: true }
+        );
+        if (!saved) {
+            return res.status(400).json({
+                success: false,
+                message: 'This attempt has already been submitted'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Answers saved',
+            data: {
+                answered: saved.answers.length,
+                expiresAt: saved.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Save quiz answers error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving answers'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/quiz/attempt/submit
+// @desc    Submit the attempt for grading, optionally with final answers
+// @access  Private (registered participant)
+router.post('/attempt/submit', protect, [
+    body('answers').optional().isArray(),
+    body('answers.*.question').optional().isMongoId().withMessage('Invalid question id')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        const participant = await findQuizEntry(event, req.user.id);
+        const attempt = quiz && participant &&
+            await QuizAttempt.findOne({ quiz: quiz._id, participant: participant._id });
+
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not started this quiz'
+            });
+        }
+
+        if (attempt.status !== 'in-progress') {
+            return res.status(400).json({
+                success: false,
+                message: 'This attempt has already been submitted'
+            });
+        }
+
+        // Final answers only count while time remains; late ones are dropped
+        if (req.body.answers && isAttemptOpen(attempt)) {
+            const answerError = saveResponses(quiz, attempt, req.body.answers);
+            if (answerError) {
+                return res.status(400).json({
+                    success: false,
+                    message: answerError
+                });
+            }
+        }
+
+        const finalized = await finalizeAttempt(quiz, attempt);
+        if (!finalized) {
+            return res.status(400).json({
+                success: false,
+                message: 'This attempt has already been submitted'
+            });
+        }
+
+        const closed = new Date() >= new Date(quiz.getWindow(event).closesAt);
+
+        res.json({
+            success: true,
+            message: finalized.status === 'expired'
+                ? 'Time was up; your saved answers have been graded'
+                : 'Quiz submitted successfully',
+            data: { attempt: formatAttempt(quiz, finalized, closed) }
+        });
+    } catch (error) {
+        console.error('Submit quiz attempt error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while submitting quiz'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/quiz/leaderboard
+// @desc    Get the quiz leaderboard (organizer always; participants per leaderboardVisibility)
+// @access  Private
+router.get('/leaderboard', protect, async (req, res) => {
+    try {
+        const event = await loadQuizEvent(req, res);
+        if (!event) return;
+
+        const quiz = await Quiz.findOne({ event: event._id });
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'This event has no quiz yet'
+            });
+        }
+
+        const closed = new Date() >= new Date(quiz.getWindow(event).closesAt);
+        const visible = quiz.leaderboardVisibility === 'live' ||
+            (quiz.leaderboardVisibility === 'after-close' && closed);
+
+        if (!canManageQuiz(event, req.user.id) && !visible) {
+            return res.status(403).json({
+                success: false,
+                message: quiz.leaderboardVisibility === 'hidden'
+                    ? 'The leaderboard for this quiz is private'
+                    : 'The leaderboard will be available when the quiz closes'
+            });
+        }
+
+        const leaderboard = await getLeaderboard(quiz);
+        const participant = await findQuizEntry(event, req.user.id);
+
+        res.json({
+            success: true,
+            data: {
+                leaderboard,
+                myRank: participant
+                    ? leaderboard.find(entry => entry.participant.equals(participant._id))?.rank || null
+                    : null,
+                maxScore: quiz.maxScore,
+                closed
+            }
+        });
+    } catch (error) {
+        console.error('Get quiz leaderboard error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching leaderboard'
+        });
+    }
+});
+
+module.exports = router;
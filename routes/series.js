@@ -0,0 +1,285 @@
+const express = require('express');
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const { protect, optionalAuth } = require('../middleware/auth');
+const { registrationUpload, validateFormDefinition } = require('../utils/registrationForm');
+const { validateSurveyDefinition } = require('../utils/feedbackService');
+const { resolveEventLocation } = require('../utils/geoService');
+const {
+    canManageSeries,
+    buildSeriesUpdate,
+    applySeriesUpdate,
+    cancelSeries,
+    registerForSeries,
+    unregisterFromSeries
+} = require('../utils/seriesService');
+
+// Event series are created through POST /api/events with a `recurrence` rule.
+// Single occurrences are edited and cancelled through the usual /api/events/:id routes.
+const router = express.Router();
+
+const loadSeries = async (req, res) => {
+    const series = await EventSeries.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!series) {
+        res.status(404).json({
+            success: false,
+            message: 'Series not found'
+        });
+        return null;
+    }
+
+    return series;
+};
+
+// @route   GET /api/series/:id
+// @desc    Get a series with its occurrences (and the user's status for each)
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const series = await loadSeries(req, res);
+        if (!series) return;
+
+        const isOrganizer = req.user && series.isOrganizer(req.user.id);
+        const isAdmin = req.user && req.user.role === 'admin';
+
+        // Occurrences awaiting moderation are only visible to their organizer and admins
+        const filter = { series: series._id };
+        if (!isOrganizer && !isAdmin) filter.status = { $nin: Event.UNLISTED_STATUSES };
+
+        const occurrences = await Event.find(filter)
+            .select('title seriesIndex dateTime status registration.deadline registration.closedAt registration.maxParticipants registration.currentParticipants registration.fee participants.user participants.status')
+            .sort({ 'dateTime.start': 1 })
+            .lean();
+
+        if (!occurrences.length && !isOrganizer && !isAdmin) {
+            return res.status(404).json({
+                success: false,
+                message: 'Series not found'
+            });
+        }
+
+        const data = occurrences.map(({ participants, ...occurrence }) => {
+            const mine = req.user && (participants || []).find(p => p.user && p.user.toString() === req.user.id.toString());
+            return { ...occurrence, myStatus: mine ? mine.status : null };
+        });
+
+        res.json({
+            success: true,
+            data: { series, occurrences: data }
+        });
+    } catch (error) {
+        console.error('Get series error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching series'
+        });
+    }
+});
+
+// @route   PUT /api/series/:id
+// @desc    Update every upcoming occurrence of a series (past and cancelled ones are kept as they were)
+// @access  Private (owner and co-organizers of the occurrences)
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const series = await loadSeries(req, res);
+        if (!series) return;
+
+        if (!await canManageSeries(series, req.user.id, 'event:edit')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can update this series.'
+            });
+        }
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This series has been cancelled'
+            });
+        }
+
+        const updates = { ...req.body };
+        if (updates.allowBundleRegistration !== undefined) {
+            series.allowBundleRegistration = Boolean(updates.allowBundleRegistration);
+            await series.save();
+            delete updates.allowBundleRegistration;
+        }
+
+        const formError = validateFormDefinition(updates.registrationForm) ||
+            validateSurveyDefinition(updates.feedbackSurvey);
+        if (formError) {
+            return res.status(400).json({
+                success: false,
+                message: formError
+            });
+        }
+
+        if (updates.location) {
+            const { location, error: locationError } = await resolveEventLocation(updates.location, { mode: updates.mode });
+            if (locationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: locationError
+                });
+            }
+            updates.location = location;
+        }
+
+        // A request that only toggled bundle registration has nothing to copy
+        const hasEventUpdates = Object.keys(updates).length > 0;
+        const { update, error } = hasEventUpdates ? buildSeriesUpdate(updates) : { update: null };
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const updated = update ? await applySeriesUpdate(series, update, req.user.id) : 0;
+
+        res.json({
+            success: true,
+            message: `Series updated. ${updated} upcoming occurrence${updated === 1 ? '' : 's'} changed.`,
+            data: { series, occurrencesUpdated: updated }
+        });
+    } catch (error) {
+        console.error('Update series error:', error);
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map(e => e.message).join(', ')
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating series'
+        });
+    }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Cancel a series: every upcoming occurrence is cancelled, past ones are kept
+// @access  Private (owner and co-organizers of the occurrences, or admin)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const series = await loadSeries(req, res);
+        if (!series) return;
+
+        if (req.user.role !== 'admin' && !await canManageSeries(series, req.user.id, 'event:edit')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers or admin can cancel this series.'
+            });
+        }
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This series has already been cancelled'
+            });
+        }
+
+        const cancelled = await cancelSeries(series);
+
+        res.json({
+            success: true,
+            message: 'Series cancelled',
+            data: { series, cancelledEvents: cancelled.map(event => event._id) }
+        });
+    } catch (error) {
+        console.error('Cancel series error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while cancelling series'
+        });
+    }
+});
+
+// @route   POST /api/series/:id/register
+// @desc    Register for every upcoming occurrence of a series that's open for registration
+// @access  Private
+router.post('/:id/register', protect, registrationUpload, async (req, res) => {
+    try {
+        const series = await loadSeries(req, res);
+        if (!series) return;
+
+        if (series.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This series has been cancelled'
+            });
+        }
+
+        if (!series.allowBundleRegistration) {
+            return res.status(400).json({
+                success: false,
+                message: 'This series only takes registrations for individual occurrences'
+            });
+        }
+
+        const result = await registerForSeries(series, req.user.id, req.body, req.files);
+        if (result.errors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please correct the registration form',
+                errors: result.errors
+            });
+        }
+
+        if (!result.registered.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'There are no upcoming occurrences you can register for',
+                data: { skipped: result.skipped }
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Registered for ${result.registered.length} occurrence${result.registered.length === 1 ? '' : 's'}`,
+            data: result
+        });
+    } catch (error) {
+        console.error('Series registration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while registering for series'
+        });
+    }
+});
+
+// @route   DELETE /api/series/:id/register
+// @desc    Unregister from every upcoming occurrence of a series
+// @access  Private
+router.delete('/:id/register', protect, async (req, res) => {
+    try {
+        const series = await loadSeries(req, res);
+        if (!series) return;
+
+        const left = await unregisterFromSeries(series, req.user.id);
+        if (!left.length) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are not registered for any upcoming occurrences of this series'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Unregistered from ${left.length} occurrence${left.length === 1 ? '' : 's'}. Any payments will be refunded`,
+            data: { events: left }
+        });
+    } catch (error) {
+        console.error('Series unregistration error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unregistering from series'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,402 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const Submission = require('../models/Submission');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const { sendStaffInvitationEmail } = require('../utils/emailService');
+
+// Mounted at /api/events/:id/staff
+const router = express.Router({ mergeParams: true });
+
+const loadEvent = async (req, res) => {
+    const event = await Event.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    if (!event) {
+        res.status(404).json({
+            success: false,
+            message: 'Event not found'
+        });
+        return null;
+    }
+
+    return event;
+};
+
+const findMember = (event, staffId) => event.staff.find(m => m._id.toString() === staffId);
+
+const isSameUser = (member, userId) => member.user && member.user.toString() === userId.toString();
+
+// Removing a judge discards their scores, unless they also judge through the judging invites
+const discardJudgeScores = async (event, member) => {
+    if (member.role !== 'judge' || !member.user) return;
+    if ((event.judging?.judges || []).some(j => j.user.toString() === member.user.toString())) return;
+
+    await Submission.updateMany(
+        { event: event._id },
+        { $pull: { scores: { judge: member.user } } }
+    );
+};
+
+// @route   GET /api/events/:id/staff
+// @desc    Get the event team: the owner, staff members and what each role may do
+// @access  Private (event owner, co-organizers and admins)
+router.get('/', protect, async (req, res) => {
+    try {
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        if (!event.hasPermission(req.user.id, 'staff:view') && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can view the event team.'
+            });
+        }
+
+        await event.populate([
+            { path: 'organizer.user', select: 'name email avatar' },
+            { path: 'staff.user', select: 'name email avatar' }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                owner: event.organizer.user,
+                staff: event.staff,
+                roles: Event.ROLE_PERMISSIONS
+            }
+        });
+    } catch (error) {
+        console.error('Get event staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching event team'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/staff
+// @desc    Invite someone to the event team by email
+// @access  Private (Only event owner)
+router.post('/', protect, [
+    body('email').isEmail().normalizeEmail().withMessage('A valid email is required'),
+    body('role').isIn(Event.STAFF_ROLES).withMessage(`Role must be one of: ${Event.STAFF_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        if (!event.hasPermission(req.user.id, 'staff:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the event owner can manage the event team.'
+            });
+        }
+
+        const email = req.body.email.toLowerCase();
+        const user = await User.findOne({ email, isActive: true }).select('name email');
+
+        if (user && event.getStaffRole(user._id) === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'The owner is already on the event team'
+            });
+        }
+
+        if (event.staff.some(m => m.email === email || (user && isSameUser(m, user._id)))) {
+            return res.status(400).json({
+                success: false,
+                message: 'This person is already on the event team or has been invited'
+            });
+        }
+
+        // Same rule as judging invitations: participants can't judge their own event
+        if (user && req.body.role === 'judge') {
+            const team = await Team.findActiveForUser(event._id, user._id);
+            const participant = event.getUserRegistration(user._id, team);
+            if (participant && participant.status !== 'cancelled') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Participants cannot judge the event they take part in'
+                });
+            }
+        }
+
+        event.staff.push({
+            user: user ? user._id : undefined,
+            email,
+            role: req.body.role,
+            invitedBy: req.user.id
+        });
+        await event.save();
+
+        if (user) {
+            await Notification.create({
+                user: user._id,
+                type: 'staff-invitation',
+                title: `You're invited to help run ${event.title}`,
+                message: `${req.user.name} invited you to join the event team as ${req.body.role}.`,
+                link: `/events/${event._id}/team`,
+                event: event._id
+            });
+        }
+        await sendStaffInvitationEmail(email, event, req.body.role, req.user.name);
+
+        res.status(201).json({
+            success: true,
+            message: 'Invitation sent',
+            data: { member: event.staff[event.staff.length - 1] }
+        });
+    } catch (error) {
+        console.error('Invite staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while inviting to the event team'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/staff/accept
+// @desc    Accept an invitation to the event team (matched by account or email)
+// @access  Private (invitee)
+router.post('/accept', protect, async (req, res) => {
+    try {
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        const member = event.staff.find(m => isSameUser(m, req.user.id)) ||
+            event.staff.find(m => !m.user && m.email === req.user.email.toLowerCase());
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'You have not been invited to this event team'
+            });
+        }
+
+        if (member.status !== 'accepted') {
+            member.user = req.user.id;
+            member.status = 'accepted';
+            member.acceptedAt = new Date();
+            await event.save();
+        }
+
+        res.json({
+            success: true,
+            message: `You are now on the event team as ${member.role}`,
+            data: { role: member.role, permissions: event.getPermissions(req.user.id) }
+        });
+    } catch (error) {
+        console.error('Accept staff invitation error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while accepting invitation'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/staff/transfer
+// @desc    Transfer ownership to an accepted team member; the previous owner becomes a co-organizer
+// @access  Private (Only event owner)
+router.post('/transfer', protect, [
+    body('userId').isMongoId().withMessage('A valid user id is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        if (!event.hasPermission(req.user.id, 'ownership:transfer')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the event owner can transfer ownership.'
+            });
+        }
+
+        const member = event.staff.find(m => isSameUser(m, req.body.userId) && m.status === 'accepted');
+        if (!member) {
+            return res.status(400).json({
+                success: false,
+                message: 'Ownership can only be transferred to someone who has joined the event team'
+            });
+        }
+
+        const newOwner = await User.findById(req.body.userId).select('name email profile.institution');
+        if (!newOwner) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const previousOwner = req.user;
+        event.staff.pull(member._id);
+        event.staff.push({
+            user: previousOwner.id,
+            email: previousOwner.email,
+            role: 'co-organizer',
+            status: 'accepted',
+            invitedBy: newOwner._id,
+            acceptedAt: new Date()
+        });
+
+        event.organizer.user = newOwner._id;
+        event.organizer.name = newOwner.name;
+        event.organizer.institution = newOwner.profile?.institution;
+        // Keep a custom contact address, but not the previous owner's own email
+        if (event.organizer.contact?.email === previousOwner.email) {
+            event.organizer.contact.email = newOwner.email;
+        }
+        await event.save();
+
+        await User.findByIdAndUpdate(previousOwner.id, { $pull: { hostedEvents: event._id } });
+        await User.findByIdAndUpdate(newOwner._id, { $addToSet: { hostedEvents: event._id } });
+
+        res.json({
+            success: true,
+            message: `${newOwner.name} is now the owner of this event`,
+            data: { owner: newOwner._id, staff: event.staff }
+        });
+    } catch (error) {
+        console.error('Transfer ownership error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while transferring ownership'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/staff/:staffId
+// @desc    Change a team member's role
+// @access  Private (Only event owner)
+router.put('/:staffId', protect, [
+    body('role').isIn(Event.STAFF_ROLES).withMessage(`Role must be one of: ${Event.STAFF_ROLES.join(', ')}`)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        if (!event.hasPermission(req.user.id, 'staff:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the event owner can manage the event team.'
+            });
+        }
+
+        const member = findMember(event, req.params.staffId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team member not found'
+            });
+        }
+
+        if (member.role === 'judge' && req.body.role !== 'judge') {
+            if (event.judging?.resultsPublishedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Judges cannot be reassigned after results are published'
+                });
+            }
+            await discardJudgeScores(event, member);
+        }
+
+        member.role = req.body.role;
+        await event.save();
+
+        res.json({
+            success: true,
+            message: 'Role updated',
+            data: { member }
+        });
+    } catch (error) {
+        console.error('Update staff role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating role'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/staff/:staffId
+// @desc    Remove a team member or cancel an invitation; members may also remove themselves
+// @access  Private (event owner, or the member)
+router.delete('/:staffId', protect, async (req, res) => {
+    try {
+        const event = await loadEvent(req, res);
+        if (!event) return;
+
+        const member = findMember(event, req.params.staffId);
+        const isSelf = member && (isSameUser(member, req.user.id) || (!member.user && member.email === req.user.email.toLowerCase()));
+
+        if (!event.hasPermission(req.user.id, 'staff:manage') && !isSelf) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the event owner can manage the event team.'
+            });
+        }
+
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Team member not found'
+            });
+        }
+
+        if (member.role === 'judge' && member.status === 'accepted') {
+            if (event.judging?.resultsPublishedAt) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Judges cannot be removed after results are published'
+                });
+            }
+            await discardJudgeScores(event, member);
+        }
+
+        event.staff.pull(member._id);
+        await event.save();
+
+        res.json({
+            success: true,
+            message: isSelf ? 'You have left the event team' : 'Team member removed'
+        });
+    } catch (error) {
+        console.error('Remove staff error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing team member'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,533 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { notifyPromotedParticipants } = require('../utils/registrationService');
+const {
+    PAYMENTS_UNAVAILABLE_MESSAGE,
+    isPaymentUnavailable,
+    createPaymentForParticipant,
+    refundParticipantPayment
+} = require('../utils/paymentService');
+const { registrationUpload, collectRegistrationAnswers } = require('../utils/registrationForm');
+
+// Mounted at /api/events/:id/teams
+const router = express.Router({ mergeParams: true });
+
+// Register the team once it reaches the minimum size, drop the registration if it
+// falls below it, and keep the team's participant entry in step with the roster.
+// The captain holds the participant entry on behalf of the whole team.
+// Resolves to { payment } when a paid event holds the team's seat for the captain to pay.
+const syncTeamRegistration = async (team) => {
+    const event = await Event.findById(team.event);
+    if (!event) return;
+
+    await team.populate('members.user', 'name email');
+    const accepted = team.acceptedMembers;
+    const memberIds = accepted.map(m => m.user._id);
+    const minSize = event.registration.teamSize.min || 1;
+    const roster = {
+        teamName: team.name,
+        teamSize: accepted.length,
+        teamMembers: accepted.map(m => ({
+            name: m.user.name,
+            email: m.user.email,
+            role: m.role
+        }))
+    };
+
+    const registrationOpen = new Date() <= event.registration.deadline;
+
+    if (team.status === 'forming' && accepted.length >= minSize && registrationOpen) {
+        const result = await event.registerUser(team.captain, { ...roster, team: team._id, answers: team.answers });
+        if (!result) return;
+
+        team.status = 'registered';
+        await team.save();
+
+        await User.updateMany(
+            { _id: { $in: memberIds }, 'registeredEvents.event': { $ne: event._id } },
+            { $push: { registeredEvents: { event: event._id, status: result.status } } }
+        );
+
+        // Paid events hold the seat until the captain pays for the team
+        if (result.status === 'pending') {
+            const participant = result.event.participants.find(p => p.team && p.team.equals(team._id));
+            return { payment: await createPaymentForParticipant(result.event, participant, team.captain) };
+        }
+        return;
+    }
+
+    if (team.status === 'registered' && accepted.length < minSize) {
+        const registration = event.participants.find(p => p.team && p.team.equals(team._id));
+        const promoted = await event.unregisterUser(team.captain);
+        if (registration) {
+            await refundParticipantPayment(registration, 'Team fell below the minimum size');
+        }
+
+        team.status = 'forming';
+        await team.save();
+
+        await User.updateMany(
+            { _id: { $in: memberIds } },
+            { $pull: { registeredEvents: { event: event._id } } }
+        );
+        await notifyPromotedParticipants(event, promoted);
+        return;
+    }
+
+    if (team.status === 'registered') {
+        const participant = event.participants.find(p => p.team && p.team.equals(team._id));
+
+        await Event.updateOne(
+            { _id: event._id, 'participants.team': team._id },
+            {
+                $set: {
+                    'participants.$.teamName': roster.teamName,
+                    'participants.$.teamSize': roster.teamSize,
+                    'participants.$.teamMembers': roster.teamMembers
+                }
+            }
+        );
+
+        await User.updateMany(
+            { _id: { $in: memberIds }, 'registeredEvents.event': { $ne: event._id } },
+            { $push: { registeredEvents: { event: event._id, status: participant ? participant.status : 'registered' } } }
+        );
+    }
+};
+
+// Shared checks before a user may create or join a team
+const checkCanJoinTeams = async (event, userId) => {
+    if (event.registration.teamSize.max <= 1) {
+        return 'This event does not accept team registrations';
+    }
+
+    if (event.status !== 'published') {
+        return 'Event is not open for registration';
+    }
+
+    if (new Date() > event.registration.deadline) {
+        return 'Registration deadline has passed';
+    }
+
+    const isRegistered = event.participants.some(p => p.user.toString() === userId.toString());
+    if (isRegistered) {
+        return 'You are already registered for this event';
+    }
+
+    const existingTeam = await Team.findActiveForUser(event._id, userId);
+    if (existingTeam) {
+        return 'You are already part of a team for this event';
+    }
+
+    return null;
+};
+
+// @route   POST /api/events/:id/teams
+// @desc    Create a team for an event (creator becomes captain and answers the registration form)
+// @access  Private
+router.post('/', protect, registrationUpload, [
+    body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Team name must be between 2 and 50 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const reason = await checkCanJoinTeams(event, req.user.id);
+        if (reason) {
+            return res.status(400).json({
+                success: false,
+                message: reason
+            });
+        }
+
+        if (isPaymentUnavailable(event)) {
+            return res.status(503).json({
+                success: false,
+                message: PAYMENTS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        const nameTaken = await Team.exists({
+            event: event._id,
+            status: { $ne: 'disbanded' },
+            name: new RegExp(`^${req.body.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i')
+        });
+        if (nameTaken) {
+            return res.status(400).json({
+                success: false,
+                message: 'A team with this name already exists for this event'
+            });
+        }
+
+        const { answers, errors: formErrors } = await collectRegistrationAnswers(event, req.user.id, req.body.answers, req.files);
+        if (formErrors) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please correct the registration form',
+                errors: formErrors
+            });
+        }
+
+        const team = await Team.create({
+            event: event._id,
+            name: req.body.name,
+            captain: req.user.id,
+            answers,
+            joinCode: Team.generateJoinCode(),
+            members: [{
+                user: req.user.id,
+                role: 'captain',
+                status: 'accepted',
+                acceptedAt: new Date()
+            }]
+        });
+
+        // A minimum size of one means the captain alone is enough to register
+        const { payment } = await syncTeamRegistration(team) || {};
+
+        res.status(201).json({
+            success: true,
+            message: 'Team created successfully. Share the join code with your teammates.',
+            data: {
+                team,
+                joinCode: team.joinCode,
+                payment
+            }
+        });
+    } catch (error) {
+        console.error('Create team error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating team'
+        });
+    }
+});
+
+// @route   GET /api/events/:id/teams/mine
+// @desc    Get the current user's team for an event
+// @access  Private
+router.get('/mine', protect, async (req, res) => {
+    try {
+        const team = await Team.findActiveForUser(req.params.id, req.user.id)
+            .populate('captain', 'name email avatar')
+            .populate('members.user', 'name email avatar');
+
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'You are not part of a team for this event'
+            });
+        }
+
+        const teamObj = team.toObject();
+
+        // Only the captain sees pending join requests
+        if (!team.isCaptain(req.user.id)) {
+            teamObj.members = teamObj.members.filter(m => m.status === 'accepted');
+        }
+
+        res.json({
+            success: true,
+            data: { team: teamObj }
+        });
+    } catch (error) {
+        console.error('Get my team error:', error);
+        if (error.name === 'CastError') {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching team'
+        });
+    }
+});
+
+// @route   POST /api/events/:id/teams/join
+// @desc    Request to join a team using its join code
+// @access  Private
+router.post('/join', protect, [
+    body('code').trim().notEmpty().withMessage('Join code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.params.id);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        const team = await Team.findOne({
+            event: event._id,
+            joinCode: req.body.code.toUpperCase(),
+            status: { $ne: 'disbanded' }
+        });
+        if (!team) {
+            return res.status(404).json({
+                success: false,
+                message: 'Invalid join code'
+            });
+        }
+
+        const reason = await checkCanJoinTeams(event, req.user.id);
+        if (reason) {
+            return res.status(400).json({
+                success: false,
+                message: reason
+            });
+        }
+
+        // Size check and push happen in one atomic update so the team can never exceed the maximum
+        const updated = await Team.findOneAndUpdate(
+            {
+                _id: team._id,
+                status: { $ne: 'disbanded' },
+                'members.user': { $ne: req.user.id },
+                $expr: { $lt: [{ $size: '$members' }, event.registration.teamSize.max] }
+            },
+            { $push: { members: { user: req.user.id, role: 'member', status: 'pending' } } },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(400).json({
+                success: false,
+                message: `Team is full (maximum ${event.registration.teamSize.max} members)`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Join request sent. The team captain needs to accept it.',
+            data: {
+                teamId: updated._id,
+                teamName: updated.name
+            }
+        });
+    } catch (error) {
+        console.error('Join team error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while joining team'
+        });
+    }
+});
+
+// @route   PUT /api/events/:id/teams/:teamId/members/:userId/accept
+// @desc    Accept a pending member (team captain only)
+// @access  Private
+router.put('/:teamId/members/:userId/accept', protect, async (req, res) => {
+    try {
+        const team = await Team.findOne({ _id: req.params.teamId, event: req.params.id });
+        if (!team || team.status === 'disbanded') {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        if (!team.isCaptain(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the team captain can accept members.'
+            });
+        }
+
+        const member = team.getMember(req.params.userId);
+        if (!member || member.status !== 'pending') {
+            return res.status(404).json({
+                success: false,
+                message: 'Pending member not found'
+            });
+        }
+
+        // The user may have registered or joined another team since requesting
+        const conflictingTeam = await Team.findOne({
+            _id: { $ne: team._id },
+            event: team.event,
+            status: { $ne: 'disbanded' },
+            'members.user': member.user
+        });
+        const event = await Event.findById(team.event);
+        const isRegistered = event && event.participants.some(p => p.user.toString() === member.user.toString());
+        if (conflictingTeam || isRegistered) {
+            return res.status(400).json({
+                success: false,
+                message: 'This user is already registered for the event or part of another team'
+            });
+        }
+
+        // Accepting may complete the team, which registers it and starts the captain's payment
+        if (event && isPaymentUnavailable(event)) {
+            return res.status(503).json({
+                success: false,
+                message: PAYMENTS_UNAVAILABLE_MESSAGE
+            });
+        }
+
+        member.status = 'accepted';
+        member.acceptedAt = new Date();
+        await team.save();
+
+        const { payment } = await syncTeamRegistration(team) || {};
+
+        res.json({
+            success: true,
+            message: payment
+                ? 'Member accepted. The team is registered; the captain must pay to confirm its seat.'
+                : 'Member accepted successfully',
+            data: { team, payment }
+        });
+    } catch (error) {
+        console.error('Accept team member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while accepting team member'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/teams/:teamId/members/:userId
+// @desc    Remove a member or decline a request (captain), or leave the team (member)
+// @access  Private
+router.delete('/:teamId/members/:userId', protect, async (req, res) => {
+    try {
+        const team = await Team.findOne({ _id: req.params.teamId, event: req.params.id });
+        if (!team || team.status === 'disbanded') {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        const isSelf = req.params.userId === req.user.id.toString();
+        if (!isSelf && !team.isCaptain(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the team captain can remove members.'
+            });
+        }
+
+        if (team.isCaptain(req.params.userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'The captain cannot leave the team. Disband the team instead.'
+            });
+        }
+
+        const member = team.getMember(req.params.userId);
+        if (!member) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        team.members.pull(member._id);
+        await team.save();
+
+        await User.updateOne(
+            { _id: member.user },
+            { $pull: { registeredEvents: { event: team.event } } }
+        );
+
+        await syncTeamRegistration(team);
+
+        res.json({
+            success: true,
+            message: isSelf ? 'You have left the team' : 'Member removed successfully',
+            data: { team }
+        });
+    } catch (error) {
+        console.error('Remove team member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing team member'
+        });
+    }
+});
+
+// @route   DELETE /api/events/:id/teams/:teamId
+// @desc    Disband a team and drop its registration (team captain only)
+// @access  Private
+router.delete('/:teamId', protect, async (req, res) => {
+    try {
+        const team = await Team.findOne({ _id: req.params.teamId, event: req.params.id });
+        if (!team || team.status === 'disbanded') {
+            return res.status(404).json({
+                success: false,
+                message: 'Team not found'
+            });
+        }
+
+        if (!team.isCaptain(req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only the team captain can disband the team.'
+            });
+        }
+
+        if (team.status === 'registered') {
+            const event = await Event.findById(team.event);
+            if (event) {
+                const registration = event.participants.find(p => p.team && p.team.equals(team._id));
+                const promoted = await event.unregisterUser(team.captain);
+                if (registration) {
+                    await refundParticipantPayment(registration, 'Team disbanded');
+                }
+                await notifyPromotedParticipants(event, promoted);
+            }
+        }
+
+        await User.updateMany(
+            { _id: { $in: team.members.map(m => m.user) } },
+            { $pull: { registeredEvents: { event: team.event } } }
+        );
+
+        team.status = 'disbanded';
+        await team.save();
+
+        res.json({
+            success: true,
+            message: 'Team disbanded successfully'
+        });
+    } catch (error) {
+        console.error('Disband team error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while disbanding team'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Event = require('../models/Event');
+const EventTemplate = require('../models/EventTemplate');
+const AgendaSession = require('../models/AgendaSession');
+const { protect } = require('../middleware/auth');
+const { snapshotEvent, snapshotSessions, createEventFromTemplate } = require('../utils/templateService');
+
+// Templates are private to the organizer who saved them
+const router = express.Router();
+
+const loadTemplate = async (req, res) => {
+    const template = await EventTemplate.findById(req.params.id).catch(error => {
+        if (error.name === 'CastError') return null;
+        throw error;
+    });
+
+    // Someone else's template is reported as missing rather than forbidden
+    if (!template || !template.isOwner(req.user.id)) {
+        res.status(404).json({
+            success: false,
+            message: 'Template not found'
+        });
+        return null;
+    }
+
+    return template;
+};
+
+// @route   GET /api/templates
+// @desc    Get the current user's event templates
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const templates = await EventTemplate.find({ owner: req.user.id })
+            .select('name description sourceEvent timesUsed createdAt updatedAt content.title content.category content.mode')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { templates }
+        });
+    } catch (error) {
+        console.error('Get templates error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching templates'
+        });
+    }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get a template with everything it will copy
+// @access  Private (Only template owner)
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const template = await loadTemplate(req, res);
+        if (!template) return;
+
+        res.json({
+            success: true,
+            data: { template }
+        });
+    } catch (error) {
+        console.error('Get template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching template'
+        });
+    }
+});
+
+// @route   POST /api/templates
+// @desc    Save an event (with its agenda) as a reusable template
+// @access  Private (event owner and co-organizers)
+router.post('/', protect, [
+    body('event').isMongoId().withMessage('A valid event id is required'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const event = await Event.findById(req.body.event);
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Event not found'
+            });
+        }
+
+        if (!event.hasPermission(req.user.id, 'event:edit')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Only event organizers can save this event as a template.'
+            });
+        }
+
+        const sessions = await AgendaSession.find({ event: event._id });
+        const template = await EventTemplate.create({
+            name: req.body.name,
+            description: req.body.description,
+            owner: req.user.id,
+            sourceEvent: event._id,
+            content: snapshotEvent(event),
+            sessions: snapshotSessions(sessions)
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Template saved',
+            data: { template }
+        });
+    } catch (error) {
+        console.error('Create template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while saving template'
+        });
+    }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Rename a template or change its description
+// @access  Private (Only template owner)
+router.put('/:id', protect, [
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const template = await loadTemplate(req, res);
+        if (!template) return;
+
+        if (req.body.name !== undefined) template.name = req.body.name;
+        if (req.body.description !== undefined) template.description = req.body.description;
+        await template.save();
+
+        res.json({
+            success: true,
+            message: 'Template updated',
+            data: { template }
+        });
+    } catch (error) {
+        console.error('Update template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating template'
+        });
+    }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete a template (events created from it are kept)
+// @access  Private (Only template owner)
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const template = await loadTemplate(req, res);
+        if (!template) return;
+
+        await template.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Template deleted'
+        });
+    } catch (error) {
+        console.error('Delete template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting template'
+        });
+    }
+});
+
+// @route   POST /api/templates/:id/events
+// @desc    Create a draft event from a template, starting at `start`
+// @access  Private (Only template owner)
+router.post('/:id/events', protect, [
+    body('start').isISO8601().withMessage('Invalid start date format'),
+    body('title').optional().trim().isLength({ min: 5, max: 100 }).withMessage('Title must be between 5 and 100 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const template = await loadTemplate(req, res);
+        if (!template) return;
+
+        const overrides = req.body.title ? { title: req.body.title } : {};
+        const { event, error } = await createEventFromTemplate(template, req.body.start, req.user, overrides);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        await EventTemplate.updateOne({ _id: template._id }, { $inc: { timesUsed: 1 } });
+
+        res.status(201).json({
+            success: true,
+            message: 'Event created from template. Review it and submit it for publishing when ready.',
+            data: { event }
+        });
+    } catch (error) {
+        console.error('Create event from template error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating event from template'
+        });
+    }
+});
+
+module.exports = router;
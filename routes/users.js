@@ -3,9 +3,16 @@ const { query } = require('express-validator');
 const User = require('../models/User');
 const Event = require('../models/Event');
 const { protect, authorize } = require('../middleware/auth');
+const { buildCalendar } = require('../utils/calendarService');
 
 const router = express.Router();
 
+// Public URL of a user's calendar feed
+const getCalendarFeedUrl = (req, token) => {
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/api/users/me/calendar.ics?token=${token}`;
+};
+
 // @route   GET /api/users
 // @desc    Get all users (admin only)
 // @access  Private/Admin
@@ -56,6 +63,101 @@ router.get('/', protect, authorize('admin'), [
     }
 });
 
+// @route   GET /api/users/me/calendar.ics
+// @desc    Calendar subscription feed of registered and hosted events
+// @access  Public (secret token in query string, since calendar apps cannot send auth headers)
+router.get('/me/calendar.ics', async (req, res) => {
+    try {
+        const token = typeof req.query.token === 'string' ? req.query.token : '';
+        const user = token ? await User.findOne({ calendarToken: token, isActive: true }) : null;
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'Calendar feed not found'
+            });
+        }
+
+        // Cancelled and waitlisted registrations are left out; cancelled events stay
+        // in the feed (as STATUS:CANCELLED) so subscribed calendars remove them
+        const registeredIds = user.registeredEvents
+            .filter(reg => !['cancelled', 'waitlisted'].includes(reg.status))
+            .map(reg => reg.event);
+        const eventIds = [...registeredIds, ...user.hostedEvents];
+
+        const events = await Event.find({
+            _id: { $in: eventIds },
+            status: { $nin: Event.UNLISTED_STATUSES }
+        })
+            .select('title description category mode location dateTime organizer status createdAt updatedAt')
+            .sort({ 'dateTime.start': 1 })
+            .lean();
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="liftuplabs.ics"');
+        res.set('Cache-Control', 'private, max-age=300');
+        res.send(buildCalendar(events, `LiftupLabs - ${user.name}`));
+    } catch (error) {
+        console.error('Get calendar feed error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while generating calendar feed'
+        });
+    }
+});
+
+// @route   GET /api/users/me/calendar
+// @desc    Get the current user's calendar subscription URL
+// @access  Private
+router.get('/me/calendar', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+
+        if (!user.calendarToken) {
+            user.generateCalendarToken();
+            await user.save();
+        }
+
+        res.json({
+            success: true,
+            data: {
+                feedUrl: getCalendarFeedUrl(req, user.calendarToken)
+            }
+        });
+    } catch (error) {
+        console.error('Get calendar subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching calendar subscription'
+        });
+    }
+});
+
+// @route   POST /api/users/me/calendar/reset
+// @desc    Rotate the calendar subscription token (old feed URL stops working)
+// @access  Private
+router.post('/me/calendar/reset', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+calendarToken');
+        user.generateCalendarToken();
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Calendar feed URL reset successfully',
+            data: {
+                feedUrl: getCalendarFeedUrl(req, user.calendarToken)
+            }
+        });
+    } catch (error) {
+        console.error('Reset calendar subscription error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting calendar subscription'
+        });
+    }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -100,9 +202,9 @@ router.get('/stats/dashboard', protect, authorize('admin'), async (req, res) =>
         const totalUsers = await User.countDocuments();
         const totalEvents = await Event.countDocuments();
         const activeEvents = await Event.countDocuments({
-            status: 'published',
-            'dateTime.end': { $gte: new Date() }
+            status: { $in: ['published', 'ongoing'] }
         });
+        const pendingReviewEvents = await Event.countDocuments({ status: 'pending-review' });
         const totalRegistrations = await Event.aggregate([
             { $group: { _id: null, total: { $sum: '$registration.currentParticipants' } } }
         ]);
@@ -139,6 +241,7 @@ router.get('/stats/dashboard', protect, authorize('admin'), async (req, res) =>
                     totalUsers,
                     totalEvents,
                     activeEvents,
+                    pendingReviewEvents,
                     totalRegistrations: totalRegistrations[0]?.total || 0
                 },
                 usersByRole,
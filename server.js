@@ -4,13 +4,38 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { getPaymentConfigError } = require('./utils/paymentProviders');
+const { startScheduler } = require('./utils/scheduler');
+const { migrateLegacyCoordinates } = require('./utils/geoService');
+require('./jobs');
+require('./listeners');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const eventRoutes = require('./routes/events');
+const seriesRoutes = require('./routes/series');
+const templateRoutes = require('./routes/templates');
+const teamRoutes = require('./routes/teams');
+const announcementRoutes = require('./routes/announcements');
+const judgingRoutes = require('./routes/judging');
+const quizRoutes = require('./routes/quizzes');
+const feedbackRoutes = require('./routes/feedback');
+const agendaRoutes = require('./routes/agenda');
+const staffRoutes = require('./routes/staff');
+const historyRoutes = require('./routes/history');
 const userRoutes = require('./routes/users');
 const contactRoutes = require('./routes/contact');
 const notesRoutes = require('./routes/notes');
+const paymentRoutes = require('./routes/payments');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const certificateRoutes = require('./routes/certificates');
+
+// Free events work without payments; paid registration and webhooks answer 503 until this is fixed
+const paymentConfigError = getPaymentConfigError();
+if (paymentConfigError) {
+    console.warn(`Payments are disabled: ${paymentConfigError}`);
+}
 
 const app = express();
 app.set("trust proxy", 1);
@@ -33,7 +58,15 @@ app.use(cors({
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '100mb' }));
+app.use(express.json({
+    limit: '100mb',
+    // Keep the raw body around for payment webhook signature checks
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '100mb' }));
 
 // Static files
@@ -41,15 +74,34 @@ app.use('/uploads', express.static('uploads'));
 
 // Database connection
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/liftuplabs')
-    .then(() => console.log('✅ MongoDB connected successfully'))
+    .then(() => {
+        console.log('✅ MongoDB connected successfully');
+        migrateLegacyCoordinates().catch(err => console.error('❌ Location migration error:', err));
+        // Background jobs need the database, so start them once connected
+        startScheduler();
+    })
     .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventRoutes);
+app.use('/api/events/:id/teams', teamRoutes);
+app.use('/api/events/:id/announcements', announcementRoutes);
+app.use('/api/events/:id/judging', judgingRoutes);
+app.use('/api/events/:id/quiz', quizRoutes);
+app.use('/api/events/:id/feedback', feedbackRoutes);
+app.use('/api/events/:id/agenda', agendaRoutes);
+app.use('/api/events/:id/staff', staffRoutes);
+app.use('/api/events/:id/history', historyRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/templates', templateRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/notes', notesRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/certificates', certificateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,73 @@
+const { buildCalendar } = require('../utils/calendarService');
+
+const event = (id, start, end, timezone) => ({
+    _id: id,
+    title: `Event ${id}`,
+    dateTime: { start: new Date(start), end: new Date(end), timezone }
+});
+
+// The lines of each VTIMEZONE block, keyed by TZID
+const getTimezones = (calendar) => {
+    const blocks = calendar.split('BEGIN:VTIMEZONE\r\n').slice(1).map(block => block.split('\r\nEND:VTIMEZONE')[0].split('\r\n'));
+    return Object.fromEntries(blocks.map(lines => [lines[0].replace('TZID:', ''), lines.slice(1)]));
+};
+
+describe('calendar service', () => {
+    describe('buildCalendar timezones', () => {
+        it('includes the DST transitions between events in the same zone', () => {
+            const calendar = buildCalendar([
+                event('a', '2025-02-10T23:00:00Z', '2025-02-11T01:00:00Z', 'America/New_York'),
+                event('b', '2025-04-10T22:00:00Z', '2025-04-11T00:00:00Z', 'America/New_York')
+            ]);
+            const { 'America/New_York': zone } = getTimezones(calendar);
+
+            expect(zone).toEqual([
+                'BEGIN:STANDARD',
+                'DTSTART:20250209T180000',
+                'TZOFFSETFROM:-0500',
+                'TZOFFSETTO:-0500',
+                'END:STANDARD',
+                'BEGIN:DAYLIGHT',
+                'DTSTART:20250309T020000',
+                'TZOFFSETFROM:-0500',
+                'TZOFFSETTO:-0400',
+                'END:DAYLIGHT'
+            ]);
+
+            // Both events keep their 6pm wall-clock time
+            expect(calendar).toContain('DTSTART;TZID=America/New_York:20250210T180000');
+            expect(calendar).toContain('DTSTART;TZID=America/New_York:20250410T180000');
+        });
+
+        it('marks the return to standard time', () => {
+            const calendar = buildCalendar([
+                event('a', '2025-10-20T16:00:00Z', '2025-10-20T18:00:00Z', 'Europe/London'),
+                event('b', '2025-11-20T17:00:00Z', '2025-11-20T19:00:00Z', 'Europe/London')
+            ]);
+            const zone = getTimezones(calendar)['Europe/London'];
+
+            expect(zone.slice(0, 5)).toEqual(['BEGIN:DAYLIGHT', 'DTSTART:20251019T170000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0100', 'END:DAYLIGHT']);
+            expect(zone.slice(5)).toEqual(['BEGIN:STANDARD', 'DTSTART:20251026T020000', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0000', 'END:STANDARD']);
+        });
+
+        it('writes a single observance for zones without DST', () => {
+            const calendar = buildCalendar([event('a', '2025-03-01T04:30:00Z', '2025-03-01T06:30:00Z', 'Asia/Kolkata')]);
+
+            expect(getTimezones(calendar)['Asia/Kolkata']).toEqual([
+                'BEGIN:STANDARD',
+                'DTSTART:20250228T100000',
+                'TZOFFSETFROM:+0530',
+                'TZOFFSETTO:+0530',
+                'END:STANDARD'
+            ]);
+            expect(calendar).toContain('DTSTART;TZID=Asia/Kolkata:20250301T100000');
+        });
+
+        it('falls back to UTC times for unknown zones', () => {
+            const calendar = buildCalendar([event('a', '2025-03-01T04:30:00Z', '2025-03-01T06:30:00Z', 'Mars/Olympus')]);
+
+            expect(calendar).not.toContain('BEGIN:VTIMEZONE');
+            expect(calendar).toContain('DTSTART:20250301T043000Z');
+        });
+    });
+});
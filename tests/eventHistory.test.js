@@ -0,0 +1,96 @@
+const { diffEvents, getMaterialChanges } = require('../utils/eventHistory');
+
+const baseEvent = () => ({
+    _id: 'event1',
+    title: 'Hack Night',
+    mode: 'Offline',
+    dateTime: {
+        start: new Date('2025-05-01T12:00:00Z'),
+        end: new Date('2025-05-01T18:00:00Z'),
+        timezone: 'Asia/Kolkata'
+    },
+    location: { venue: 'Hall A', city: 'Pune' },
+    registration: { fee: 0, currentParticipants: 10 },
+    tags: ['ai', 'web'],
+    faqs: [{ _id: 'faq1', question: 'Food?', answer: 'Yes' }]
+});
+
+describe('event history', () => {
+    describe('diffEvents', () => {
+        it('reports changed leaf paths with before and after values', () => {
+            const before = baseEvent();
+            const after = baseEvent();
+            after.title = 'Hack Night 2';
+            after.location.venue = 'Hall B';
+
+            expect(diffEvents(before, after, ['title', 'location', 'mode'])).toEqual([
+                { path: 'title', before: 'Hack Night', after: 'Hack Night 2' },
+                { path: 'location.venue', before: 'Hall A', after: 'Hall B' }
+            ]);
+        });
+
+        it('only looks at the given fields', () => {
+            const after = baseEvent();
+            after.title = 'Renamed';
+
+            expect(diffEvents(baseEvent(), after, ['mode', 'location'])).toEqual([]);
+        });
+
+        it('records added and removed keys', () => {
+            const after = baseEvent();
+            after.location.state = 'Maharashtra';
+            delete after.location.city;
+
+            expect(diffEvents(baseEvent(), after, ['location'])).toEqual([
+                { path: 'location.city', before: 'Pune', after: undefined },
+                { path: 'location.state', before: undefined, after: 'Maharashtra' }
+            ]);
+        });
+
+        it('compares arrays as a whole, ignoring regenerated subdocument ids', () => {
+            const after = baseEvent();
+            after.faqs = [{ _id: 'faq2', question: 'Food?', answer: 'Yes' }];
+            expect(diffEvents(baseEvent(), after, ['faqs'])).toEqual([]);
+
+            after.tags = ['ai'];
+            expect(diffEvents(baseEvent(), after, ['tags'])).toEqual([
+                { path: 'tags', before: ['ai', 'web'], after: ['ai'] }
+            ]);
+        });
+
+        it('skips server-managed paths', () => {
+            const after = baseEvent();
+            after.registration.currentParticipants = 11;
+            after.registration.fee = 100;
+
+            expect(diffEvents(baseEvent(), after, ['registration'])).toEqual([
+                { path: 'registration.fee', before: 0, after: 100 }
+            ]);
+        });
+
+        it('treats equal dates as unchanged', () => {
+            const after = baseEvent();
+            after.dateTime.start = new Date(after.dateTime.start.getTime());
+
+            expect(diffEvents(baseEvent(), after, ['dateTime'])).toEqual([]);
+        });
+    });
+
+    describe('getMaterialChanges', () => {
+        it('groups changes by what participants care about', () => {
+            expect(getMaterialChanges([
+                { path: 'dateTime.end' },
+                { path: 'location.city' },
+                { path: 'title' }
+            ])).toEqual(['dates', 'venue']);
+        });
+
+        it('counts a whole replaced object as a change to its material paths', () => {
+            expect(getMaterialChanges([{ path: 'location' }, { path: 'mode' }])).toEqual(['venue', 'mode']);
+        });
+
+        it('ignores non-material changes', () => {
+            expect(getMaterialChanges([{ path: 'title' }, { path: 'location.address' }, { path: 'dateTimeNote' }])).toEqual([]);
+        });
+    });
+});
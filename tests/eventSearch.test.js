@@ -0,0 +1,119 @@
+const Event = require('../models/Event');
+const {
+    DATE_BUCKETS,
+    escapeRegex,
+    buildTextFilter,
+    buildPrefixFilter,
+    buildFacetFilters,
+    combineFilters,
+    getFacets
+} = require('../utils/eventSearch');
+
+describe('event search', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.useRealTimers();
+    });
+
+    describe('escapeRegex', () => {
+        it('makes user input match literally', () => {
+            const pattern = new RegExp(escapeRegex('C++ (beginner) [1.0]?'));
+
+            expect(pattern.test('C++ (beginner) [1.0]?')).toBe(true);
+            expect(pattern.test('CCC (beginner) [1x0]')).toBe(false);
+        });
+    });
+
+    describe('buildTextFilter', () => {
+        it('uses the text index', () => {
+            expect(buildTextFilter('machine learning')).toEqual({ $text: { $search: 'machine learning' } });
+        });
+    });
+
+    describe('buildPrefixFilter', () => {
+        it('requires every term to start a word in one of the searchable fields', () => {
+            const { $and } = buildPrefixFilter('  hack   pun ');
+
+            expect($and).toHaveLength(2);
+            expect($and[0].$or.map(clause => Object.keys(clause)[0])).toEqual(['title', 'tags', 'skills', 'organizer.name']);
+
+            const pattern = $and[1].$or[0].title;
+            expect(pattern.test('Pune Hack Night')).toBe(true);
+            expect(pattern.test('Sputnik')).toBe(false);
+        });
+
+        it('escapes terms and keeps at most ten', () => {
+            const { $and } = buildPrefixFilter('c++ a b c d e f g h i j k');
+
+            expect($and).toHaveLength(10);
+            expect($and[0].$or[0].title.test('Learn C++ today')).toBe(true);
+        });
+    });
+
+    describe('buildFacetFilters', () => {
+        it('builds one filter per requested dimension', () => {
+            const filters = buildFacetFilters({ category: 'quiz', mode: 'Online', city: ' Pune ', fee: 'paid' });
+
+            expect(filters.category).toEqual({ category: 'quiz' });
+            expect(filters.mode).toEqual({ mode: 'Online' });
+            expect(filters.city['location.city'].test('pune')).toBe(true);
+            expect(filters.city['location.city'].test('Pune Cantonment')).toBe(false);
+            expect(filters.fee).toEqual({ 'registration.fee.isFree': false, 'registration.fee.amount': { $gt: 0 } });
+            expect(filters).not.toHaveProperty('date');
+        });
+
+        it('turns date buckets into non-overlapping start ranges', () => {
+            jest.useFakeTimers({ now: new Date('2025-06-10T08:00:00') });
+            const range = (date) => buildFacetFilters({ date }).date['dateTime.start'];
+
+            const today = range('today');
+            const week = range('this-week');
+            const month = range('this-month');
+            const later = range('later');
+
+            expect(today.$lte).toEqual(week.$gt);
+            expect(week.$lte).toEqual(month.$gt);
+            expect(month.$lte).toEqual(later.$gt);
+            expect(week.$lte.getTime() - Date.now()).toBe(7 * 24 * 60 * 60 * 1000);
+        });
+    });
+
+    describe('combineFilters', () => {
+        it('adds facet filters to the base, optionally leaving one out', () => {
+            const base = { status: 'published', $and: [{ visibility: 'public' }] };
+            const facets = { category: { category: 'quiz' }, mode: { mode: 'Online' } };
+
+            expect(combineFilters(base, facets)).toEqual({
+                status: 'published',
+                $and: [{ visibility: 'public' }, { category: 'quiz' }, { mode: 'Online' }]
+            });
+            expect(combineFilters(base, facets, 'category').$and).toEqual([{ visibility: 'public' }, { mode: 'Online' }]);
+            expect(combineFilters(base, {})).toBe(base);
+        });
+    });
+
+    describe('getFacets', () => {
+        it('counts each dimension without its own filter and lists every fixed bucket', async () => {
+            const aggregate = jest.spyOn(Event, 'aggregate').mockResolvedValue([{
+                category: [{ _id: 'quiz', count: 3 }],
+                mode: [{ _id: 'Online', count: 2 }],
+                city: [{ _id: 'Pune', count: 1 }],
+                fee: [{ _id: 'paid', count: 4 }],
+                date: [{ _id: 'later', count: 5 }]
+            }]);
+            const facetFilters = { category: { category: 'quiz' }, mode: { mode: 'Online' } };
+
+            const facets = await getFacets({ status: 'published' }, facetFilters);
+
+            const [match, { $facet }] = aggregate.mock.calls[0][0];
+            expect(match).toEqual({ $match: { status: 'published' } });
+            expect($facet.category[0].$match).toEqual({ $and: [{ mode: 'Online' }] });
+            expect($facet.fee[0].$match).toEqual({ $and: [{ category: 'quiz' }, { mode: 'Online' }] });
+
+            expect(facets.category).toEqual([{ value: 'quiz', count: 3 }]);
+            expect(facets.fee).toEqual([{ value: 'free', count: 0 }, { value: 'paid', count: 4 }]);
+            expect(facets.date.map(d => d.value)).toEqual(DATE_BUCKETS);
+            expect(facets.date.find(d => d.value === 'later').count).toBe(5);
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { getPaymentProvider, getPaymentConfigError } = require('../utils/paymentProviders');
+const { isPaymentUnavailable } = require('../utils/paymentService');
+const fake = require('../utils/paymentProviders/fake');
+
+describe('payment providers', () => {
+    const env = { ...process.env };
+
+    beforeEach(() => {
+        process.env.PAYMENT_WEBHOOK_SECRET = 'test_webhook_secret';
+        delete process.env.PAYMENT_PROVIDER;
+        process.env.NODE_ENV = 'test';
+    });
+
+    afterAll(() => {
+        process.env = env;
+    });
+
+    describe('getPaymentConfigError', () => {
+        it('reports a missing webhook secret without throwing', () => {
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+            expect(getPaymentConfigError()).toMatch(/PAYMENT_WEBHOOK_SECRET/);
+        });
+
+        it('reports the fake provider in production', () => {
+            process.env.NODE_ENV = 'production';
+            expect(getPaymentConfigError()).toMatch(/fake payment provider/);
+            expect(() => getPaymentProvider('fake')).toThrow(/fake payment provider/);
+        });
+
+        it('accepts the fake provider outside production', () => {
+            expect(getPaymentConfigError()).toBeNull();
+            expect(getPaymentProvider().name).toBe('fake');
+        });
+
+        it('reports unknown providers', () => {
+            process.env.PAYMENT_PROVIDER = 'nope';
+            expect(getPaymentConfigError()).toMatch(/Unknown payment provider/);
+            expect(() => getPaymentProvider('nope')).toThrow(/Unknown payment provider/);
+        });
+    });
+
+    describe('isPaymentUnavailable', () => {
+        const paidEvent = { isPaid: true };
+        const freeEvent = { isPaid: false };
+
+        it('refuses paid events only when payments are not configured', () => {
+            expect(isPaymentUnavailable(paidEvent)).toBe(false);
+
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+            expect(isPaymentUnavailable(paidEvent)).toBe(true);
+            expect(isPaymentUnavailable(freeEvent)).toBe(false);
+        });
+    });
+
+    describe('fake verifyWebhook', () => {
+        it('accepts a webhook signed with the configured secret', () => {
+            const { rawBody, signature } = fake.buildWebhook('payment.succeeded', 'fake_pi_1');
+            const webhook = fake.verifyWebhook(Buffer.from(rawBody), signature);
+
+            expect(webhook.type).toBe('payment.succeeded');
+            expect(webhook.paymentId).toBe('fake_pi_1');
+        });
+
+        it('rejects a tampered body', () => {
+            const { rawBody, signature } = fake.buildWebhook('payment.failed', 'fake_pi_1');
+            const tampered = rawBody.replace('payment.failed', 'payment.succeeded');
+
+            expect(() => fake.verifyWebhook(Buffer.from(tampered), signature)).toThrow(/Invalid webhook signature/);
+        });
+
+        it('rejects a webhook signed with another secret', () => {
+            const { rawBody, signature } = fake.buildWebhook('payment.succeeded', 'fake_pi_1');
+            process.env.PAYMENT_WEBHOOK_SECRET = 'another_secret';
+
+            expect(() => fake.verifyWebhook(Buffer.from(rawBody), signature)).toThrow(/Invalid webhook signature/);
+        });
+
+        it('rejects a missing signature', () => {
+            expect(() => fake.verifyWebhook(Buffer.from('{}'), undefined)).toThrow(/Missing webhook signature/);
+        });
+
+        it('refuses to verify without a secret', () => {
+            const { rawBody, signature } = fake.buildWebhook('payment.succeeded', 'fake_pi_1');
+            delete process.env.PAYMENT_WEBHOOK_SECRET;
+
+            expect(() => fake.verifyWebhook(Buffer.from(rawBody), signature)).toThrow(/PAYMENT_WEBHOOK_SECRET/);
+        });
+    });
+});
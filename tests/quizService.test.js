@@ -0,0 +1,181 @@
+const Event = require('../models/Event');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+const {
+    SUBMIT_GRACE_MS,
+    validateQuestions,
+    isCorrectResponse,
+    saveResponses,
+    getAttemptQuestions,
+    isAttemptOpen,
+    finalizeAttempt
+} = require('../utils/quizService');
+
+const buildQuiz = () => new Quiz({
+    durationMinutes: 10,
+    questions: [
+        {
+            type: 'mcq',
+            prompt: 'Capital of India?',
+            options: [{ text: 'Mumbai' }, { text: 'New Delhi', isCorrect: true }],
+            points: 2
+        },
+        {
+            type: 'multi-select',
+            prompt: 'Prime numbers?',
+            options: [{ text: '2', isCorrect: true }, { text: '3', isCorrect: true }, { text: '4' }]
+        },
+        { type: 'numeric', prompt: 'Pi to two places?', answer: 3.14, tolerance: 0.005 },
+        { type: 'short-answer', prompt: 'Language of the web?', acceptedAnswers: ['JavaScript', 'JS'] }
+    ]
+});
+
+const buildAttempt = (quiz, overrides = {}) => new QuizAttempt({
+    quiz: quiz._id,
+    event: quiz.event,
+    participant: quiz._id,
+    user: quiz._id,
+    expiresAt: new Date(Date.now() + 60 * 1000),
+    ...overrides
+});
+
+describe('quiz service', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('validateQuestions', () => {
+        it('accepts a valid question bank', () => {
+            expect(validateQuestions(buildQuiz().toObject().questions)).toBeNull();
+        });
+
+        it.each([
+            [[], /at least one question/],
+            [[{ type: 'mcq' }], /Question 1 needs a prompt/],
+            [[{ type: 'essay', prompt: 'Why?' }], /invalid type/],
+            [[{ type: 'mcq', prompt: 'Pick', options: [{ text: 'A', isCorrect: true }] }], /at least two options/],
+            [[{ type: 'mcq', prompt: 'Pick', options: [{ text: 'A', isCorrect: true }, { text: 'B', isCorrect: true }] }], /exactly one correct/],
+            [[{ type: 'multi-select', prompt: 'Pick', options: [{ text: 'A' }, { text: 'B' }] }], /at least one correct/],
+            [[{ type: 'numeric', prompt: 'How many?' }], /numeric answer/],
+            [[{ type: 'short-answer', prompt: 'Name?', acceptedAnswers: [' '] }], /accepted answer/]
+        ])('rejects %j', (questions, message) => {
+            expect(validateQuestions(questions)).toMatch(message);
+        });
+    });
+
+    describe('isCorrectResponse', () => {
+        const quiz = buildQuiz();
+        const [mcq, multi, numeric, short] = quiz.questions;
+
+        it('grades single and multiple choice by option id', () => {
+            expect(isCorrectResponse(mcq, mcq.options[1]._id.toString())).toBe(true);
+            expect(isCorrectResponse(mcq, mcq.options[0]._id.toString())).toBe(false);
+
+            const [two, three, four] = multi.options.map(o => o._id.toString());
+            expect(isCorrectResponse(multi, [three, two])).toBe(true);
+            expect(isCorrectResponse(multi, [two])).toBe(false);
+            expect(isCorrectResponse(multi, [two, three, four])).toBe(false);
+        });
+
+        it('grades numeric answers within the tolerance', () => {
+            expect(isCorrectResponse(numeric, 3.144)).toBe(true);
+            expect(isCorrectResponse(numeric, '3.14')).toBe(true);
+            expect(isCorrectResponse(numeric, 3.15)).toBe(false);
+        });
+
+        it('grades short answers ignoring case and spacing', () => {
+            expect(isCorrectResponse(short, '  javascript ')).toBe(true);
+            expect(isCorrectResponse(short, 'js')).toBe(true);
+            expect(isCorrectResponse(short, 'Java')).toBe(false);
+        });
+
+        it('never counts a blank response', () => {
+            expect(isCorrectResponse(numeric, '')).toBe(false);
+            expect(isCorrectResponse(short, null)).toBe(false);
+        });
+    });
+
+    describe('saveResponses', () => {
+        it('records answers and replaces earlier ones to the same question', () => {
+            const quiz = buildQuiz();
+            const attempt = buildAttempt(quiz);
+            const numeric = quiz.questions[2];
+
+            expect(saveResponses(quiz, attempt, [{ question: numeric._id, response: '3' }])).toBeNull();
+            expect(saveResponses(quiz, attempt, [{ question: numeric._id, response: '3.14' }])).toBeNull();
+
+            expect(attempt.answers).toHaveLength(1);
+            expect(attempt.answers[0].response).toBe(3.14);
+        });
+
+        it('rejects questions from another quiz and malformed responses', () => {
+            const quiz = buildQuiz();
+            const attempt = buildAttempt(quiz);
+
+            expect(saveResponses(quiz, attempt, 'nope')).toMatch(/must be a list/);
+            expect(saveResponses(quiz, attempt, [{ question: buildQuiz().questions[0]._id, response: 'x' }])).toMatch(/not part of this quiz/);
+            expect(saveResponses(quiz, attempt, [{ question: quiz.questions[0]._id, response: 'x' }])).toMatch(/Choose one of the options/);
+            expect(saveResponses(quiz, attempt, [{ question: quiz.questions[3]._id, response: 'x'.repeat(501) }])).toMatch(/longer than 500/);
+        });
+    });
+
+    describe('getAttemptQuestions', () => {
+        it('follows the attempt order and hides the answers', () => {
+            const quiz = buildQuiz();
+            const attempt = buildAttempt(quiz, { questionOrder: [quiz.questions[2]._id, quiz.questions[0]._id] });
+            const questions = getAttemptQuestions(quiz, attempt);
+
+            expect(questions.map(q => q.prompt)).toEqual(['Pi to two places?', 'Capital of India?']);
+            expect(questions[1].options.every(o => !('isCorrect' in o))).toBe(true);
+            expect(questions[0]).not.toHaveProperty('answer');
+        });
+    });
+
+    describe('isAttemptOpen', () => {
+        it('allows saving until the grace period after expiry', () => {
+            const expiresAt = new Date('2025-01-01T10:00:00Z');
+            const attempt = { status: 'in-progress', expiresAt };
+
+            expect(isAttemptOpen(attempt, new Date(expiresAt.getTime() + SUBMIT_GRACE_MS))).toBe(true);
+            expect(isAttemptOpen(attempt, new Date(expiresAt.getTime() + SUBMIT_GRACE_MS + 1))).toBe(false);
+            expect(isAttemptOpen({ ...attempt, status: 'submitted' }, expiresAt)).toBe(false);
+        });
+    });
+
+    describe('finalizeAttempt', () => {
+        const finalize = async (quiz, attempt, now) => {
+            const update = jest.spyOn(QuizAttempt, 'findOneAndUpdate').mockImplementation((filter, { $set }) => Promise.resolve($set));
+            jest.spyOn(Event, 'updateOne').mockResolvedValue({});
+
+            const result = await finalizeAttempt(quiz, attempt, now);
+            expect(update).toHaveBeenCalledWith({ _id: attempt._id, status: 'in-progress' }, expect.any(Object), { new: true });
+            return result;
+        };
+
+        it('scores each answer with its question points', async () => {
+            const quiz = buildQuiz();
+            const attempt = buildAttempt(quiz);
+            saveResponses(quiz, attempt, [
+                { question: quiz.questions[0]._id, response: quiz.questions[0].options[1]._id.toString() },
+                { question: quiz.questions[3]._id, response: 'Python' }
+            ]);
+
+            const result = await finalize(quiz, attempt, new Date());
+
+            expect(result.status).toBe('submitted');
+            expect(result.score).toBe(2);
+            expect(result.maxScore).toBe(5);
+            expect(result.answers.map(a => a.correct)).toEqual([true, false]);
+        });
+
+        it('records late submissions as expired at the deadline', async () => {
+            const quiz = buildQuiz();
+            const attempt = buildAttempt(quiz, { expiresAt: new Date(Date.now() - SUBMIT_GRACE_MS - 1000) });
+
+            const result = await finalize(quiz, attempt, new Date());
+
+            expect(result.status).toBe('expired');
+            expect(result.submittedAt).toEqual(attempt.expiresAt);
+        });
+    });
+});
@@ -0,0 +1,102 @@
+const { MAX_OCCURRENCES, parseRecurrence, formatRRule, expandOccurrences } = require('../utils/recurrence');
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('recurrence', () => {
+    describe('parseRecurrence', () => {
+        it('parses an RRULE string into the stored form', () => {
+            expect(parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=WE,MO;COUNT=4')).toEqual({
+                rule: { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'WE'], count: 4 }
+            });
+        });
+
+        it('reads basic iCalendar UNTIL dates as the end of that day', () => {
+            const { rule } = parseRecurrence('FREQ=DAILY;INTERVAL=2;UNTIL=20250131');
+
+            expect(rule.interval).toBe(2);
+            expect(rule.until.toISOString()).toBe('2025-01-31T23:59:59.000Z');
+        });
+
+        it('accepts the object form', () => {
+            expect(parseRecurrence({ frequency: 'MONTHLY', count: '3' })).toEqual({
+                rule: { frequency: 'monthly', interval: 1, byWeekday: [], count: 3 }
+            });
+        });
+
+        it.each([
+            [undefined, /is required/],
+            ['FREQ=WEEKLY;COUNT=2;BYMONTH=1', /Unsupported recurrence rule parts: BYMONTH/],
+            ['FREQ=YEARLY;COUNT=2', /frequency must be one of/],
+            ['FREQ=DAILY;INTERVAL=13;COUNT=2', /interval must be a whole number/],
+            ['FREQ=DAILY;BYDAY=MO;COUNT=2', /Weekdays can only be set on weekly/],
+            ['FREQ=WEEKLY;BYDAY=XX;COUNT=2', /weekdays must be from/],
+            ['FREQ=DAILY', /either a count or an until date/],
+            ['FREQ=DAILY;COUNT=2;UNTIL=20250131', /either a count or an until date/],
+            [`FREQ=DAILY;COUNT=${MAX_OCCURRENCES + 1}`, /count must be from 1/],
+            ['FREQ=DAILY;UNTIL=someday', /until must be a valid date/]
+        ])('rejects %s', (input, message) => {
+            expect(parseRecurrence(input).error).toMatch(message);
+        });
+    });
+
+    describe('formatRRule', () => {
+        it('round-trips through parseRecurrence', () => {
+            const text = 'FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH;UNTIL=20250630T235959Z';
+            const { rule } = parseRecurrence(text);
+
+            expect(formatRRule(rule)).toBe(text);
+        });
+    });
+
+    describe('expandOccurrences', () => {
+        it('repeats daily from the start', () => {
+            const starts = expandOccurrences({ frequency: 'daily', interval: 2, count: 3 }, new Date('2025-01-01T10:00:00Z'), 'UTC');
+
+            expect(iso(starts)).toEqual(['2025-01-01T10:00:00.000Z', '2025-01-03T10:00:00.000Z', '2025-01-05T10:00:00.000Z']);
+        });
+
+        it('visits each listed weekday after the start', () => {
+            // Wednesday 5 March 2025
+            const rule = { frequency: 'weekly', interval: 1, byWeekday: ['MO', 'WE'], count: 4 };
+            const starts = expandOccurrences(rule, new Date('2025-03-05T09:00:00Z'), 'UTC');
+
+            expect(iso(starts)).toEqual([
+                '2025-03-05T09:00:00.000Z',
+                '2025-03-10T09:00:00.000Z',
+                '2025-03-12T09:00:00.000Z',
+                '2025-03-17T09:00:00.000Z'
+            ]);
+        });
+
+        it('keeps the wall-clock time across a DST change', () => {
+            // 6pm in New York, before and after clocks go forward on 9 March 2025
+            const starts = expandOccurrences({ frequency: 'weekly', interval: 1, count: 2 }, new Date('2025-03-04T23:00:00Z'), 'America/New_York');
+
+            expect(iso(starts)).toEqual(['2025-03-04T23:00:00.000Z', '2025-03-11T22:00:00.000Z']);
+        });
+
+        it('skips months without the start day', () => {
+            const starts = expandOccurrences({ frequency: 'monthly', interval: 1, count: 3 }, new Date('2025-01-31T12:00:00Z'), 'UTC');
+
+            expect(iso(starts)).toEqual(['2025-01-31T12:00:00.000Z', '2025-03-31T12:00:00.000Z', '2025-05-31T12:00:00.000Z']);
+        });
+
+        it('stops at the until date', () => {
+            const rule = { frequency: 'daily', interval: 1, until: new Date('2025-01-03T23:59:59Z') };
+
+            expect(expandOccurrences(rule, new Date('2025-01-01T10:00:00Z'), 'UTC')).toHaveLength(3);
+        });
+
+        it('has no occurrences when the rule ends before the start', () => {
+            const rule = { frequency: 'daily', interval: 1, until: new Date('2024-12-31T00:00:00Z') };
+
+            expect(expandOccurrences(rule, new Date('2025-01-01T10:00:00Z'), 'UTC')).toEqual([]);
+        });
+
+        it(`never returns more than ${MAX_OCCURRENCES} occurrences`, () => {
+            const rule = { frequency: 'daily', interval: 1, until: new Date('2030-01-01T00:00:00Z') };
+
+            expect(expandOccurrences(rule, new Date('2025-01-01T10:00:00Z'), 'UTC')).toHaveLength(MAX_OCCURRENCES);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const {
+    validateFormDefinition,
+    validateAnswers,
+    getParticipantAnswers
+} = require('../utils/registrationForm');
+
+const textField = (validation) => ({ key: 'code', label: 'Code', type: 'text', validation });
+
+describe('registration forms', () => {
+    describe('validateFormDefinition', () => {
+        it('accepts a simple pattern', () => {
+            expect(validateFormDefinition([textField({ pattern: '^[A-Z]{2}\\d{4}$' })])).toBeNull();
+            expect(validateFormDefinition([textField({ pattern: '^(\\+91)?\\d{10}$' })])).toBeNull();
+        });
+
+        it('rejects invalid and overly long patterns', () => {
+            expect(validateFormDefinition([textField({ pattern: '([a-z' })])).toMatch(/invalid pattern/);
+            expect(validateFormDefinition([textField({ pattern: 'a'.repeat(201) })])).toMatch(/longer than 200/);
+        });
+
+        it.each([
+            '^(a+)+$',
+            '^(a|aa)*$',
+            '^((ab)*c)+$',
+            '^(\\w+\\s?)*$',
+            '^(a)\\1$'
+        ])('rejects the backtracking-prone pattern %s', (pattern) => {
+            expect(validateFormDefinition([textField({ pattern })])).toMatch(/nested repetition or backreferences/);
+        });
+
+        it('treats quantifiers inside character classes as literals', () => {
+            expect(validateFormDefinition([textField({ pattern: '^([+*]x)+$' })])).toBeNull();
+        });
+    });
+
+    describe('validateAnswers', () => {
+        it('checks text answers against the pattern', () => {
+            const form = [textField({ pattern: '^[A-Z]{2}\\d{4}$' })];
+
+            expect(validateAnswers(form, { code: 'AB1234' })).toEqual({ answers: { code: 'AB1234' }, files: [] });
+            expect(validateAnswers(form, { code: 'nope' }).errors[0].message).toBe('Code is not in the expected format');
+        });
+
+        it('does not run a pattern on very long input', () => {
+            const form = [textField({ pattern: '^a+$' })];
+
+            expect(validateAnswers(form, { code: 'a'.repeat(501) }).errors[0].message).toMatch(/more than 500 characters/);
+        });
+
+        it('caps text answers even without a maxLength', () => {
+            const form = [{ key: 'bio', label: 'Bio', type: 'textarea' }];
+
+            expect(validateAnswers(form, { bio: 'x'.repeat(5001) }).errors[0].message).toMatch(/more than 5000 characters/);
+            expect(validateAnswers(form, { bio: 'x'.repeat(5000) }).answers.bio).toHaveLength(5000);
+        });
+
+        it('skips an unsafe pattern saved before patterns were checked', () => {
+            const form = [textField({ pattern: '^(a+)+$' })];
+
+            expect(validateAnswers(form, { code: `${'a'.repeat(40)}!` })).toEqual({ answers: { code: `${'a'.repeat(40)}!` }, files: [] });
+        });
+
+        it('reports required and invalid answers together', () => {
+            const form = [
+                { key: 'email', label: 'Email', type: 'email', required: true },
+                { key: 'size', label: 'T-shirt size', type: 'select', options: ['S', 'M', 'L'] }
+            ];
+
+            expect(validateAnswers(form, { size: 'XL' }).errors).toEqual([
+                { field: 'email', message: 'Email is required' },
+                { field: 'size', message: 'T-shirt size is not one of the available options' }
+            ]);
+        });
+    });
+
+    describe('getParticipantAnswers', () => {
+        it('links files through the signed URLs and never a stored public URL', () => {
+            const form = [
+                { key: 'resume', label: 'Resume', type: 'file' },
+                { key: 'agree', label: 'Agree', type: 'boolean' }
+            ];
+            const participant = {
+                answers: {
+                    resume: { name: 'cv.pdf', path: 'event/user/resume.pdf', url: 'https://public.example/cv.pdf' },
+                    agree: true
+                }
+            };
+
+            expect(getParticipantAnswers(form, participant, new Map([['event/user/resume.pdf', 'https://signed.example/cv']])))
+                .toEqual([
+                    { key: 'resume', label: 'Resume', value: 'https://signed.example/cv' },
+                    { key: 'agree', label: 'Agree', value: 'Yes' }
+                ]);
+            expect(getParticipantAnswers(form, participant)[0].value).toBe('');
+        });
+    });
+});
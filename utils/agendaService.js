@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { getZonedParts } = require('./calendarService');
+
+// Event agendas: tracks, speaker profiles and clash detection, both for the organizer's
+// timetable (rooms and speakers can't be in two places at once) and personal agendas
+
+const MAX_TRACKS = 20;
+const MAX_SPEAKERS = 10;
+
+const sameText = (a, b) => Boolean(a) && Boolean(b) && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+const overlaps = (a, b) => new Date(a.startsAt) < new Date(b.endsAt) && new Date(b.startsAt) < new Date(a.endsAt);
+
+// Check an organizer-supplied track list, returning an error message or null
+const validateTracks = (tracks) => {
+    if (!Array.isArray(tracks)) return 'Tracks must be a list';
+    if (tracks.length > MAX_TRACKS) return `An agenda cannot have more than ${MAX_TRACKS} tracks`;
+
+    const names = new Set();
+    for (const track of tracks) {
+        const name = track && typeof track.name === 'string' ? track.name.trim().toLowerCase() : '';
+        if (!name) return 'Every track needs a name';
+        if (names.has(name)) return `Duplicate track "${track.name}"`;
+        names.add(name);
+    }
+
+    return null;
+};
+
+// The event's spelling of a track name, or null if the event has no such track
+const findTrackName = (event, name) => {
+    const track = (event.tracks || []).find(t => sameText(t.name, name));
+    return track ? track.name : null;
+};
+
+// Build speaker entries. Speakers given as a LiftupLabs `user` get their name, avatar,
+// bio and social links from the account unless the organizer overrides them.
+// Resolves to { speakers } or { error }.
+const resolveSpeakers = async (rawSpeakers = []) => {
+    if (!Array.isArray(rawSpeakers)) return { error: 'Speakers must be a list' };
+    if (rawSpeakers.length > MAX_SPEAKERS) return { error: `A session cannot have more than ${MAX_SPEAKERS} speakers` };
+
+    const userIds = rawSpeakers.filter(s => s && s.user).map(s => String(s.user));
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) return { error: 'Speaker user is not a valid id' };
+
+    const users = userIds.length
+        ? await User.find({ _id: { $in: userIds } }).select('name avatar profile.bio profile.institution profile.socialLinks')
+        : [];
+
+    const speakers = [];
+    for (const raw of rawSpeakers) {
+        if (!raw) return { error: 'Every speaker needs a name or a user' };
+
+        const user = raw.user && users.find(u => u._id.toString() === String(raw.user));
+        if (raw.user && !user) return { error: 'Speaker user not found' };
+
+        const name = raw.name || (user && user.name);
+        if (!name) return { error: 'Every speaker needs a name or a user' };
+
+        const socialLinks = (user && user.profile && user.profile.socialLinks) || {};
+        speakers.push({
+            user: user ? user._id : undefined,
+            name,
+            headline: raw.headline || (user && user.profile && user.profile.institution) || undefined,
+            bio: raw.bio || (user && user.profile && user.profile.bio) || undefined,
+            avatar: raw.avatar || (user && user.avatar) || undefined,
+            links: {
+                website: raw.links?.website,
+                linkedin: raw.links?.linkedin || socialLinks.linkedin,
+                twitter: raw.links?.twitter || socialLinks.twitter,
+                github: raw.links?.github || socialLinks.github
+            }
+        });
+    }
+
+    return { speakers };
+};
+
+const isSameSpeaker = (a, b) => (a.user && b.user)
+    ? a.user.toString() === b.user.toString()
+    : !a.user && !b.user && sameText(a.name, b.name);
+
+// Sessions a new or edited session can't run alongside: the same room, or a shared speaker,
+// at an overlapping time. Returns [{ sessionId, title, reason }].
+const findScheduleConflicts = (session, others) => {
+    const conflicts = [];
+
+    others
+        .filter(other => !session._id || other._id.toString() !== session._id.toString())
+        .filter(other => overlaps(session, other))
+        .forEach(other => {
+            if (sameText(session.room, other.room)) {
+                conflicts.push({ sessionId: other._id, title: other.title, reason: `${other.room} is already booked` });
+            }
+
+            const speaker = (session.speakers || []).find(s => (other.speakers || []).some(o => isSameSpeaker(s, o)));
+            if (speaker) {
+                conflicts.push({ sessionId: other._id, title: other.title, reason: `${speaker.name} is already speaking` });
+            }
+        });
+
+    return conflicts;
+};
+
+// Overlapping sessions within a personal agenda, as a map of session id to the
+// [{ _id, title }] it clashes with
+const findAgendaClashes = (sessions) => {
+    const clashes = new Map(sessions.map(s => [s._id.toString(), []]));
+
+    sessions.forEach((a, i) => {
+        sessions.slice(i + 1).forEach(b => {
+            if (!overlaps(a, b)) return;
+            clashes.get(a._id.toString()).push({ _id: b._id, title: b.title });
+            clashes.get(b._id.toString()).push({ _id: a._id, title: a.title });
+        });
+    });
+
+    return clashes;
+};
+
+// Calendar day (YYYY-MM-DD) a session starts on, in the event's timezone
+const getSessionDay = (session, timeZone) => {
+    const parts = timeZone && getZonedParts(session.startsAt, timeZone);
+    if (!parts) return new Date(session.startsAt).toISOString().slice(0, 10);
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+module.exports = {
+    validateTracks,
+    findTrackName,
+    resolveSpeakers,
+    findScheduleConflicts,
+    findAgendaClashes,
+    getSessionDay
+};
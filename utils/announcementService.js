@@ -0,0 +1,63 @@
+const Announcement = require('../models/Announcement');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getEventUserIds } = require('./registrationService');
+const { sendAnnouncementEmail } = require('./emailService');
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Deliver a new announcement to everyone registered for the event: an inbox entry each
+// and, if requested, an email. Counts are recorded on the announcement once done.
+const fanOutAnnouncement = async (announcement, event) => {
+    const userIds = await getEventUserIds(event);
+    let emailedCount = 0;
+
+    if (announcement.delivery.inApp) {
+        const notifications = userIds.map(userId => ({
+            user: userId,
+            type: 'announcement',
+            title: `${event.title}: ${announcement.title}`,
+            message: announcement.body.slice(0, 200),
+            link: `/events/${event._id}/announcements`,
+            event: event._id,
+            announcement: announcement._id
+        }));
+
+        for (let i = 0; i < notifications.length; i += INSERT_BATCH_SIZE) {
+            await Notification.insertMany(notifications.slice(i, i + INSERT_BATCH_SIZE));
+        }
+    }
+
+    if (announcement.delivery.email) {
+        const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('name email');
+        for (const user of users) {
+            const sent = await sendAnnouncementEmail(user.email, user.name, event, announcement);
+            if (sent) emailedCount += 1;
+        }
+    }
+
+    await Announcement.updateOne(
+        { _id: announcement._id },
+        {
+            $set: {
+                'delivery.recipientCount': userIds.length,
+                'delivery.emailedCount': emailedCount,
+                'delivery.completedAt': new Date()
+            }
+        }
+    );
+};
+
+// Record a read receipt and clear the matching inbox entry
+const markAnnouncementRead = async (announcementId, userId) => {
+    await Announcement.markRead(announcementId, userId);
+    await Notification.updateMany(
+        { announcement: announcementId, user: userId, readAt: null },
+        { $set: { readAt: new Date() } }
+    );
+};
+
+module.exports = {
+    fanOutAnnouncement,
+    markAnnouncementRead
+};
@@ -0,0 +1,249 @@
+const { fromGeoPoint } = require('./geoService');
+
+// iCalendar (RFC 5545) generation for events and calendar subscription feeds
+
+const PRODUCT_ID = '-//LiftupLabs//Events//EN';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Intl formatters are slow to build, and timezone rules are scanned day by day
+const zoneFormatters = new Map();
+
+// Escape a TEXT value (RFC 5545 section 3.3.11)
+const escapeText = (value = '') => {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+};
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentLength = 0;
+    let limit = 75;
+
+    for (const char of line) {
+        const charLength = Buffer.byteLength(char, 'utf8');
+        if (currentLength + charLength > limit) {
+            parts.push(current);
+            current = '';
+            currentLength = 0;
+            limit = 74; // Continuation lines start with a space
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Format a date as UTC (e.g. 20250101T093000Z)
+const formatUtc = (date) => {
+    const d = new Date(date);
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+        `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// Wall-clock parts of a date in a timezone, or null if the timezone is unknown
+const getZonedParts = (date, timeZone) => {
+    try {
+        if (!zoneFormatters.has(timeZone)) {
+            zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        }
+        const parts = zoneFormatters.get(timeZone).formatToParts(new Date(date));
+
+        return Object.fromEntries(parts.map(p => [p.type, p.value]));
+    } catch (error) {
+        return null;
+    }
+};
+
+// Format a date as local time in a timezone (e.g. 20250101T150000)
+const formatLocal = (parts) => {
+    return `${parts.year}${parts.month}${parts.day}T${parts.hour}${parts.minute}${parts.second}`;
+};
+
+// UTC offset of a timezone at a given instant, in minutes
+const getOffsetMinutes = (timeZone, instant) => {
+    const parts = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / MINUTE_MS);
+};
+
+// An offset in minutes as +HHMM / -HHMM
+const formatOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    return `${sign}${pad(Math.floor(abs / 60))}${pad(abs % 60)}`;
+};
+
+// Every offset change of a timezone between two instants, as { at, from, to } with `at` the
+// first minute of the new offset. Scans day by day, then narrows each change to the minute.
+const getOffsetTransitions = (timeZone, start, end) => {
+    const transitions = [];
+    let previous = getOffsetMinutes(timeZone, start);
+
+    for (let day = start; day < end; day += DAY_MS) {
+        const next = Math.min(day + DAY_MS, end);
+        const offset = getOffsetMinutes(timeZone, next);
+        if (offset === previous) continue;
+
+        let before = day;
+        let after = next;
+        while (after - before > MINUTE_MS) {
+            const middle = before + Math.floor((after - before) / MINUTE_MS / 2) * MINUTE_MS;
+            if (getOffsetMinutes(timeZone, middle) === previous) before = middle;
+            else after = middle;
+        }
+
+        transitions.push({ at: after, from: previous, to: offset });
+        previous = offset;
+    }
+
+    return transitions;
+};
+
+// VTIMEZONE for a zone covering every instant from `start` to `end`: the offset in effect
+// at the start, then one observance per transition (RFC 5545 section 3.6.5). An observance
+// is DAYLIGHT when its offset is ahead of the zone's lowest offset in the range.
+const buildTimezone = (timeZone, start, end) => {
+    // Whole minutes, so local onset times come out exact
+    const rangeStart = Math.floor((new Date(start).getTime() - DAY_MS) / MINUTE_MS) * MINUTE_MS;
+    const rangeEnd = Math.ceil((new Date(end).getTime() + DAY_MS) / MINUTE_MS) * MINUTE_MS;
+
+    const initial = getOffsetMinutes(timeZone, rangeStart);
+    const transitions = getOffsetTransitions(timeZone, rangeStart, rangeEnd);
+    const standardOffset = Math.min(initial, ...transitions.map(t => t.to));
+
+    // DTSTART is the local time of the onset, read on the clock of the offset being left
+    const observance = ({ at, from, to }) => {
+        const kind = to > standardOffset ? 'DAYLIGHT' : 'STANDARD';
+        return [
+            `BEGIN:${kind}`,
+            `DTSTART:${formatUtc(at + from * MINUTE_MS).slice(0, -1)}`,
+            `TZOFFSETFROM:${formatOffset(from)}`,
+            `TZOFFSETTO:${formatOffset(to)}`,
+            `END:${kind}`
+        ];
+    };
+
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        ...observance({ at: rangeStart, from: initial, to: initial }),
+        ...transitions.flatMap(observance),
+        'END:VTIMEZONE'
+    ];
+};
+
+// Human readable location for an event
+const formatLocation = (event) => {
+    const location = event.location || {};
+    const place = [location.venue, location.city, location.state, location.country].filter(Boolean).join(', ');
+
+    if (event.mode === 'Online') return 'Online';
+    if (event.mode === 'Hybrid') return place ? `${place} (Hybrid)` : 'Hybrid';
+    return place;
+};
+
+// Build the VEVENT lines for an event
+const buildEventLines = (event) => {
+    const timeZone = event.dateTime.timezone;
+    const startParts = timeZone && getZonedParts(event.dateTime.start, timeZone);
+    const endParts = timeZone && getZonedParts(event.dateTime.end, timeZone);
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const updatedAt = event.updatedAt || event.createdAt || new Date();
+    const location = formatLocation(event);
+    const coordinates = fromGeoPoint(event.location?.coordinates);
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${event._id}@liftuplabs`,
+        `DTSTAMP:${formatUtc(new Date())}`,
+        `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+        // Seconds since epoch only ever grow, so clients pick up every edit
+        `SEQUENCE:${Math.floor(new Date(updatedAt).getTime() / 1000)}`
+    ];
+
+    if (startParts && endParts) {
+        lines.push(`DTSTART;TZID=${timeZone}:${formatLocal(startParts)}`);
+        lines.push(`DTEND;TZID=${timeZone}:${formatLocal(endParts)}`);
+    } else {
+        lines.push(`DTSTART:${formatUtc(event.dateTime.start)}`);
+        lines.push(`DTEND:${formatUtc(event.dateTime.end)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.title)}`);
+    lines.push(`DESCRIPTION:${escapeText(`${event.description || ''}\n\n${eventUrl}`)}`);
+    if (location) lines.push(`LOCATION:${escapeText(location)}`);
+    if (coordinates) {
+        lines.push(`GEO:${coordinates.latitude};${coordinates.longitude}`);
+    }
+    lines.push(`URL:${eventUrl}`);
+    if (event.organizer?.name) {
+        const email = event.organizer.contact?.email;
+        lines.push(`ORGANIZER;CN="${String(event.organizer.name).replace(/["\r\n]/g, '')}":${email ? `mailto:${email}` : eventUrl}`);
+    }
+    if (event.category) lines.push(`CATEGORIES:${escapeText(event.category)}`);
+    lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+};
+
+// Build a full VCALENDAR document for one or more events
+const buildCalendar = (events, calendarName = 'LiftupLabs Events') => {
+    // The span each timezone has to cover
+    const ranges = new Map();
+    events.forEach(event => {
+        const timeZone = event.dateTime.timezone;
+        if (!timeZone || !getZonedParts(event.dateTime.start, timeZone)) return;
+
+        const start = new Date(event.dateTime.start).getTime();
+        const end = new Date(event.dateTime.end || event.dateTime.start).getTime();
+        const range = ranges.get(timeZone) || { start, end };
+        ranges.set(timeZone, { start: Math.min(range.start, start), end: Math.max(range.end, end) });
+    });
+    const timezones = [...ranges].map(([timeZone, { start, end }]) => buildTimezone(timeZone, start, end));
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        // Ask subscribed clients to refresh hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+        ...timezones.flat(),
+        ...events.flatMap(buildEventLines),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    getZonedParts,
+    buildCalendar
+};
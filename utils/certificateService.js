@@ -0,0 +1,267 @@
+const multer = require('multer');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const Certificate = require('../models/Certificate');
+const User = require('../models/User');
+const { getParticipantUserIds } = require('./registrationService');
+const { uploadFile } = require('./fileStorage');
+
+// Participation and winner certificates: issuing, PDF rendering and template uploads
+
+const TEMPLATE_BUCKET = 'certificate-templates';
+const TEMPLATE_TYPES = ['application/pdf', 'image/png', 'image/jpeg'];
+
+// A4 landscape, used when the organizer hasn't uploaded a template
+const DEFAULT_PAGE_SIZE = [841.89, 595.28];
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (TEMPLATE_TYPES.includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Certificate templates must be PDF, PNG or JPEG files'), false);
+        }
+    },
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB
+    }
+}).single('template');
+
+// Accept an optional certificate template upload under the "template" field
+const certificateTemplateUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE' ? 'Certificate templates cannot be larger than 5MB' : error.message
+        });
+    });
+};
+
+// Upload a template file and return what to store in event.certificate.template
+const uploadCertificateTemplate = async (eventId, file) => {
+    const extension = { 'application/pdf': 'pdf', 'image/png': 'png', 'image/jpeg': 'jpg' }[file.mimetype];
+    const { url, path } = await uploadFile(TEMPLATE_BUCKET, `${eventId}/template-${Date.now()}.${extension}`, file);
+    return { url, path, mimeType: file.mimetype };
+};
+
+// Public verification URL printed on each certificate
+const getVerifyUrl = (req, certificateId) => {
+    const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/api/certificates/${certificateId}/verify`;
+};
+
+// Certificates a participant entry has earned: participation once attended,
+// and one winner certificate per prize it was awarded
+const getEarnedCertificates = (event, participant) => {
+    const earned = [];
+
+    if (participant.status === 'attended') {
+        earned.push({ type: 'participation', position: '' });
+    }
+
+    (event.prizes || []).forEach(prize => {
+        if ((prize.winners || []).some(id => id.equals(participant._id))) {
+            earned.push({ type: 'winner', position: prize.position });
+        }
+    });
+
+    return earned;
+};
+
+// Issue (or fetch the already issued) certificates for a participant entry.
+// Team entries issue one certificate per accepted member. Certificate IDs are assigned
+// on first issue only, so a certificate keeps the same ID however often it is downloaded.
+const issueCertificates = async (event, participant) => {
+    const earned = getEarnedCertificates(event, participant);
+    if (!earned.length) return [];
+
+    const userIds = await getParticipantUserIds(participant);
+    const users = await User.find({ _id: { $in: userIds } }).select('name');
+    const certificates = [];
+
+    for (const user of users) {
+        for (const { type, position } of earned) {
+            const certificate = await Certificate.findOneAndUpdate(
+                { event: event._id, user: user._id, type, position },
+                {
+                    $setOnInsert: {
+                        certificateId: Certificate.generateId(),
+                        participant: participant._id,
+                        recipientName: user.name,
+                        eventTitle: event.title,
+                        teamName: participant.teamName,
+                        issuedAt: new Date()
+                    }
+                },
+                { upsert: true, new: true }
+            );
+            certificates.push(certificate);
+        }
+    }
+
+    return certificates;
+};
+
+// Issue certificates for everyone who earned one, e.g. once the event completes
+const issueEventCertificates = async (event) => {
+    let issued = 0;
+    for (const participant of event.participants) {
+        issued += (await issueCertificates(event, participant)).length;
+    }
+    return issued;
+};
+
+// Layout used when the organizer hasn't placed the merge fields themselves
+const DEFAULT_FIELDS = {
+    participation: [
+        { key: 'name', y: 45, fontSize: 34 },
+        { key: 'eventTitle', y: 58, fontSize: 20 },
+        { key: 'date', y: 66, fontSize: 14 },
+        { key: 'certificateId', y: 92, fontSize: 9 }
+    ],
+    winner: [
+        { key: 'position', y: 36, fontSize: 22 },
+        { key: 'name', y: 47, fontSize: 34 },
+        { key: 'eventTitle', y: 60, fontSize: 20 },
+        { key: 'date', y: 68, fontSize: 14 },
+        { key: 'certificateId', y: 92, fontSize: 9 }
+    ]
+};
+
+const hexToRgb = (hex = '#111827') => {
+    const value = parseInt(hex.slice(1), 16);
+    return rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+};
+
+// Standard PDF fonts only cover Latin-1; replace anything else rather than failing the render
+const toDrawableText = (font, text) => {
+    try {
+        font.encodeText(text);
+        return text;
+    } catch (error) {
+        return Array.from(text).map(char => {
+            try {
+                font.encodeText(char);
+                return char;
+            } catch (charError) {
+                return '?';
+            }
+        }).join('');
+    }
+};
+
+// Load the organizer's template as the first page, or start a blank one
+const createBasePage = async (event) => {
+    const template = event.certificate?.template;
+
+    if (template && template.url) {
+        const response = await fetch(template.url);
+        if (!response.ok) throw new Error(`Could not load certificate template (${response.status})`);
+        const bytes = await response.arrayBuffer();
+
+        if (template.mimeType === 'application/pdf') {
+            const templateDoc = await PDFDocument.load(bytes);
+            const pdfDoc = await PDFDocument.create();
+            const [page] = await pdfDoc.copyPages(templateDoc, [0]);
+            pdfDoc.addPage(page);
+            return { pdfDoc, page, hasTemplate: true };
+        }
+
+        const pdfDoc = await PDFDocument.create();
+        const image = template.mimeType === 'image/png'
+            ? await pdfDoc.embedPng(bytes)
+            : await pdfDoc.embedJpg(bytes);
+        const page = pdfDoc.addPage([image.width, image.height]);
+        page.drawImage(image, { x: 0, y: 0, width: image.width, height: image.height });
+        return { pdfDoc, page, hasTemplate: true };
+    }
+
+    const pdfDoc = await PDFDocument.create();
+    const page = pdfDoc.addPage(DEFAULT_PAGE_SIZE);
+    return { pdfDoc, page, hasTemplate: false };
+};
+
+// Render a certificate as a PDF (resolves to a Buffer)
+const renderCertificatePdf = async (event, certificate, verifyUrl) => {
+    const { pdfDoc, page, hasTemplate } = await createBasePage(event);
+    const { width, height } = page.getSize();
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+    pdfDoc.setTitle(`${certificate.eventTitle} - ${certificate.recipientName}`);
+    pdfDoc.setSubject(`Certificate ${certificate.certificateId}`);
+    pdfDoc.setProducer('LiftupLabs');
+
+    // Without a template, draw a simple frame and heading
+    if (!hasTemplate) {
+        const accent = hexToRgb('#f97316');
+        page.drawRectangle({ x: 24, y: 24, width: width - 48, height: height - 48, borderColor: accent, borderWidth: 4 });
+        const heading = certificate.type === 'winner' ? 'Certificate of Achievement' : 'Certificate of Participation';
+        page.drawText(heading, {
+            x: (width - bold.widthOfTextAtSize(heading, 36)) / 2,
+            y: height * 0.78,
+            size: 36,
+            font: bold,
+            color: hexToRgb('#111827')
+        });
+    }
+
+    const values = {
+        name: certificate.recipientName,
+        eventTitle: certificate.eventTitle,
+        date: new Date(event.dateTime.start).toLocaleDateString('en-IN', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            timeZone: event.dateTime.timezone || 'Asia/Kolkata'
+        }),
+        position: certificate.position,
+        teamName: certificate.teamName || '',
+        organizer: event.organizer?.name || '',
+        certificateId: `Certificate ID: ${certificate.certificateId}`
+    };
+
+    const fields = event.certificate?.fields?.length
+        ? event.certificate.fields
+        : DEFAULT_FIELDS[certificate.type];
+
+    fields.forEach(field => {
+        const text = values[field.key];
+        if (!text) return;
+
+        const font = field.key === 'name' ? bold : regular;
+        const size = field.fontSize || 24;
+        const drawable = toDrawableText(font, String(text));
+        const textWidth = font.widthOfTextAtSize(drawable, size);
+        const anchorX = ((field.x === undefined ? 50 : field.x) / 100) * width;
+        const x = { left: anchorX, right: anchorX - textWidth }[field.align] ?? anchorX - textWidth / 2;
+        const y = height - (field.y / 100) * height - size / 2;
+
+        page.drawText(drawable, { x, y, size, font, color: hexToRgb(field.color) });
+    });
+
+    if (verifyUrl) {
+        const note = `Verify this certificate at ${verifyUrl}`;
+        page.drawText(note, {
+            x: (width - regular.widthOfTextAtSize(note, 8)) / 2,
+            y: 12,
+            size: 8,
+            font: regular,
+            color: hexToRgb('#6b7280')
+        });
+    }
+
+    return Buffer.from(await pdfDoc.save());
+};
+
+module.exports = {
+    certificateTemplateUpload,
+    uploadCertificateTemplate,
+    getVerifyUrl,
+    getEarnedCertificates,
+    issueCertificates,
+    issueEventCertificates,
+    renderCertificatePdf
+};
@@ -17,6 +17,16 @@ const createTransporter = () => {
     });
 };
 
+// Escape user- or organizer-written text before it goes into an email body
+const escapeHtml = (value = '') => {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
 // Generate verification token
 const generateVerificationToken = (userId, email) => {
     return jwt.sign(
@@ -52,7 +62,7 @@ const sendVerificationEmail = async (email, name, verificationToken) => {
                 </div>
                 
                 <div style="padding: 30px; background-color: #f9f9f9;">
-                    <h2 style="color: #333;">Welcome to LiftupLabs, ${name}!</h2>
+                    <h2 style="color: #333;">Welcome to LiftupLabs, ${escapeHtml(name)}!</h2>
                     
                     <p style="color: #666; line-height: 1.6;">
                         Thank you for registering with LiftupLabs. To complete your registration and start exploring events, please verify your email address.
@@ -110,7 +120,7 @@ const sendWelcomeEmail = async (email, name) => {
                 </div>
                 
                 <div style="padding: 30px; background-color: #f9f9f9;">
-                    <h2 style="color: #333;">Hi ${name}!</h2>
+                    <h2 style="color: #333;">Hi ${escapeHtml(name)}!</h2>
                     
                     <p style="color: #666; line-height: 1.6;">
                         Your email has been successfully verified! You're now part of the LiftupLabs community.
@@ -180,7 +190,7 @@ const sendPasswordResetEmail = async (email, name, resetToken) => {
                     <h2 style="color: #333;">Password Reset Request</h2>
                     
                     <p style="color: #666; line-height: 1.6;">
-                        Hi ${name},
+                        Hi ${escapeHtml(name)},
                     </p>
                     
                     <p style="color: #666; line-height: 1.6;">
@@ -246,7 +256,7 @@ const sendPasswordResetConfirmationEmail = async (email, name) => {
                     <h2 style="color: #333;">✅ Password Reset Successful</h2>
                     
                     <p style="color: #666; line-height: 1.6;">
-                        Hi ${name},
+                        Hi ${escapeHtml(name)},
                     </p>
                     
                     <p style="color: #666; line-height: 1.6;">
@@ -285,6 +295,562 @@ const sendPasswordResetConfirmationEmail = async (email, name) => {
     }
 };
 
+// Format an event's start time in its own timezone
+const formatEventStart = (event) => {
+    return new Date(event.dateTime.start).toLocaleString('en-IN', {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: event.dateTime.timezone || 'Asia/Kolkata'
+    });
+};
+
+// Send waitlist promotion email
+const sendWaitlistPromotionEmail = async (email, name, event) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: `You're off the waitlist: ${event.title} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">🎉 A seat opened up!</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)},
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Good news! A spot became available for <strong>${escapeHtml(event.title)}</strong> and you have been moved from the waitlist to the participant list.
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        <strong>Starts:</strong> ${formatEventStart(event)}
+                    </p>
+                    ${event.isPaid ? `
+                    <p style="color: #666; line-height: 1.6;">
+                        This is a paid event. Your seat is held for a limited time, so please complete the payment from the event page to confirm your registration.
+                    </p>
+                    ` : ''}
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            View Event
+                        </a>
+                    </div>
+                    
+                    <p style="color: #666; font-size: 14px;">
+                        If you can no longer attend, please unregister from the event page so the next person on the waitlist can take your place.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Waitlist promotion email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending waitlist promotion email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send event moderation decision email to the organizer
+const sendEventModerationEmail = async (email, name, event, decision, reason) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const content = {
+        approved: {
+            subject: `Your event is live: ${event.title} - LiftupLabs`,
+            heading: '✅ Event Approved',
+            message: `Your event <strong>${escapeHtml(event.title)}</strong> has been approved and is now published on LiftupLabs.`,
+            button: 'View Event'
+        },
+        rejected: {
+            subject: `Your event was not approved: ${event.title} - LiftupLabs`,
+            heading: 'Event Not Approved',
+            message: `Unfortunately your event <strong>${escapeHtml(event.title)}</strong> was not approved for publishing.`,
+            button: 'View Event'
+        },
+        'changes-requested': {
+            subject: `Changes requested for ${event.title} - LiftupLabs`,
+            heading: '✏️ Changes Requested',
+            message: `Our moderators reviewed <strong>${escapeHtml(event.title)}</strong> and need a few changes before it can be published. Please update the event and submit it for review again.`,
+            button: 'Edit Event'
+        }
+    }[decision];
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: content.subject,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">${content.heading}</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)},
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        ${content.message}
+                    </p>
+                    ${reason ? `
+                    <div style="background: white; border-left: 4px solid #f97316; padding: 15px; margin: 20px 0;">
+                        <p style="color: #333; margin: 0; white-space: pre-wrap;"><strong>Moderator note:</strong> ${escapeHtml(reason)}</p>
+                    </div>
+                    ` : ''}
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            ${content.button}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Event moderation email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending event moderation email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send event reminder email to a registered participant
+const sendEventReminderEmail = async (email, name, event, timeUntil) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const where = event.mode === 'Online'
+        ? 'Online'
+        : [event.location?.venue, event.location?.city].filter(Boolean).join(', ');
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: `Reminder: ${event.title} starts ${timeUntil} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">⏰ ${escapeHtml(event.title)} starts ${escapeHtml(timeUntil)}</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)},
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        This is a friendly reminder that an event you registered for is coming up.
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        <strong>When:</strong> ${formatEventStart(event)}<br>
+                        ${where ? `<strong>Where:</strong> ${escapeHtml(where)}` : ''}
+                    </p>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            View Event
+                        </a>
+                    </div>
+                    
+                    <p style="color: #666; font-size: 14px;">
+                        Can't make it anymore? Please unregister from the event page so someone else can take your spot.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Event reminder email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending event reminder email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send "registration closes soon" nudge to a user who liked an event
+const sendRegistrationClosingEmail = async (email, name, event) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const deadline = new Date(event.registration.deadline).toLocaleString('en-IN', {
+        dateStyle: 'medium',
+        timeStyle: 'short',
+        timeZone: event.dateTime.timezone || 'Asia/Kolkata'
+    });
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: `Last chance to register: ${event.title} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">Registration closes soon!</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)},
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        You liked <strong>${escapeHtml(event.title)}</strong>, but you haven't registered yet. Registration closes on <strong>${deadline}</strong>.
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        <strong>Event starts:</strong> ${formatEventStart(event)}
+                    </p>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            Register Now
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Registration closing email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending registration closing email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Fill {{placeholders}} in an organizer template; unknown placeholders are left as written
+const renderTemplate = (template, values) => {
+    return String(template).replace(/{{\s*(\w+)\s*}}/g, (match, key) => (
+        values[key] !== undefined ? values[key] : match
+    ));
+};
+
+// Send an organizer-written message to a participant.
+// Supports {{name}}, {{eventTitle}}, {{eventDate}} and {{status}} placeholders.
+const sendOrganizerMessageEmail = async (email, name, event, { subject, message }, status) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const values = {
+        name,
+        eventTitle: event.title,
+        eventDate: formatEventStart(event),
+        status: status || ''
+    };
+    const body = escapeHtml(renderTemplate(message, values));
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        replyTo: event.organizer?.contact?.email,
+        subject: `${renderTemplate(subject, values)} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">${escapeHtml(event.title)}</h2>
+                    
+                    <p style="color: #666; line-height: 1.6; white-space: pre-wrap;">${body}</p>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            View Event
+                        </a>
+                    </div>
+                    
+                    <p style="color: #999; font-size: 12px;">
+                        You are receiving this because you registered for this event. Sent by ${escapeHtml(event.organizer?.name || 'the event organizer')}.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Organizer message email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending organizer message email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send an event announcement to a participant
+const sendAnnouncementEmail = async (email, name, event, announcement) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        replyTo: event.organizer?.contact?.email,
+        subject: `${announcement.title} | ${event.title} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <p style="color: #999; margin: 0;">📢 Announcement for ${escapeHtml(event.title)}</p>
+                    <h2 style="color: #333;">${escapeHtml(announcement.title)}</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)},
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6; white-space: pre-wrap;">${escapeHtml(announcement.body)}</p>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            View Event
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Announcement email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending announcement email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send the weekly digest of recommended events
+const sendWeeklyDigestEmail = async (email, name, recommendations) => {
+    const transporter = createTransporter();
+
+    const eventRows = recommendations.map(({ event, reasons }) => `
+                    <div style="background: white; border-radius: 8px; padding: 16px; margin-bottom: 16px;">
+                        <h3 style="color: #333; margin: 0 0 8px;">
+                            <a href="${process.env.FRONTEND_URL}/events/${event._id}" style="color: #ea580c; text-decoration: none;">${escapeHtml(event.title)}</a>
+                        </h3>
+                        <p style="color: #666; margin: 0 0 8px; font-size: 14px;">
+                            ${formatEventStart(event)} &middot; ${escapeHtml(event.mode === 'Online' ? 'Online' : event.location?.city || event.mode)}
+                        </p>
+                        <p style="color: #999; margin: 0; font-size: 13px;">${escapeHtml(reasons[0] || '')}</p>
+                    </div>`).join('');
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: 'Events picked for you this week - LiftupLabs',
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">Events picked for you</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)}, here are upcoming events that match your skills and interests.
+                    </p>
+                    ${eventRows}
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${process.env.FRONTEND_URL}/events" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            Browse All Events
+                        </a>
+                    </div>
+                    
+                    <p style="color: #999; font-size: 12px;">
+                        You can turn off the weekly digest in your profile settings.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Weekly digest email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending weekly digest email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send an invitation to join an event's team
+const sendStaffInvitationEmail = async (email, event, role, inviterName) => {
+    const transporter = createTransporter();
+
+    const teamUrl = `${process.env.FRONTEND_URL}/events/${event._id}/team`;
+    const roleNames = {
+        'co-organizer': 'a co-organizer',
+        'check-in': 'a check-in volunteer',
+        judge: 'a judge'
+    };
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: `Join the team for ${event.title} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">🤝 You're invited to help run an event</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        ${escapeHtml(inviterName)} invited you to join <strong>${escapeHtml(event.title)}</strong> as ${roleNames[role] || escapeHtml(role)}.
+                    </p>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        <strong>Starts:</strong> ${formatEventStart(event)}
+                    </p>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${teamUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            Accept Invitation
+                        </a>
+                    </div>
+                    
+                    <p style="color: #666; font-size: 14px;">
+                        Sign in (or create an account) with this email address to accept. If you weren't expecting this invitation, you can ignore this email.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Staff invitation email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending staff invitation email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
+// Send a participant the changes to an event's dates, venue or mode.
+// changes: [{ label, before, after }] as display text
+const sendEventChangeEmail = async (email, name, event, changes) => {
+    const transporter = createTransporter();
+
+    const eventUrl = `${process.env.FRONTEND_URL}/events/${event._id}`;
+    const rows = changes.map(change => `
+                        <tr>
+                            <td style="padding: 8px; color: #333; font-weight: bold; vertical-align: top;">${escapeHtml(change.label)}</td>
+                            <td style="padding: 8px; color: #999; text-decoration: line-through;">${escapeHtml(change.before || 'Not set')}</td>
+                            <td style="padding: 8px; color: #333;">${escapeHtml(change.after || 'Not set')}</td>
+                        </tr>`).join('');
+
+    const mailOptions = {
+        from: process.env.EMAIL_FROM,
+        to: email,
+        replyTo: event.organizer?.contact?.email,
+        subject: `Updated: ${event.title} - LiftupLabs`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #f97316, #ea580c); padding: 20px; text-align: center;">
+                    <h1 style="color: white; margin: 0;">LiftupLabs</h1>
+                </div>
+                
+                <div style="padding: 30px; background-color: #f9f9f9;">
+                    <h2 style="color: #333;">📅 An event you're registered for has changed</h2>
+                    
+                    <p style="color: #666; line-height: 1.6;">
+                        Hi ${escapeHtml(name)}, the organizer of <strong>${escapeHtml(event.title)}</strong> has made the following changes:
+                    </p>
+                    
+                    <table style="width: 100%; border-collapse: collapse; background: white;">
+                        <tr>
+                            <th></th>
+                            <th style="padding: 8px; color: #999; text-align: left;">Was</th>
+                            <th style="padding: 8px; color: #999; text-align: left;">Now</th>
+                        </tr>${rows}
+                    </table>
+                    
+                    <div style="text-align: center; margin: 30px 0;">
+                        <a href="${eventUrl}" 
+                           style="background: #f97316; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+                            View Event
+                        </a>
+                    </div>
+                    
+                    <p style="color: #666; font-size: 14px;">
+                        If you can no longer attend, you can cancel your registration from the event page.
+                    </p>
+                </div>
+            </div>
+        `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Event change email sent successfully to:', email);
+        return true;
+    } catch (error) {
+        console.error('Error sending event change email:', error);
+        // Don't throw error for notification email failure
+        return false;
+    }
+};
+
 module.exports = {
     createTransporter,
     generateVerificationToken,
@@ -293,5 +859,14 @@ module.exports = {
     sendWelcomeEmail,
     generatePasswordResetToken,
     sendPasswordResetEmail,
-    sendPasswordResetConfirmationEmail
+    sendPasswordResetConfirmationEmail,
+    sendWaitlistPromotionEmail,
+    sendEventModerationEmail,
+    sendEventReminderEmail,
+    sendRegistrationClosingEmail,
+    sendOrganizerMessageEmail,
+    sendAnnouncementEmail,
+    sendWeeklyDigestEmail,
+    sendStaffInvitationEmail,
+    sendEventChangeEmail
 };
\ No newline at end of file
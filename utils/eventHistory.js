@@ -0,0 +1,236 @@
+const Event = require('../models/Event');
+const EventRevision = require('../models/EventRevision');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { getEventUserIds, notifyPromotedParticipants } = require('./registrationService');
+const { sendEventChangeEmail } = require('./emailService');
+
+// Event change history: every edit is stored as a versioned diff of dotted paths, earlier
+// versions can be restored, and participants hear about changes to dates, venue or mode
+
+const INSERT_BATCH_SIZE = 1000;
+
+// Server-managed fields and fields with their own routes are never recorded
+const IGNORED_PATHS = [
+    '_id', '__v', 'createdAt', 'updatedAt', 'participants', 'views', 'likes', 'saves', 'moderation',
+    'staff', 'organizer', 'series', 'seriesIndex', 'registration.currentParticipants', 'registration.closedAt'
+];
+
+// Recorded but never restored: cancellation refunds and notifies participants, so it can't be undone
+const NON_REVERTIBLE_PATHS = ['status'];
+
+// Paths that count as a material change for participants
+const MATERIAL_PATHS = {
+    dates: ['dateTime.start', 'dateTime.end', 'dateTime.timezone'],
+    venue: ['location.venue', 'location.city', 'location.state', 'location.country', 'location.coordinates'],
+    mode: ['mode']
+};
+
+const isPlainObject = (value) => Boolean(value) && Object.getPrototypeOf(value) === Object.prototype;
+
+// Compare values ignoring subdocument ids, which are regenerated whenever an array is replaced
+const normalize = (value) => JSON.stringify(value, (key, v) => key === '_id' ? undefined : v);
+
+const getPath = (obj, path) => path.split('.').reduce((value, key) => value == null ? undefined : value[key], obj);
+
+const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (!isPlainObject(target[key])) target[key] = {};
+        return target[key];
+    }, obj);
+
+    if (value === undefined) delete parent[last];
+    else parent[last] = value;
+};
+
+const diffValues = (path, before, after, changes) => {
+    if (IGNORED_PATHS.includes(path)) return;
+
+    if (isPlainObject(before) && isPlainObject(after)) {
+        new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+            if (key !== '_id') diffValues(`${path}.${key}`, before[key], after[key], changes);
+        });
+        return;
+    }
+
+    if (normalize(before) !== normalize(after)) changes.push({ path, before, after });
+};
+
+// Changed leaf paths between two versions of an event (plain objects), limited to the
+// given top-level or dotted fields. Arrays are compared as a whole.
+const diffEvents = (before, after, fields) => {
+    const changes = [];
+    [...new Set(fields)].forEach(field => diffValues(field, getPath(before, field), getPath(after, field), changes));
+    return changes;
+};
+
+const isUnder = (path, prefix) => path === prefix || path.startsWith(`${prefix}.`) || prefix.startsWith(`${path}.`);
+
+const getMaterialChanges = (changes) => Object.keys(MATERIAL_PATHS)
+    .filter(kind => changes.some(change => MATERIAL_PATHS[kind].some(prefix => isUnder(change.path, prefix))));
+
+// Store a revision with the next version number, retrying if a concurrent edit took it
+const createRevision = async (eventId, data, attempts = 3) => {
+    const latest = await EventRevision.findOne({ event: eventId }).sort({ version: -1 }).select('version');
+
+    try {
+        return await EventRevision.create({ ...data, event: eventId, version: (latest ? latest.version : 0) + 1 });
+    } catch (error) {
+        if (error.code === 11000 && attempts > 1) return createRevision(eventId, data, attempts - 1);
+        throw error;
+    }
+};
+
+const formatDateTime = (date, timeZone) => date
+    ? new Date(date).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short', timeZone: timeZone || 'Asia/Kolkata' })
+    : '';
+
+// Before and after display text for each material change in a revision
+const describeMaterialChanges = (revision, event) => {
+    const valueBefore = (path) => {
+        const change = revision.changes.find(c => c.path === path);
+        return change ? change.before : getPath(event, path);
+    };
+    const formatVenue = (get) => [get('location.venue'), get('location.city')].filter(Boolean).join(', ');
+
+    const descriptions = {
+        dates: {
+            label: 'Date & time',
+            before: `${formatDateTime(valueBefore('dateTime.start'), valueBefore('dateTime.timezone'))} - ${formatDateTime(valueBefore('dateTime.end'), valueBefore('dateTime.timezone'))}`,
+            after: `${formatDateTime(event.dateTime.start, event.dateTime.timezone)} - ${formatDateTime(event.dateTime.end, event.dateTime.timezone)}`
+        },
+        venue: {
+            label: 'Venue',
+            before: formatVenue(valueBefore),
+            after: formatVenue(path => getPath(event, path))
+        },
+        mode: {
+            label: 'Mode',
+            before: valueBefore('mode'),
+            after: event.mode
+        }
+    };
+
+    return revision.materialChanges.map(kind => descriptions[kind]);
+};
+
+// Tell everyone registered (in-app and by email) about a material change. The count is
+// recorded on the revision once done; resolves to the number of users notified.
+const notifyMaterialChange = async (event, revision) => {
+    // Drafts have no participants, cancellations notify on their own and past events don't matter
+    if (Event.UNLISTED_STATUSES.includes(event.status) || ['cancelled', 'completed'].includes(event.status)) return 0;
+
+    const userIds = await getEventUserIds(event);
+    if (!userIds.length) return 0;
+
+    const changes = describeMaterialChanges(revision, event);
+    const summary = changes.map(change => `${change.label}: ${change.after || 'not set'}`).join('. ');
+
+    const notifications = userIds.map(userId => ({
+        user: userId,
+        type: 'event-update',
+        title: `${event.title} has changed`,
+        message: summary.slice(0, 200),
+        link: `/events/${event._id}`,
+        event: event._id
+    }));
+    for (let i = 0; i < notifications.length; i += INSERT_BATCH_SIZE) {
+        await Notification.insertMany(notifications.slice(i, i + INSERT_BATCH_SIZE));
+    }
+
+    const users = await User.find({ _id: { $in: userIds }, isActive: true }).select('name email');
+    for (const user of users) {
+        await sendEventChangeEmail(user.email, user.name, event, changes);
+    }
+
+    await EventRevision.updateOne(
+        { _id: revision._id },
+        { $set: { notifiedCount: userIds.length, notifiedAt: new Date() } }
+    );
+    return userIds.length;
+};
+
+// Record an edit made to `fields` of an event and notify participants of material changes
+// in the background. `before` is the event as a plain object before the edit, `after` the
+// updated document. Resolves to the revision, or null if nothing changed.
+const recordEventEdit = async (before, after, editorId, fields, { revertedTo = null } = {}) => {
+    const afterObj = typeof after.toObject === 'function' ? after.toObject() : after;
+    const changes = diffEvents(before, afterObj, fields);
+    if (!changes.length) return null;
+
+    const revision = await createRevision(after._id, {
+        editor: editorId,
+        changes,
+        materialChanges: getMaterialChanges(changes),
+        revertedTo
+    });
+
+    // Deliver in the background so large events don't hold up the edit
+    if (revision.materialChanges.length) {
+        notifyMaterialChange(after, revision).catch(error => {
+            console.error('Event change notification error:', error);
+        });
+    }
+
+    return revision;
+};
+
+// Restore an event to how it was at `version` (0 is as created) by undoing every later
+// revision, newest first. The revert is itself recorded as a new revision.
+// Resolves to { event, revision } or { error }.
+const revertEvent = async (event, version, editorId) => {
+    if (event.status === 'cancelled') {
+        return { error: 'Cancelled events cannot be reverted' };
+    }
+
+    const later = await EventRevision.find({ event: event._id, version: { $gt: version } }).sort({ version: -1 });
+    if (!later.length) {
+        return { error: 'The event is already at this version' };
+    }
+
+    const current = event.toObject();
+    const target = event.toObject();
+    later.forEach(revision => revision.changes
+        .filter(change => !NON_REVERTIBLE_PATHS.includes(change.path))
+        .forEach(change => setPath(target, change.path, change.before)));
+
+    const changes = diffEvents(current, target, later.flatMap(r => r.changes.map(c => c.path)));
+    if (!changes.length) {
+        return { error: 'There is nothing to restore from this version' };
+    }
+
+    const $set = {};
+    const $unset = {};
+    changes.forEach(change => {
+        if (change.after === undefined) $unset[change.path] = '';
+        else $set[change.path] = change.after;
+    });
+
+    // Same as an edit: a deadline back in the future reopens registration
+    if ($set['registration.deadline'] && new Date($set['registration.deadline']) > new Date()) {
+        $unset['registration.closedAt'] = '';
+    }
+
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+
+    const reverted = await Event.findByIdAndUpdate(event._id, update, { new: true, runValidators: true });
+
+    // Restoring a higher capacity opens seats for the waitlist
+    if (changes.some(change => isUnder(change.path, 'registration.maxParticipants')) && reverted.status !== 'completed') {
+        await notifyPromotedParticipants(reverted, await Event.promoteFromWaitlist(reverted._id));
+    }
+
+    const revision = await recordEventEdit(current, reverted, editorId, changes.map(c => c.path), { revertedTo: version });
+    return { event: reverted, revision };
+};
+
+module.exports = {
+    diffEvents,
+    getMaterialChanges,
+    recordEventEdit,
+    revertEvent
+};
@@ -0,0 +1,32 @@
+const { EventEmitter } = require('events');
+
+// Lifecycle hooks other features subscribe to, e.g.
+//   hooks.on(HOOKS.EVENT_COMPLETED, async ({ event }) => { ... })
+// Every hook receives { event } (a lean Event document).
+const HOOKS = {
+    REGISTRATION_CLOSED: 'event:registration-closed',
+    EVENT_STARTED: 'event:started',
+    EVENT_COMPLETED: 'event:completed',
+    EVENT_CANCELLED: 'event:cancelled'
+};
+
+const hooks = new EventEmitter();
+hooks.setMaxListeners(50);
+
+// Run every listener for a hook. Listeners are isolated from each other and from
+// the caller: a failing listener is logged and never breaks the emitting code.
+const emitHook = async (name, payload) => {
+    const results = await Promise.allSettled(
+        hooks.listeners(name).map(listener => Promise.resolve().then(() => listener(payload)))
+    );
+
+    results
+        .filter(result => result.status === 'rejected')
+        .forEach(result => console.error(`Hook "${name}" listener failed:`, result.reason));
+};
+
+module.exports = {
+    HOOKS,
+    hooks,
+    emitHook
+};
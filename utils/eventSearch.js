@@ -0,0 +1,154 @@
+const Event = require('../models/Event');
+
+// Event search: full-text queries with a prefix-matching fallback, and facet counts
+// for the filter sidebar
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_BUCKETS = ['today', 'this-week', 'this-month', 'later'];
+const FEE_BUCKETS = ['free', 'paid'];
+const MAX_CITY_FACETS = 20;
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Full-text query against the weighted text index (stemmed, ranked by textScore)
+const buildTextFilter = (search) => ({ $text: { $search: search } });
+
+// Fallback for partial words and search-as-you-type: every term must start a word in the
+// title, tags, skills or organizer name
+const buildPrefixFilter = (search) => {
+    const terms = search.split(/\s+/).filter(Boolean).slice(0, 10);
+    return {
+        $and: terms.map(term => {
+            const pattern = new RegExp(`\\b${escapeRegex(term)}`, 'i');
+            return {
+                $or: [
+                    { title: pattern },
+                    { tags: pattern },
+                    { skills: pattern },
+                    { 'organizer.name': pattern }
+                ]
+            };
+        })
+    };
+};
+
+// Start-date boundaries for the date buckets, relative to now. Buckets don't overlap.
+const getDateBoundaries = (now = new Date()) => {
+    const endOfToday = new Date(now);
+    endOfToday.setHours(23, 59, 59, 999);
+    return {
+        endOfToday,
+        endOfWeek: new Date(now.getTime() + 7 * DAY_MS),
+        endOfMonth: new Date(now.getTime() + 30 * DAY_MS)
+    };
+};
+
+const getDateBucketFilter = (bucket, now = new Date()) => {
+    const { endOfToday, endOfWeek, endOfMonth } = getDateBoundaries(now);
+    const ranges = {
+        today: { $lte: endOfToday },
+        'this-week': { $gt: endOfToday, $lte: endOfWeek },
+        'this-month': { $gt: endOfWeek, $lte: endOfMonth },
+        later: { $gt: endOfMonth }
+    };
+    return { 'dateTime.start': ranges[bucket] };
+};
+
+const PAID_FILTER = { 'registration.fee.isFree': false, 'registration.fee.amount': { $gt: 0 } };
+const FREE_FILTER = {
+    $or: [
+        { 'registration.fee.isFree': { $ne: false } },
+        { 'registration.fee.amount': { $not: { $gt: 0 } } }
+    ]
+};
+
+// One filter per facet dimension from the request query. Each facet's counts are computed
+// with every filter except its own, so picking "Workshop" still shows how many quizzes there are.
+const buildFacetFilters = (query) => {
+    const filters = {};
+
+    if (query.category) filters.category = { category: query.category };
+    if (query.mode) filters.mode = { mode: query.mode };
+    if (query.city) filters.city = { 'location.city': new RegExp(`^${escapeRegex(query.city.trim())}$`, 'i') };
+    if (query.fee) filters.fee = query.fee === 'paid' ? PAID_FILTER : FREE_FILTER;
+    if (query.date) filters.date = getDateBucketFilter(query.date);
+
+    return filters;
+};
+
+// Combine a base filter with facet filters (optionally leaving one dimension out)
+const combineFilters = (base, facetFilters, exclude = null) => {
+    const clauses = Object.entries(facetFilters)
+        .filter(([dimension]) => dimension !== exclude)
+        .map(([, filter]) => filter);
+    return clauses.length ? { ...base, $and: [...(base.$and || []), ...clauses] } : base;
+};
+
+// Facet counts for category, mode, city, fee and date buckets in one aggregation.
+// A $text filter has to be the first stage, so it stays in the shared $match.
+const getFacets = async (base, facetFilters, now = new Date()) => {
+    const { endOfToday, endOfWeek, endOfMonth } = getDateBoundaries(now);
+
+    const countBy = (dimension, groupKey, extra = []) => [
+        { $match: combineFilters({}, facetFilters, dimension) },
+        { $group: { _id: groupKey, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } },
+        ...extra
+    ];
+
+    const [result] = await Event.aggregate([
+        { $match: base },
+        {
+            $facet: {
+                category: countBy('category', '$category'),
+                mode: countBy('mode', '$mode'),
+                city: countBy('city', '$location.city', [{ $limit: MAX_CITY_FACETS }]),
+                fee: countBy('fee', {
+                    $cond: [
+                        { $and: [{ $eq: ['$registration.fee.isFree', false] }, { $gt: ['$registration.fee.amount', 0] }] },
+                        'paid',
+                        'free'
+                    ]
+                }),
+                date: countBy('date', {
+                    $switch: {
+                        branches: [
+                            { case: { $lte: ['$dateTime.start', endOfToday] }, then: 'today' },
+                            { case: { $lte: ['$dateTime.start', endOfWeek] }, then: 'this-week' },
+                            { case: { $lte: ['$dateTime.start', endOfMonth] }, then: 'this-month' }
+                        ],
+                        default: 'later'
+                    }
+                })
+            }
+        }
+    ]);
+
+    const toCounts = (buckets) => buckets.map(b => ({ value: b._id, count: b.count }));
+    // Fixed buckets are always listed, in order, so the sidebar can show zero counts
+    const toFixedCounts = (buckets, values) => values.map(value => ({
+        value,
+        count: (buckets.find(b => b._id === value) || {}).count || 0
+    }));
+
+    return {
+        category: toCounts(result.category),
+        mode: toCounts(result.mode),
+        city: toCounts(result.city),
+        fee: toFixedCounts(result.fee, FEE_BUCKETS),
+        date: toFixedCounts(result.date, DATE_BUCKETS)
+    };
+};
+
+module.exports = {
+    DATE_BUCKETS,
+    FEE_BUCKETS,
+    escapeRegex,
+    buildTextFilter,
+    buildPrefixFilter,
+    buildFacetFilters,
+    combineFilters,
+    getFacets
+};
@@ -0,0 +1,183 @@
+const Feedback = require('../models/Feedback');
+
+// Post-event feedback surveys: survey definitions, answer validation and aggregated results
+
+const SURVEY_TYPES = ['rating', 'text', 'select', 'multi-select', 'boolean'];
+const CHOICE_TYPES = ['select', 'multi-select'];
+const MAX_TEXT_LENGTH = 2000;
+
+// Check an organizer-supplied survey, returning an error message or null
+const validateSurveyDefinition = (survey) => {
+    if (survey === undefined) return null;
+    if (!Array.isArray(survey)) return 'Feedback survey must be a list of questions';
+    if (survey.length > 30) return 'A feedback survey cannot have more than 30 questions';
+
+    const keys = new Set();
+    for (const question of survey) {
+        if (!question || !question.key || !question.label) {
+            return 'Every feedback question needs a key and a label';
+        }
+        if (keys.has(question.key)) {
+            return `Duplicate feedback question "${question.key}"`;
+        }
+        keys.add(question.key);
+
+        if (!SURVEY_TYPES.includes(question.type)) {
+            return `Question "${question.key}" has an invalid type. Use one of: ${SURVEY_TYPES.join(', ')}`;
+        }
+        if (CHOICE_TYPES.includes(question.type) && (!Array.isArray(question.options) || !question.options.length)) {
+            return `Question "${question.key}" needs at least one option`;
+        }
+    }
+
+    return null;
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+// Coerce and check one answer. Returns { value } or { error }.
+const validateSurveyAnswer = (question, raw) => {
+    switch (question.type) {
+        case 'rating': {
+            const value = Number(raw);
+            if (!Number.isInteger(value) || value < 1 || value > 5) return { error: 'must be a whole number from 1 to 5' };
+            return { value };
+        }
+
+        case 'text': {
+            const value = String(raw).trim();
+            if (value.length > MAX_TEXT_LENGTH) return { error: `cannot be more than ${MAX_TEXT_LENGTH} characters` };
+            return { value };
+        }
+
+        case 'select': {
+            const value = String(raw);
+            if (!question.options.includes(value)) return { error: 'is not one of the available options' };
+            return { value };
+        }
+
+        case 'multi-select': {
+            const value = [...new Set(Array.isArray(raw) ? raw.map(String) : [String(raw)])];
+            if (value.some(choice => !question.options.includes(choice))) {
+                return { error: 'contains an option that is not available' };
+            }
+            return { value };
+        }
+
+        case 'boolean':
+            if (typeof raw !== 'boolean') return { error: 'must be true or false' };
+            return { value: raw };
+
+        default:
+            return { error: 'has an unsupported type' };
+    }
+};
+
+// Validate answers against an event's survey.
+// Returns { errors } listing every problem, or { answers } ready to store.
+const validateSurveyAnswers = (survey = [], rawAnswers = {}) => {
+    const answers = {};
+    const errors = [];
+
+    for (const question of survey) {
+        const raw = rawAnswers[question.key];
+        if (isBlank(raw)) {
+            if (question.required) errors.push({ field: question.key, message: `${question.label} is required` });
+            continue;
+        }
+
+        const { value, error } = validateSurveyAnswer(question, raw);
+        if (error) {
+            errors.push({ field: question.key, message: `${question.label} ${error}` });
+        } else {
+            answers[question.key] = value;
+        }
+    }
+
+    return errors.length ? { errors } : { answers };
+};
+
+// Net Promoter Score: % promoters (9-10) minus % detractors (0-6)
+const calculateNps = (scores) => {
+    if (!scores.length) return { score: null, promoters: 0, passives: 0, detractors: 0, responses: 0 };
+
+    const promoters = scores.filter(s => s >= 9).length;
+    const detractors = scores.filter(s => s <= 6).length;
+
+    return {
+        score: Math.round(((promoters - detractors) / scores.length) * 100),
+        promoters,
+        passives: scores.length - promoters - detractors,
+        detractors,
+        responses: scores.length
+    };
+};
+
+const average = (values) => values.length
+    ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 100) / 100
+    : null;
+
+// Aggregated feedback for the event analytics route
+const getFeedbackSummary = async (event) => {
+    const responses = await Feedback.find({ event: event._id })
+        .select('rating recommendScore answers')
+        .lean();
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    responses.forEach(r => { ratingDistribution[r.rating] += 1; });
+
+    const questions = (event.feedbackSurvey || []).map(question => {
+        const values = responses
+            .map(r => (r.answers || {})[question.key])
+            .filter(value => !isBlank(value));
+        const summary = { key: question.key, label: question.label, type: question.type, responses: values.length };
+
+        if (question.type === 'rating') {
+            summary.average = average(values);
+        } else if (CHOICE_TYPES.includes(question.type)) {
+            summary.counts = Object.fromEntries(question.options.map(option => [
+                option,
+                values.filter(v => (Array.isArray(v) ? v.includes(option) : v === option)).length
+            ]));
+        } else if (question.type === 'boolean') {
+            summary.counts = { yes: values.filter(v => v === true).length, no: values.filter(v => v === false).length };
+        }
+
+        return summary;
+    });
+
+    return {
+        responses: responses.length,
+        averageRating: average(responses.map(r => r.rating)),
+        ratingDistribution,
+        nps: calculateNps(responses.filter(r => r.recommendScore !== undefined && r.recommendScore !== null).map(r => r.recommendScore)),
+        questions
+    };
+};
+
+// Organizer user id of an event, whether or not organizer.user is populated
+const getOrganizerId = (event) => {
+    const organizer = event.organizer && event.organizer.user;
+    return organizer ? (organizer._id || organizer).toString() : null;
+};
+
+// Attach organizerRating ({ averageRating, ratingCount } or null) to plain event objects
+const attachOrganizerRatings = async (events) => {
+    const organizerIds = [...new Set(events.map(getOrganizerId).filter(Boolean))];
+    const ratings = organizerIds.length ? await Feedback.getOrganizerRatings(organizerIds) : new Map();
+
+    events.forEach(event => {
+        event.organizerRating = ratings.get(getOrganizerId(event)) || null;
+    });
+    return events;
+};
+
+module.exports = {
+    SURVEY_TYPES,
+    validateSurveyDefinition,
+    validateSurveyAnswers,
+    calculateNps,
+    getFeedbackSummary,
+    attachOrganizerRatings
+};
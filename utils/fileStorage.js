@@ -0,0 +1,72 @@
+// Supabase Storage helpers for files uploaded through the API.
+// The service key is used so uploads bypass row level security, as for notes.
+
+const getStorageClient = () => {
+    const { createClient } = require('@supabase/supabase-js');
+    return createClient(
+        process.env.SUPABASE_URL,
+        process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
+    );
+};
+
+// File extension from an uploaded file's original name
+const getExtension = (file) => {
+    return file.originalname && file.originalname.includes('.')
+        ? file.originalname.split('.').pop().toLowerCase()
+        : 'bin';
+};
+
+// Upload a multer file to a private bucket. Resolves to { name, path, size, mimeType };
+// links are handed out with getSignedUrls.
+const uploadPrivateFile = async (bucket, filePath, file) => {
+    const { error } = await getStorageClient().storage.from(bucket).upload(filePath, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false
+    });
+    if (error) throw error;
+
+    return {
+        name: file.originalname,
+        path: filePath,
+        size: file.size,
+        mimeType: file.mimetype
+    };
+};
+
+// Upload a multer file to a public bucket. Resolves to { name, url, path, size, mimeType }.
+const uploadFile = async (bucket, filePath, file) => {
+    const uploaded = await uploadPrivateFile(bucket, filePath, file);
+
+    const { data: { publicUrl } } = getStorageClient().storage.from(bucket).getPublicUrl(filePath);
+    return { ...uploaded, url: publicUrl };
+};
+
+// Short-lived links to files in a private bucket. Resolves to a Map of path to URL;
+// paths that could not be signed are left out.
+const getSignedUrls = async (bucket, paths, expiresIn) => {
+    if (!paths.length) return new Map();
+
+    const { data, error } = await getStorageClient().storage.from(bucket).createSignedUrls(paths, expiresIn);
+    if (error) throw error;
+
+    return new Map(data.filter(item => !item.error).map(item => [item.path, item.signedUrl]));
+};
+
+// Remove files by path. Cleanup failures are logged rather than thrown.
+const removeFiles = async (bucket, paths) => {
+    if (!paths.length) return;
+
+    try {
+        await getStorageClient().storage.from(bucket).remove(paths);
+    } catch (error) {
+        console.error(`File cleanup error (${bucket}):`, error);
+    }
+};
+
+module.exports = {
+    getExtension,
+    uploadFile,
+    uploadPrivateFile,
+    getSignedUrls,
+    removeFiles
+};
@@ -0,0 +1,125 @@
+const Event = require('../models/Event');
+const { getGeocoder } = require('./geocoders');
+
+// Event locations are stored as GeoJSON points ([longitude, latitude]) under
+// location.coordinates, with a 2dsphere index for "near me" queries
+
+const EARTH_RADIUS_KM = 6378.1;
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 500;
+
+const isValidLatLng = (latitude, longitude) =>
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+
+// Build a GeoJSON point from { latitude, longitude } (what clients send) or an existing
+// GeoJSON point. Returns null if the input isn't a valid position.
+const toGeoPoint = (input) => {
+    if (!input) return null;
+
+    const [longitude, latitude] = input.type === 'Point' && Array.isArray(input.coordinates)
+        ? input.coordinates.map(Number)
+        : [Number(input.longitude), Number(input.latitude)];
+
+    if (!isValidLatLng(latitude, longitude)) return null;
+    return { type: 'Point', coordinates: [longitude, latitude] };
+};
+
+// { latitude, longitude } from a stored GeoJSON point, or null
+const fromGeoPoint = (point) => {
+    if (!point || !Array.isArray(point.coordinates) || point.coordinates.length !== 2) return null;
+    const [longitude, latitude] = point.coordinates;
+    return { latitude, longitude };
+};
+
+// Parse a "lat,lng" query value into a GeoJSON point, or null
+const parseNear = (value) => {
+    const parts = String(value).split(',');
+    if (parts.length !== 2 || parts.some(part => part.trim() === '')) return null;
+    return toGeoPoint({ latitude: Number(parts[0]), longitude: Number(parts[1]) });
+};
+
+// Events within radiusKm of a point, unordered (usable with counts, facets and $text)
+const buildWithinFilter = (point, radiusKm) => ({
+    $geoWithin: { $centerSphere: [point.coordinates, radiusKm / EARTH_RADIUS_KM] }
+});
+
+// Events within radiusKm of a point, nearest first
+const buildNearFilter = (point, radiusKm) => ({
+    $nearSphere: { $geometry: point, $maxDistance: radiusKm * 1000 }
+});
+
+// Great-circle distance between two GeoJSON points in kilometres
+const distanceKm = (from, to) => {
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    const [lng1, lat1] = from.coordinates.map(toRadians);
+    const [lng2, lat2] = to.coordinates.map(toRadians);
+
+    const a = Math.sin((lat2 - lat1) / 2) ** 2 +
+        Math.cos(lat1) * Math.cos(lat2) * Math.sin((lng2 - lng1) / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// Normalize location.coordinates on an incoming event payload, geocoding the venue/city
+// when no coordinates were given and a geocoder is configured. Geocoding failures never
+// block saving the event. Resolves to { location } or { error }.
+const resolveEventLocation = async (location, { mode } = {}) => {
+    if (!location) return { location };
+
+    if (location.coordinates !== undefined && location.coordinates !== null) {
+        const point = toGeoPoint(location.coordinates);
+        if (!point) return { error: 'Location coordinates must be a valid latitude and longitude' };
+        return { location: { ...location, coordinates: point } };
+    }
+
+    const resolved = { ...location };
+    delete resolved.coordinates;
+
+    const geocoder = getGeocoder();
+    if (!geocoder || mode === 'Online' || !location.city) return { location: resolved };
+
+    try {
+        const point = toGeoPoint(await geocoder.geocode(location));
+        if (point) resolved.coordinates = point;
+    } catch (error) {
+        console.error(`Geocoding failed (${geocoder.name}):`, error.message);
+    }
+
+    return { location: resolved };
+};
+
+// Convert events saved before coordinates were GeoJSON, then build the 2dsphere index
+// (index builds fail while any document holds the old { latitude, longitude } shape)
+const migrateLegacyCoordinates = async () => {
+    const legacy = await Event.find({ 'location.coordinates.latitude': { $exists: true } })
+        .select('location.coordinates')
+        .lean();
+
+    for (const event of legacy) {
+        const point = toGeoPoint(event.location.coordinates);
+        await Event.updateOne(
+            { _id: event._id },
+            point
+                ? { $set: { 'location.coordinates': point } }
+                : { $unset: { 'location.coordinates': 1 } }
+        );
+    }
+
+    if (legacy.length) {
+        console.log(`📍 Converted ${legacy.length} event locations to GeoJSON`);
+        await Event.createIndexes();
+    }
+};
+
+module.exports = {
+    DEFAULT_RADIUS_KM,
+    MAX_RADIUS_KM,
+    toGeoPoint,
+    fromGeoPoint,
+    parseNear,
+    buildWithinFilter,
+    buildNearFilter,
+    distanceKm,
+    resolveEventLocation,
+    migrateLegacyCoordinates
+};
@@ -0,0 +1,26 @@
+// Geocoders implement the same interface:
+//   name
+//   geocode({ venue, city, state, country }) -> { latitude, longitude } | null
+//     (resolves to null when the address can't be found; throws on provider errors)
+const geocoders = {
+    stub: require('./stub'),
+    nominatim: require('./nominatim')
+};
+
+// Get a geocoder by name (defaults to the configured GEOCODER). Geocoding is optional:
+// resolves to null when no geocoder is configured.
+const getGeocoder = (name = process.env.GEOCODER) => {
+    if (!name || name === 'none') return null;
+
+    const geocoder = geocoders[name];
+
+    if (!geocoder) {
+        throw new Error(`Unknown geocoder: ${name}`);
+    }
+
+    return geocoder;
+};
+
+module.exports = {
+    getGeocoder
+};
@@ -0,0 +1,29 @@
+// OpenStreetMap Nominatim geocoder. The public instance needs an identifying User-Agent
+// and allows about one request per second, which is fine for geocoding on event create.
+const DEFAULT_URL = 'https://nominatim.openstreetmap.org';
+
+const geocode = async ({ venue, city, state, country } = {}) => {
+    const query = [venue, city, state, country].filter(Boolean).join(', ');
+    if (!query) return null;
+
+    const url = new URL('/search', process.env.GEOCODER_URL || DEFAULT_URL);
+    url.searchParams.set('q', query);
+    url.searchParams.set('format', 'json');
+    url.searchParams.set('limit', '1');
+
+    const response = await fetch(url, {
+        headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'LiftupLabs/1.0 (support@liftuplabs.in)' },
+        signal: AbortSignal.timeout(5000)
+    });
+    if (!response.ok) throw new Error(`Nominatim request failed (${response.status})`);
+
+    const [result] = await response.json();
+    if (!result) return null;
+
+    return { latitude: Number(result.lat), longitude: Number(result.lon) };
+};
+
+module.exports = {
+    name: 'nominatim',
+    geocode
+};
@@ -0,0 +1,26 @@
+// Offline geocoder for development and tests. Resolves a fixed set of cities to their
+// approximate centre, ignoring the venue, so geo features work without network access.
+const CITIES = {
+    ahmedabad: { latitude: 23.0225, longitude: 72.5714 },
+    bangalore: { latitude: 12.9716, longitude: 77.5946 },
+    bengaluru: { latitude: 12.9716, longitude: 77.5946 },
+    chennai: { latitude: 13.0827, longitude: 80.2707 },
+    delhi: { latitude: 28.6139, longitude: 77.209 },
+    'new delhi': { latitude: 28.6139, longitude: 77.209 },
+    hyderabad: { latitude: 17.385, longitude: 78.4867 },
+    jaipur: { latitude: 26.9124, longitude: 75.7873 },
+    kolkata: { latitude: 22.5726, longitude: 88.3639 },
+    mumbai: { latitude: 19.076, longitude: 72.8777 },
+    noida: { latitude: 28.5355, longitude: 77.391 },
+    pune: { latitude: 18.5204, longitude: 73.8567 }
+};
+
+const geocode = async ({ city } = {}) => {
+    if (!city) return null;
+    return CITIES[city.trim().toLowerCase()] || null;
+};
+
+module.exports = {
+    name: 'stub',
+    geocode
+};
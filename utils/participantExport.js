@@ -0,0 +1,200 @@
+const ExcelJS = require('exceljs');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { getAnswerFileUrls, getParticipantAnswers } = require('./registrationForm');
+
+// Participant exports (CSV / XLSX), streamed in batches so large events never sit in memory
+
+const BATCH_SIZE = 500;
+
+const formatDate = (date) => (date ? new Date(date).toISOString() : '');
+
+// Exportable columns. `answers` expands to one column per registration form field.
+const COLUMNS = {
+    name: { header: 'Name', value: ({ user }) => user?.name },
+    email: { header: 'Email', value: ({ user }) => user?.email },
+    phone: { header: 'Phone', value: ({ participant, user }) => participant.phone || user?.profile?.phone },
+    alternateEmail: { header: 'Alternate Email', value: ({ participant }) => participant.alternateEmail },
+    institution: { header: 'Institution', value: ({ participant, user }) => participant.institution || user?.profile?.institution },
+    status: { header: 'Status', value: ({ participant }) => participant.status },
+    registeredAt: { header: 'Registered At', value: ({ participant }) => formatDate(participant.registeredAt) },
+    teamName: { header: 'Team', value: ({ participant, team }) => team?.name || participant.teamName },
+    teamMembers: {
+        header: 'Team Members',
+        value: ({ participant, team }) => {
+            const members = team
+                ? team.members.filter(m => m.status === 'accepted').map(m => m.user || {})
+                : participant.teamMembers || [];
+            return members.map(m => (m.email ? `${m.name} <${m.email}>` : m.name)).join('; ');
+        }
+    },
+    paymentStatus: { header: 'Payment Status', value: ({ participant, event }) => (event.isPaid ? participant.paymentStatus : 'free') },
+    paymentId: { header: 'Payment ID', value: ({ participant }) => participant.paymentId },
+    checkedIn: { header: 'Checked In', value: ({ participant }) => (participant.checkedIn ? 'Yes' : 'No') },
+    checkedInAt: { header: 'Checked In At', value: ({ participant }) => formatDate(participant.checkedInAt) },
+    answers: null
+};
+
+const DEFAULT_COLUMNS = Object.keys(COLUMNS);
+
+// Resolve the requested column list (comma separated) into { header, value } definitions.
+// Throws on unknown columns so typos don't silently produce empty files.
+const resolveColumns = (event, requested) => {
+    const keys = requested
+        ? requested.split(',').map(key => key.trim()).filter(Boolean)
+        : DEFAULT_COLUMNS;
+
+    const unknown = keys.filter(key => !(key in COLUMNS));
+    if (unknown.length) {
+        throw new Error(`Unknown export columns: ${unknown.join(', ')}. Available: ${DEFAULT_COLUMNS.join(', ')}`);
+    }
+
+    return keys.flatMap(key => {
+        if (key !== 'answers') return [COLUMNS[key]];
+
+        return (event.registrationForm || []).map((field, index) => ({
+            header: field.label,
+            value: ({ answers }) => answers[index].value
+        }));
+    });
+};
+
+// Escape a CSV cell, neutralising values a spreadsheet would treat as formulas
+const toCsvCell = (value) => {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Yield participants in batches with their users and teams loaded
+async function* participantBatches(event, statuses) {
+    const pipeline = [
+        { $match: { _id: event._id } },
+        { $unwind: '$participants' },
+        { $replaceRoot: { newRoot: '$participants' } }
+    ];
+    if (statuses && statuses.length) pipeline.push({ $match: { status: { $in: statuses } } });
+
+    const cursor = Event.aggregate(pipeline).cursor({ batchSize: BATCH_SIZE });
+
+    let batch = [];
+    const loadBatch = async (participants) => {
+        const users = await User.find({ _id: { $in: participants.map(p => p.user) } })
+            .select('name email profile')
+            .lean();
+        const teams = await Team.find({ _id: { $in: participants.map(p => p.team).filter(Boolean) } })
+            .populate('members.user', 'name email')
+            .lean();
+
+        const usersById = new Map(users.map(u => [u._id.toString(), u]));
+        const teamsById = new Map(teams.map(t => [t._id.toString(), t]));
+        const fileUrls = await getAnswerFileUrls(event.registrationForm, participants);
+
+        return participants.map(participant => ({
+            event,
+            participant,
+            user: participant.user && usersById.get(participant.user.toString()),
+            team: participant.team && teamsById.get(participant.team.toString()),
+            answers: getParticipantAnswers(event.registrationForm, participant, fileUrls)
+        }));
+    };
+
+    // Close the cursor however the export ends, including a client that went away mid-download
+    try {
+        for await (const participant of cursor) {
+            batch.push(participant);
+            if (batch.length === BATCH_SIZE) {
+                yield await loadBatch(batch);
+                batch = [];
+            }
+        }
+        if (batch.length) yield await loadBatch(batch);
+    } finally {
+        await cursor.close();
+    }
+}
+
+const disconnected = () => new Error('Client disconnected during export');
+
+// Write to a response, waiting for the socket to drain when its buffer is full.
+// Rejects if the response closes or errors first, so a dropped download stops the export.
+const write = (res, chunk) => {
+    if (res.destroyed) return Promise.reject(disconnected());
+    if (res.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const settle = (error) => {
+            res.off('drain', settle);
+            res.off('close', onClose);
+            res.off('error', settle);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onClose = () => settle(disconnected());
+
+        res.on('drain', settle);
+        res.on('close', onClose);
+        res.on('error', settle);
+    });
+};
+
+const streamCsv = async (res, event, columns, statuses) => {
+    // BOM so Excel opens UTF-8 names correctly
+    await write(res, '\uFEFF' + columns.map(c => toCsvCell(c.header)).join(',') + '\r\n');
+
+    for await (const rows of participantBatches(event, statuses)) {
+        const chunk = rows
+            .map(row => columns.map(c => toCsvCell(c.value(row))).join(',') + '\r\n')
+            .join('');
+        await write(res, chunk);
+    }
+
+    res.end();
+};
+
+const streamXlsx = async (res, event, columns, statuses) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Participants');
+    sheet.columns = columns.map(c => ({ header: c.header, width: Math.max(12, c.header.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+
+    for await (const rows of participantBatches(event, statuses)) {
+        // The workbook writer doesn't wait on the response, so check for a dropped download
+        if (res.destroyed) throw disconnected();
+
+        rows.forEach(row => {
+            sheet.addRow(columns.map(c => {
+                const value = c.value(row);
+                return value === undefined || value === null ? '' : value;
+            })).commit();
+        });
+    }
+
+    sheet.commit();
+    await workbook.commit();
+};
+
+// Stream an event's participants to an HTTP response as CSV or XLSX.
+// `columns` comes from resolveColumns so bad requests are rejected before anything is sent.
+const streamParticipantExport = async (res, event, { format = 'csv', columns, statuses } = {}) => {
+    const slug = event.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'event';
+    const filename = `${slug}-participants.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        return streamXlsx(res, event, columns, statuses);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    return streamCsv(res, event, columns, statuses);
+};
+
+module.exports = {
+    EXPORT_COLUMNS: DEFAULT_COLUMNS,
+    resolveColumns,
+    streamParticipantExport
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+
+// Local payment provider for development and tests. Keeps intents in memory and
+// signs webhooks with PAYMENT_WEBHOOK_SECRET exactly like a real provider would,
+// so the full register -> webhook -> confirm flow can be exercised offline.
+const intents = new Map();
+
+const getWebhookSecret = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+// Sign a webhook payload
+const sign = (rawBody) => {
+    return crypto.createHmac('sha256', getWebhookSecret()).update(rawBody).digest('hex');
+};
+
+const createPaymentIntent = async ({ amount, currency, metadata = {} }) => {
+    const intent = {
+        id: randomId('fake_pi'),
+        clientSecret: randomId('fake_secret'),
+        amount,
+        currency,
+        metadata,
+        status: 'requires_payment',
+        refunds: []
+    };
+    intents.set(intent.id, intent);
+
+    return {
+        id: intent.id,
+        clientSecret: intent.clientSecret,
+        status: intent.status
+    };
+};
+
+// Refunds settle immediately with the fake provider
+const refundPayment = async (paymentId, amount) => {
+    const intent = intents.get(paymentId);
+    if (intent) {
+        intent.refunds.push({ amount });
+        intent.status = 'refunded';
+    }
+
+    return {
+        id: randomId('fake_re'),
+        status: 'succeeded'
+    };
+};
+
+const verifyWebhook = (rawBody, signature) => {
+    if (!rawBody || !signature) {
+        throw new Error('Missing webhook signature');
+    }
+
+    const expected = Buffer.from(sign(rawBody));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+    }
+
+    const payload = JSON.parse(rawBody.toString());
+    return {
+        id: payload.id,
+        type: payload.type,
+        paymentId: payload.data && payload.data.paymentId,
+        refundId: payload.data && payload.data.refundId,
+        failureReason: payload.data && payload.data.failureReason
+    };
+};
+
+// Build a signed webhook as the provider would send it ('payment.succeeded',
+// 'payment.failed' or 'refund.succeeded'). Used by tests and the dev simulate route.
+const buildWebhook = (type, paymentId, data = {}) => {
+    const intent = intents.get(paymentId);
+    if (intent && type === 'payment.succeeded') intent.status = 'succeeded';
+    if (intent && type === 'payment.failed') intent.status = 'failed';
+
+    const rawBody = JSON.stringify({
+        id: randomId('fake_evt'),
+        type,
+        data: { paymentId, ...data }
+    });
+
+    return { rawBody, signature: sign(rawBody) };
+};
+
+module.exports = {
+    name: 'fake',
+    signatureHeader: 'x-payment-signature',
+    createPaymentIntent,
+    refundPayment,
+    verifyWebhook,
+    buildWebhook
+};
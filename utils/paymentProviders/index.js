@@ -0,0 +1,49 @@
+// Payment providers implement the same interface:
+//   name
+//   signatureHeader - request header carrying the webhook signature
+//   createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+//   refundPayment(paymentId, amount) -> { id, status: 'succeeded' | 'pending' | 'failed' }
+//   verifyWebhook(rawBody, signature) -> { id, type, paymentId, refundId, failureReason }
+//     (throws if the signature does not match)
+// Amounts are passed in major currency units (e.g. rupees), as stored on the event.
+const providers = {
+    fake: require('./fake')
+};
+
+// Get a provider by name (defaults to the configured PAYMENT_PROVIDER)
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    // The fake provider settles payments on any correctly signed webhook, so it never runs in production
+    if (name === 'fake' && process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment provider cannot be used in production. Set PAYMENT_PROVIDER.');
+    }
+
+    return provider;
+};
+
+// Why payments can't be taken with the current configuration, or null if they can.
+// Without a webhook secret no payment could be confirmed, and the fake provider would
+// confirm forged ones, so paid registration and webhooks are refused until this is fixed.
+const getPaymentConfigError = () => {
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        return 'PAYMENT_WEBHOOK_SECRET is not set';
+    }
+
+    try {
+        getPaymentProvider();
+    } catch (error) {
+        return error.message;
+    }
+
+    return null;
+};
+
+module.exports = {
+    getPaymentProvider,
+    getPaymentConfigError
+};
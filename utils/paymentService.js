@@ -0,0 +1,233 @@
+const Event = require('../models/Event');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { getPaymentProvider, getPaymentConfigError } = require('./paymentProviders');
+const {
+    getParticipantUserIds,
+    syncRegisteredEventStatus,
+    notifyPromotedParticipants
+} = require('./registrationService');
+
+const PAYMENTS_UNAVAILABLE_MESSAGE = 'Paid registration is not available right now. Please try again later.';
+
+// Whether taking a seat at an event needs a payment the server isn't configured to take
+const isPaymentUnavailable = (event) => event.isPaid && Boolean(getPaymentConfigError());
+
+// Mirror a payment status onto the participant entry it was created for
+const setParticipantPaymentStatus = (payment, paymentStatus) => {
+    return Event.updateOne(
+        {
+            _id: payment.event,
+            participants: { $elemMatch: { _id: payment.participant, paymentId: payment.providerPaymentId } }
+        },
+        { $set: { 'participants.$.paymentStatus': paymentStatus } }
+    );
+};
+
+// Create a payment intent for a participant holding a pending seat on a paid event.
+// Any earlier unpaid intent for the same participant is superseded.
+const createPaymentForParticipant = async (event, participant, userId) => {
+    const provider = getPaymentProvider();
+    const { amount, currency } = event.registration.fee;
+
+    await Payment.updateMany(
+        { participant: participant._id, status: { $in: ['requires_payment', 'failed'] } },
+        { $set: { status: 'cancelled' } }
+    );
+
+    const intent = await provider.createPaymentIntent({
+        amount,
+        currency,
+        metadata: {
+            eventId: event._id.toString(),
+            participantId: participant._id.toString(),
+            userId: userId.toString()
+        }
+    });
+
+    await Payment.create({
+        event: event._id,
+        user: userId,
+        participant: participant._id,
+        provider: provider.name,
+        providerPaymentId: intent.id,
+        clientSecret: intent.clientSecret,
+        amount,
+        currency
+    });
+
+    await Event.updateOne(
+        { _id: event._id, 'participants._id': participant._id },
+        { $set: { 'participants.$.paymentId': intent.id, 'participants.$.paymentStatus': 'pending' } }
+    );
+
+    return {
+        paymentId: intent.id,
+        clientSecret: intent.clientSecret,
+        provider: provider.name,
+        amount,
+        currency,
+        holdExpiresAt: participant.paymentHoldExpiresAt
+    };
+};
+
+// Refund a settled payment. The payment is claimed as 'refund_pending' first so
+// concurrent cancellations cannot refund it twice.
+const refundPayment = async (payment, reason) => {
+    const claimed = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: 'paid' },
+        {
+            $set: {
+                status: 'refund_pending',
+                'refund.amount': payment.amount,
+                'refund.reason': reason,
+                'refund.requestedAt': new Date()
+            }
+        },
+        { new: true }
+    );
+    if (!claimed) return payment;
+
+    let refund;
+    try {
+        refund = await getPaymentProvider(claimed.provider).refundPayment(claimed.providerPaymentId, claimed.amount);
+    } catch (error) {
+        await Payment.updateOne({ _id: claimed._id }, { $set: { status: 'paid' } });
+        throw error;
+    }
+
+    if (refund.status === 'failed') {
+        await Payment.updateOne({ _id: claimed._id }, { $set: { status: 'paid' } });
+        throw new Error('Payment provider rejected the refund');
+    }
+
+    claimed.refund.providerRefundId = refund.id;
+    if (refund.status === 'succeeded') {
+        claimed.status = 'refunded';
+        claimed.refund.completedAt = new Date();
+    }
+    await claimed.save();
+
+    await setParticipantPaymentStatus(claimed, claimed.status === 'refunded' ? 'refunded' : 'paid');
+    return claimed;
+};
+
+// Settle the payment attached to a participant who is leaving the event:
+// unpaid intents are cancelled, settled payments are refunded.
+const refundParticipantPayment = async (participant, reason) => {
+    if (!participant.paymentId) return null;
+
+    const payment = await Payment.findOne({ providerPaymentId: participant.paymentId });
+    if (!payment) return null;
+
+    if (['requires_payment', 'failed'].includes(payment.status)) {
+        payment.status = 'cancelled';
+        await payment.save();
+        return payment;
+    }
+
+    if (payment.status !== 'paid') return payment;
+
+    try {
+        return await refundPayment(payment, reason);
+    } catch (error) {
+        console.error('Refund error:', error);
+        return payment;
+    }
+};
+
+// Release expired payment holds on an event, tidy up after them and notify anyone promoted.
+// A released team goes back to forming so it can register again.
+const releaseExpiredPaymentHolds = async (eventId) => {
+    const { released, promoted } = await Event.releaseExpiredPaymentHolds(eventId);
+
+    for (const participant of released) {
+        const userIds = await getParticipantUserIds(participant);
+        await User.updateMany(
+            { _id: { $in: userIds } },
+            { $pull: { registeredEvents: { event: eventId } } }
+        );
+        if (participant.team) {
+            await Team.updateOne({ _id: participant.team, status: 'registered' }, { $set: { status: 'forming' } });
+        }
+        await refundParticipantPayment(participant, 'Payment hold expired');
+    }
+
+    if (promoted.length) {
+        const event = await Event.findById(eventId);
+        await notifyPromotedParticipants(event, promoted);
+    }
+
+    return { released, promoted };
+};
+
+// Apply a verified provider webhook. Every branch is guarded on the current payment
+// status, so replayed webhooks are acknowledged without changing anything.
+const handleWebhookEvent = async (webhook) => {
+    switch (webhook.type) {
+        case 'payment.succeeded': {
+            const payment = await Payment.findOneAndUpdate(
+                {
+                    providerPaymentId: webhook.paymentId,
+                    status: { $in: ['requires_payment', 'failed', 'cancelled'] }
+                },
+                { $set: { status: 'paid', paidAt: new Date() }, $unset: { failureReason: 1 } },
+                { new: true }
+            );
+            if (!payment) return { handled: false };
+
+            const participant = await Event.markParticipantPaid(
+                payment.event,
+                payment.participant,
+                payment.providerPaymentId
+            );
+
+            // Money arrived for a seat that is no longer held (expired, superseded or cancelled)
+            if (!participant) {
+                await refundPayment(payment, 'Registration no longer held');
+                return { handled: true, refunded: true };
+            }
+
+            await syncRegisteredEventStatus(payment.event, participant, participant.status);
+            return { handled: true };
+        }
+
+        case 'payment.failed': {
+            const payment = await Payment.findOneAndUpdate(
+                { providerPaymentId: webhook.paymentId, status: 'requires_payment' },
+                { $set: { status: 'failed', failureReason: webhook.failureReason } },
+                { new: true }
+            );
+            if (!payment) return { handled: false };
+
+            await setParticipantPaymentStatus(payment, 'failed');
+            return { handled: true };
+        }
+
+        case 'refund.succeeded': {
+            const payment = await Payment.findOneAndUpdate(
+                { providerPaymentId: webhook.paymentId, status: 'refund_pending' },
+                { $set: { status: 'refunded', 'refund.completedAt': new Date() } },
+                { new: true }
+            );
+            if (!payment) return { handled: false };
+
+            await setParticipantPaymentStatus(payment, 'refunded');
+            return { handled: true };
+        }
+
+        default:
+            return { handled: false };
+    }
+};
+
+module.exports = {
+    PAYMENTS_UNAVAILABLE_MESSAGE,
+    isPaymentUnavailable,
+    createPaymentForParticipant,
+    refundPayment,
+    refundParticipantPayment,
+    releaseExpiredPaymentHolds,
+    handleWebhookEvent
+};
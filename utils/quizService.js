@@ -0,0 +1,283 @@
+const Event = require('../models/Event');
+const Quiz = require('../models/Quiz');
+const QuizAttempt = require('../models/QuizAttempt');
+
+// Quiz engine: question bank validation, server-timed attempts, grading and leaderboards
+
+// Answers that arrive this long after an attempt expires still count (network latency)
+const SUBMIT_GRACE_MS = 5 * 1000;
+
+const MAX_TEXT_ANSWER_LENGTH = 500;
+
+// Check an organizer-supplied question bank, returning an error message or null
+const validateQuestions = (questions) => {
+    if (!Array.isArray(questions) || !questions.length) return 'A quiz needs at least one question';
+    if (questions.length > 200) return 'A quiz cannot have more than 200 questions';
+
+    for (const [index, question] of questions.entries()) {
+        const label = `Question ${index + 1}`;
+        if (!question || !question.prompt) return `${label} needs a prompt`;
+        if (!Quiz.QUESTION_TYPES.includes(question.type)) {
+            return `${label} has an invalid type. Use one of: ${Quiz.QUESTION_TYPES.join(', ')}`;
+        }
+
+        const options = question.options || [];
+        const correct = options.filter(o => o && o.isCorrect).length;
+
+        if (question.type === 'mcq' || question.type === 'multi-select') {
+            if (options.length < 2 || options.some(o => !o || !o.text)) {
+                return `${label} needs at least two options with text`;
+            }
+            if (question.type === 'mcq' && correct !== 1) return `${label} must have exactly one correct option`;
+            if (question.type === 'multi-select' && !correct) return `${label} needs at least one correct option`;
+        }
+
+        if (question.type === 'numeric' && !Number.isFinite(Number(question.answer))) {
+            return `${label} needs a numeric answer`;
+        }
+
+        if (question.type === 'short-answer' &&
+            (!Array.isArray(question.acceptedAnswers) || !question.acceptedAnswers.some(a => String(a).trim()))) {
+            return `${label} needs at least one accepted answer`;
+        }
+    }
+
+    return null;
+};
+
+const normalizeText = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Check a response has the right shape for its question, returning an error message or null
+const validateResponse = (question, response) => {
+    const optionIds = question.options.map(o => o._id.toString());
+
+    switch (question.type) {
+        case 'mcq':
+            return optionIds.includes(String(response)) ? null : 'Choose one of the options';
+        case 'multi-select':
+            return Array.isArray(response) && response.every(id => optionIds.includes(String(id)))
+                ? null
+                : 'Choose from the listed options';
+        case 'numeric':
+            return Number.isFinite(Number(response)) && response !== '' ? null : 'Answer must be a number';
+        default:
+            return String(response).length <= MAX_TEXT_ANSWER_LENGTH
+                ? null
+                : `Answer cannot be longer than ${MAX_TEXT_ANSWER_LENGTH} characters`;
+    }
+};
+
+// Whether a response is correct. Multi-select answers must match the correct set exactly.
+const isCorrectResponse = (question, response) => {
+    if (response === undefined || response === null || response === '') return false;
+
+    const correctIds = question.options.filter(o => o.isCorrect).map(o => o._id.toString());
+
+    switch (question.type) {
+        case 'mcq':
+            return correctIds[0] === String(response);
+        case 'multi-select': {
+            const chosen = new Set((response || []).map(String));
+            return chosen.size === correctIds.length && correctIds.every(id => chosen.has(id));
+        }
+        case 'numeric':
+            return Math.abs(Number(response) - question.answer) <= question.tolerance;
+        default:
+            return question.acceptedAnswers.some(a => normalizeText(a) === normalizeText(response));
+    }
+};
+
+// Record responses on an in-progress attempt, replacing earlier answers to the same questions.
+// Returns an error message or null.
+const saveResponses = (quiz, attempt, responses) => {
+    if (!Array.isArray(responses)) return 'Answers must be a list';
+
+    for (const { question: questionId, response } of responses) {
+        const question = quiz.questions.id(questionId);
+        if (!question) return `Question ${questionId} is not part of this quiz`;
+
+        if (response !== null && response !== undefined) {
+            const error = validateResponse(question, response);
+            if (error) return `${error} (question ${questionId})`;
+        }
+
+        const value = question.type === 'numeric' && response !== null && response !== undefined
+            ? Number(response)
+            : response;
+        const existing = attempt.answers.find(a => a.question.equals(question._id));
+        if (existing) {
+            existing.response = value;
+            existing.answeredAt = new Date();
+        } else {
+            attempt.answers.push({ question: question._id, response: value });
+        }
+    }
+
+    return null;
+};
+
+// Questions in the attempt's order, without anything that gives the answer away
+const getAttemptQuestions = (quiz, attempt) => {
+    const order = attempt.questionOrder.length ? attempt.questionOrder : quiz.questions.map(q => q._id);
+
+    return order
+        .map(id => quiz.questions.id(id))
+        .filter(Boolean)
+        .map(question => ({
+            _id: question._id,
+            type: question.type,
+            prompt: question.prompt,
+            points: question.points,
+            options: question.options.map(o => ({ _id: o._id, text: o.text }))
+        }));
+};
+
+// Starting order of questions for a new attempt
+const getQuestionOrder = (quiz) => {
+    const ids = quiz.questions.map(q => q._id);
+    if (!quiz.shuffleQuestions) return ids;
+
+    for (let i = ids.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [ids[i], ids[j]] = [ids[j], ids[i]];
+    }
+    return ids;
+};
+
+// Whether answers can still be saved to an attempt
+const isAttemptOpen = (attempt, now = new Date()) =>
+    attempt.status === 'in-progress' && now.getTime() <= attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+// Participants who finish the quiz are marked as having attended
+const markParticipantAttended = (eventId, participantId) => Event.updateOne(
+    {
+        _id: eventId,
+        participants: { $elemMatch: { _id: participantId, status: { $in: ['registered', 'confirmed'] } } }
+    },
+    { $set: { 'participants.$.status': 'attended' } }
+);
+
+// Grade and close an in-progress attempt. Submissions after the time limit are recorded as
+// expired at expiresAt, so late submits can't win a tie-break. Resolves to the final attempt,
+// or null if it was already closed (e.g. by the expiry job).
+const finalizeAttempt = async (quiz, attempt, now = new Date()) => {
+    const expired = now.getTime() > attempt.expiresAt.getTime() + SUBMIT_GRACE_MS;
+
+    const answers = attempt.answers.map(answer => {
+        const question = quiz.questions.id(answer.question);
+        const correct = Boolean(question) && isCorrectResponse(question, answer.response);
+        return {
+            _id: answer._id,
+            question: answer.question,
+            response: answer.response,
+            answeredAt: answer.answeredAt,
+            correct,
+            points: correct ? question.points : 0
+        };
+    });
+
+    const finalized = await QuizAttempt.findOneAndUpdate(
+        { _id: attempt._id, status: 'in-progress' },
+        {
+            $set: {
+                answers,
+                status: expired ? 'expired' : 'submitted',
+                submittedAt: expired ? attempt.expiresAt : now,
+                score: answers.reduce((total, a) => total + a.points, 0),
+                maxScore: quiz.maxScore
+            }
+        },
+        { new: true }
+    );
+    if (!finalized) return null;
+
+    await markParticipantAttended(attempt.event, attempt.participant);
+    return finalized;
+};
+
+// Close attempts whose time ran out without a submit
+const expireOverdueAttempts = async () => {
+    const overdue = await QuizAttempt.find({
+        status: 'in-progress',
+        expiresAt: { $lt: new Date(Date.now() - SUBMIT_GRACE_MS) }
+    });
+
+    const quizzes = new Map();
+    let expired = 0;
+
+    for (const attempt of overdue) {
+        const key = attempt.quiz.toString();
+        if (!quizzes.has(key)) quizzes.set(key, await Quiz.findById(attempt.quiz));
+        const quiz = quizzes.get(key);
+        if (!quiz) continue;
+
+        if (await finalizeAttempt(quiz, attempt)) expired += 1;
+    }
+
+    return expired;
+};
+
+// Finished attempts ranked by score, ties broken by who submitted first
+const getLeaderboard = async (quiz, limit = 100) => {
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, status: { $in: ['submitted', 'expired'] } })
+        .select('participant user score maxScore startedAt submittedAt')
+        .populate('user', 'name avatar')
+        .sort({ score: -1, submittedAt: 1 })
+        .limit(limit);
+
+    return attempts.map((attempt, index) => ({
+        rank: index + 1,
+        participant: attempt.participant,
+        user: attempt.user,
+        score: attempt.score,
+        maxScore: attempt.maxScore,
+        submittedAt: attempt.submittedAt,
+        timeTakenSeconds: attempt.timeTakenSeconds
+    }));
+};
+
+// Quiz statistics for the event analytics route
+const getQuizAnalytics = async (quiz) => {
+    const attempts = await QuizAttempt.find({ quiz: quiz._id }).select('status score answers').lean();
+    const finished = attempts.filter(a => a.status !== 'in-progress');
+    const scores = finished.map(a => a.score);
+
+    return {
+        attempts: attempts.length,
+        inProgress: attempts.length - finished.length,
+        submitted: finished.filter(a => a.status === 'submitted').length,
+        expired: finished.filter(a => a.status === 'expired').length,
+        maxScore: quiz.maxScore,
+        averageScore: scores.length
+            ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 100) / 100
+            : null,
+        topScore: scores.length ? Math.max(...scores) : null,
+        questions: quiz.questions.map(question => {
+            const answered = finished
+                .map(a => a.answers.find(answer => answer.question.equals(question._id)))
+                .filter(Boolean);
+            return {
+                question: question._id,
+                prompt: question.prompt,
+                answered: answered.length,
+                correctRate: finished.length
+                    ? Math.round((answered.filter(a => a.correct).length / finished.length) * 10000) / 100
+                    : null
+            };
+        })
+    };
+};
+
+module.exports = {
+    SUBMIT_GRACE_MS,
+    validateQuestions,
+    isCorrectResponse,
+    saveResponses,
+    getAttemptQuestions,
+    getQuestionOrder,
+    isAttemptOpen,
+    finalizeAttempt,
+    expireOverdueAttempts,
+    getLeaderboard,
+    getQuizAnalytics
+};
@@ -0,0 +1,154 @@
+const Event = require('../models/Event');
+
+// Personalized event recommendations, used by GET /api/events/recommended and the weekly digest.
+// Each upcoming event is scored from the user's skills, city, past registrations and likes,
+// plus popularity, and every score comes with the reasons that produced it.
+
+const MAX_CANDIDATES = 500;
+
+const WEIGHTS = {
+    skill: 3, // per skill or tag matching the user's profile skills
+    city: 3, // same city as the user
+    online: 1, // online events suit anyone
+    category: 2, // same category as events they registered for or liked
+    interest: 1, // per tag shared with events they registered for or liked
+    liked: 2, // they liked this event but haven't registered
+    popularity: 2 // at most, scaled by registrations and likes
+};
+
+const MAX_SKILL_MATCHES = 4;
+const MAX_INTEREST_MATCHES = 3;
+
+const normalize = (values = []) => values.filter(Boolean).map(v => String(v).trim().toLowerCase());
+
+// Upcoming published events still open for registration
+const getCandidateEvents = (now = new Date()) => Event.find({
+    status: 'published',
+    'dateTime.start': { $gt: now },
+    'registration.deadline': { $gt: now },
+    'registration.closedAt': null
+})
+    .select('title description category mode location dateTime registration tags skills prizes image organizer likes views participants.user')
+    .sort({ 'dateTime.start': 1 })
+    .limit(MAX_CANDIDATES)
+    .lean();
+
+// What we know about a user's interests: profile skills and city, and the categories and
+// tags of events they registered for, liked or saved
+const getUserSignals = async (user) => {
+    const registeredIds = (user.registeredEvents || [])
+        .filter(reg => reg.status !== 'cancelled')
+        .map(reg => reg.event);
+
+    const history = await Event.find({
+        $or: [{ _id: { $in: registeredIds } }, { 'likes.user': user._id }, { 'saves.user': user._id }]
+    })
+        .select('category tags skills')
+        .limit(200)
+        .lean();
+
+    const categories = new Set(history.map(e => e.category));
+    const interests = new Set(history.flatMap(e => normalize([...(e.tags || []), ...(e.skills || [])])));
+
+    return {
+        userId: user._id.toString(),
+        skills: new Set(normalize(user.profile?.skills)),
+        city: normalize([user.profile?.city])[0],
+        registeredIds: new Set(registeredIds.map(id => id.toString())),
+        categories,
+        interests
+    };
+};
+
+// Score one event for a user. Resolves to { score, reasons } (score 0 means no signal at all).
+const scoreEvent = (event, signals, maxPopularity) => {
+    let score = 0;
+    const reasons = [];
+
+    // Keep the event's own spelling for display
+    const topics = [...new Set([...(event.skills || []), ...(event.tags || [])])];
+
+    const skillMatches = topics.filter(topic => signals.skills.has(topic.trim().toLowerCase()));
+    if (skillMatches.length) {
+        score += WEIGHTS.skill * Math.min(skillMatches.length, MAX_SKILL_MATCHES);
+        reasons.push(`Matches your skills: ${skillMatches.slice(0, MAX_SKILL_MATCHES).join(', ')}`);
+    }
+
+    const city = event.location?.city;
+    if (signals.city && city && city.trim().toLowerCase() === signals.city) {
+        score += WEIGHTS.city;
+        reasons.push(`Happening in your city, ${city}`);
+    } else if (event.mode === 'Online') {
+        score += WEIGHTS.online;
+        reasons.push('Online, so you can join from anywhere');
+    }
+
+    if (signals.categories.has(event.category)) {
+        score += WEIGHTS.category;
+        reasons.push(`You've shown interest in ${event.category} events`);
+    }
+
+    const interestMatches = topics.filter(topic =>
+        signals.interests.has(topic.trim().toLowerCase()) && !skillMatches.includes(topic)
+    );
+    if (interestMatches.length) {
+        score += WEIGHTS.interest * Math.min(interestMatches.length, MAX_INTEREST_MATCHES);
+        reasons.push(`Similar to events you've joined, liked or saved: ${interestMatches.slice(0, MAX_INTEREST_MATCHES).join(', ')}`);
+    }
+
+    if ((event.likes || []).some(like => like.user && like.user.toString() === signals.userId)) {
+        score += WEIGHTS.liked;
+        reasons.push('You liked this event');
+    }
+
+    // Popularity only ranks events that already matched something, so it can't
+    // fill a user's recommendations with unrelated crowd favourites
+    const popularity = getPopularity(event);
+    if (score > 0 && popularity > 0 && maxPopularity > 0) {
+        score += WEIGHTS.popularity * (Math.log1p(popularity) / Math.log1p(maxPopularity));
+        if (popularity >= maxPopularity / 2) reasons.push('Popular with other participants');
+    }
+
+    return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Registrations count most, likes next, views a little
+const getPopularity = (event) =>
+    (event.registration?.currentParticipants || 0) + (event.likes || []).length * 0.5 + (event.views || 0) / 100;
+
+// Rank candidate events for a user, skipping events they registered for or organize
+const rankEvents = (candidates, signals, limit = 10) => {
+    const eligible = candidates.filter(event =>
+        !signals.registeredIds.has(event._id.toString()) &&
+        event.organizer?.user?.toString() !== signals.userId &&
+        !(event.participants || []).some(p => p.user && p.user.toString() === signals.userId)
+    );
+    const maxPopularity = Math.max(0, ...eligible.map(getPopularity));
+
+    return eligible
+        .map(event => ({ event, ...scoreEvent(event, signals, maxPopularity) }))
+        .filter(rec => rec.score > 0)
+        .sort((a, b) => (b.score - a.score) || (new Date(a.event.dateTime.start) - new Date(b.event.dateTime.start)))
+        .slice(0, limit);
+};
+
+// Recommendations for a user. Pass `candidates` to reuse one candidate query across many users.
+const getRecommendations = async (user, { limit = 10, candidates } = {}) => {
+    const signals = await getUserSignals(user);
+    const events = candidates || await getCandidateEvents();
+    return rankEvents(events, signals, limit);
+};
+
+// Strip the fields only needed for scoring before sending events to clients
+const toRecommendationResponse = ({ event, score, reasons }) => {
+    const { likes, participants, views, ...rest } = event;
+    return { event: { ...rest, likeCount: (likes || []).length }, score, reasons };
+};
+
+module.exports = {
+    getCandidateEvents,
+    getUserSignals,
+    rankEvents,
+    getRecommendations,
+    toRecommendationResponse
+};
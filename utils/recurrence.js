@@ -0,0 +1,174 @@
+const { getZonedParts } = require('./calendarService');
+
+// Recurrence rules for event series: a subset of iCalendar RRULE (RFC 5545 section 3.3.10)
+// with FREQ, INTERVAL, BYDAY, COUNT and UNTIL. Occurrences keep the first occurrence's
+// wall-clock time in the event's timezone, so a 6pm workshop stays at 6pm across DST changes.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+const MAX_OCCURRENCES = 52;
+const MAX_INTERVAL = 12;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Parse "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=8" (optionally prefixed with "RRULE:") into the object form
+const parseRRuleString = (text) => {
+    const parts = String(text).trim().replace(/^RRULE:/i, '').split(';').filter(Boolean);
+    const values = Object.fromEntries(parts.map(part => {
+        const [key, ...rest] = part.split('=');
+        return [key.trim().toUpperCase(), rest.join('=').trim()];
+    }));
+
+    let until = values.UNTIL;
+    // Basic iCalendar dates (20250131 or 20250131T235959Z) to ISO 8601
+    const basic = until && until.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+    if (basic) {
+        const [, y, mo, d, h = '23', mi = '59', s = '59'] = basic;
+        until = `${y}-${mo}-${d}T${h}:${mi}:${s}Z`;
+    }
+
+    return {
+        frequency: values.FREQ && values.FREQ.toLowerCase(),
+        interval: values.INTERVAL,
+        byWeekday: values.BYDAY ? values.BYDAY.split(',') : undefined,
+        count: values.COUNT,
+        until,
+        unknown: Object.keys(values).filter(key => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(key))
+    };
+};
+
+// Validate a recurrence given as an RRULE string or { frequency, interval, byWeekday, count, until }.
+// Resolves to { rule } in the stored object form, or { error }.
+const parseRecurrence = (input) => {
+    if (!input) return { error: 'Recurrence rule is required' };
+
+    const raw = typeof input === 'string' ? parseRRuleString(input) : input;
+    if (raw.unknown && raw.unknown.length) {
+        return { error: `Unsupported recurrence rule parts: ${raw.unknown.join(', ')}` };
+    }
+
+    const frequency = String(raw.frequency || '').toLowerCase();
+    if (!FREQUENCIES.includes(frequency)) {
+        return { error: `Recurrence frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+
+    const interval = raw.interval === undefined || raw.interval === '' ? 1 : Number(raw.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        return { error: `Recurrence interval must be a whole number from 1 to ${MAX_INTERVAL}` };
+    }
+
+    let byWeekday = [];
+    if (raw.byWeekday !== undefined && raw.byWeekday !== null) {
+        if (frequency !== 'weekly') return { error: 'Weekdays can only be set on weekly recurrences' };
+        byWeekday = [...new Set((Array.isArray(raw.byWeekday) ? raw.byWeekday : [raw.byWeekday])
+            .map(day => String(day).trim().toUpperCase()))];
+        if (!byWeekday.length || byWeekday.some(day => !WEEKDAYS.includes(day))) {
+            return { error: `Recurrence weekdays must be from: ${WEEKDAYS.join(', ')}` };
+        }
+        byWeekday.sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+    }
+
+    const hasCount = raw.count !== undefined && raw.count !== null && raw.count !== '';
+    const hasUntil = raw.until !== undefined && raw.until !== null && raw.until !== '';
+    if (hasCount === hasUntil) {
+        return { error: 'Recurrence needs either a count or an until date (but not both)' };
+    }
+
+    const rule = { frequency, interval, byWeekday };
+    if (hasCount) {
+        rule.count = Number(raw.count);
+        if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+            return { error: `Recurrence count must be from 1 to ${MAX_OCCURRENCES}` };
+        }
+    } else {
+        rule.until = new Date(raw.until);
+        if (Number.isNaN(rule.until.getTime())) return { error: 'Recurrence until must be a valid date' };
+    }
+
+    return { rule };
+};
+
+// The RRULE string for a stored rule
+const formatRRule = (rule) => {
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byWeekday && rule.byWeekday.length) parts.push(`BYDAY=${rule.byWeekday.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${new Date(rule.until).toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+    return parts.join(';');
+};
+
+// Wall-clock time in a timezone as a timestamp in "fake UTC", so calendar arithmetic can
+// use the UTC Date methods without worrying about offsets
+const toWallClock = (date, timeZone) => {
+    const parts = timeZone && getZonedParts(date, timeZone);
+    if (!parts) return new Date(date).getTime();
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+};
+
+// The instant at which a timezone's clocks show the given wall-clock time
+const fromWallClock = (wallClock, timeZone) => {
+    const offsetAt = (instant) => toWallClock(instant, timeZone) - instant;
+    const guess = wallClock - offsetAt(wallClock);
+    return new Date(wallClock - offsetAt(guess));
+};
+
+// Monday-based day of week (0 = MO) of a wall-clock timestamp
+const weekdayIndex = (wallClock) => (new Date(wallClock).getUTCDay() + 6) % 7;
+
+// Start times of every occurrence of a rule, beginning with `start` itself
+// (as with DTSTART in iCalendar). Never returns more than MAX_OCCURRENCES dates.
+const expandOccurrences = (rule, start, timeZone) => {
+    const first = toWallClock(start, timeZone);
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const until = rule.until ? new Date(rule.until).getTime() : Infinity;
+    const starts = [];
+
+    const add = (wallClock) => {
+        const instant = fromWallClock(wallClock, timeZone);
+        if (instant.getTime() > until || starts.length >= limit) return false;
+        starts.push(instant);
+        return true;
+    };
+
+    if (!add(first)) return starts;
+
+    if (rule.frequency === 'daily') {
+        for (let i = 1; add(first + i * rule.interval * DAY_MS); i++);
+    } else if (rule.frequency === 'weekly') {
+        const days = rule.byWeekday && rule.byWeekday.length
+            ? rule.byWeekday.map(day => WEEKDAYS.indexOf(day))
+            : [weekdayIndex(first)];
+        const weekStart = first - weekdayIndex(first) * DAY_MS;
+
+        for (let week = 0; ; week += rule.interval) {
+            const candidates = days
+                .map(day => weekStart + (week * 7 + day) * DAY_MS)
+                .filter(wallClock => wallClock > first);
+            if (!candidates.every(add)) break;
+        }
+    } else {
+        // Monthly on the same day of the month; months without that day are skipped
+        const date = new Date(first);
+        const day = date.getUTCDate();
+        for (let i = 1; starts.length < limit && i <= MAX_OCCURRENCES * MAX_INTERVAL; i++) {
+            const candidate = new Date(Date.UTC(
+                date.getUTCFullYear(), date.getUTCMonth() + i * rule.interval, day,
+                date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()
+            ));
+            if (candidate.getUTCDate() !== day) continue;
+            if (!add(candidate.getTime())) break;
+        }
+    }
+
+    return starts;
+};
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    MAX_OCCURRENCES,
+    parseRecurrence,
+    formatRRule,
+    expandOccurrences
+};
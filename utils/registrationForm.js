@@ -0,0 +1,357 @@
+const multer = require('multer');
+const { getExtension, uploadPrivateFile, getSignedUrls, removeFiles } = require('./fileStorage');
+
+// Organizer-defined registration forms: schema checks, answer validation and file uploads
+
+const FIELD_TYPES = ['text', 'textarea', 'number', 'email', 'url', 'select', 'multi-select', 'boolean', 'file'];
+const CHOICE_TYPES = ['select', 'multi-select'];
+const FILE_BUCKET = 'registration-files';
+const MAX_FILE_SIZE_MB = 10;
+const FILE_URL_EXPIRY_SECONDS = 24 * 60 * 60;
+
+// Organizer patterns run against attendee input, so both sides are kept small
+const MAX_PATTERN_LENGTH = 200;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_PATTERN_INPUT_LENGTH = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_FILE_SIZE_MB * 1024 * 1024,
+        files: 10
+    }
+}).any();
+
+// Accept multipart registrations so file fields can be uploaded alongside the answers.
+// Each file is sent under its field key; JSON requests pass through untouched.
+const registrationUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            message: error.code === 'LIMIT_FILE_SIZE'
+                ? `Files cannot be larger than ${MAX_FILE_SIZE_MB}MB`
+                : error.message
+        });
+    });
+};
+
+// Patterns that can backtrack catastrophically: a repeated group that itself contains a
+// quantifier or an alternation, e.g. (a+)+ or (a|aa)*, and backreferences
+const isUnsafePattern = (pattern) => {
+    const groups = [{ repeats: false }];
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const group = groups[groups.length - 1];
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return true;
+            i++;
+        } else if (char === '[') {
+            // Skip the character class, where quantifiers are literal
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false });
+        } else if (char === ')' && groups.length > 1) {
+            const closed = groups.pop();
+            if (closed.repeats && /[*+{]/.test(pattern[i + 1] || '')) return true;
+            if (closed.repeats) groups[groups.length - 1].repeats = true;
+        } else if ('*+{|'.includes(char)) {
+            group.repeats = true;
+        }
+    }
+
+    return false;
+};
+
+// Check an organizer's form definition. Returns an error message or null.
+const validateFormDefinition = (form) => {
+    if (form === undefined) return null;
+    if (!Array.isArray(form)) return 'Registration form must be a list of fields';
+
+    const keys = new Set();
+    for (const field of form) {
+        if (!field || !field.key || !field.label) {
+            return 'Every registration form field needs a key and a label';
+        }
+        if (keys.has(field.key)) {
+            return `Duplicate registration form field "${field.key}"`;
+        }
+        keys.add(field.key);
+
+        if (!FIELD_TYPES.includes(field.type)) {
+            return `Field "${field.key}" has an invalid type. Use one of: ${FIELD_TYPES.join(', ')}`;
+        }
+
+        if (CHOICE_TYPES.includes(field.type) && (!Array.isArray(field.options) || !field.options.length)) {
+            return `Field "${field.key}" needs at least one option`;
+        }
+
+        const rules = field.validation || {};
+        if (rules.pattern) {
+            if (typeof rules.pattern !== 'string' || rules.pattern.length > MAX_PATTERN_LENGTH) {
+                return `Field "${field.key}" has a pattern longer than ${MAX_PATTERN_LENGTH} characters`;
+            }
+            try {
+                new RegExp(rules.pattern);
+            } catch (error) {
+                return `Field "${field.key}" has an invalid pattern`;
+            }
+            if (isUnsafePattern(rules.pattern)) {
+                return `Field "${field.key}" has a pattern with nested repetition or backreferences, which is not supported`;
+            }
+        }
+        if (rules.min !== undefined && rules.max !== undefined && rules.min > rules.max) {
+            return `Field "${field.key}" has a minimum greater than its maximum`;
+        }
+        if (rules.maxFileSizeMb !== undefined && rules.maxFileSizeMb > MAX_FILE_SIZE_MB) {
+            return `Field "${field.key}" cannot accept files larger than ${MAX_FILE_SIZE_MB}MB`;
+        }
+    }
+
+    return null;
+};
+
+// Check a text answer against the field's pattern, if it has a usable one.
+// Returns an error message or null.
+const checkPattern = (rules, value) => {
+    if (!rules.pattern || rules.pattern.length > MAX_PATTERN_LENGTH || isUnsafePattern(rules.pattern)) return null;
+    if (value.length > MAX_PATTERN_INPUT_LENGTH) return `cannot be more than ${MAX_PATTERN_INPUT_LENGTH} characters`;
+
+    return new RegExp(rules.pattern).test(value) ? null : 'is not in the expected format';
+};
+
+const isBlank = (value) => value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+// Coerce and check a single non-file answer. Returns { value } or { error }.
+const validateAnswer = (field, raw) => {
+    const rules = field.validation || {};
+
+    switch (field.type) {
+        case 'text':
+        case 'textarea': {
+            const value = String(raw).trim();
+            if (rules.minLength !== undefined && value.length < rules.minLength) {
+                return { error: `must be at least ${rules.minLength} characters` };
+            }
+            const maxLength = Math.min(rules.maxLength ?? MAX_ANSWER_LENGTH, MAX_ANSWER_LENGTH);
+            if (value.length > maxLength) {
+                return { error: `cannot be more than ${maxLength} characters` };
+            }
+            const patternError = checkPattern(rules, value);
+            if (patternError) return { error: patternError };
+            return { value };
+        }
+
+        case 'number': {
+            const value = Number(raw);
+            if (!Number.isFinite(value)) return { error: 'must be a number' };
+            if (rules.min !== undefined && value < rules.min) return { error: `must be at least ${rules.min}` };
+            if (rules.max !== undefined && value > rules.max) return { error: `cannot be more than ${rules.max}` };
+            return { value };
+        }
+
+        case 'email': {
+            const value = String(raw).trim().toLowerCase();
+            if (!EMAIL_PATTERN.test(value)) return { error: 'must be a valid email' };
+            return { value };
+        }
+
+        case 'url': {
+            const value = String(raw).trim();
+            if (value.length > MAX_ANSWER_LENGTH) {
+                return { error: `cannot be more than ${MAX_ANSWER_LENGTH} characters` };
+            }
+            try {
+                const url = new URL(value);
+                if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Unsupported protocol');
+            } catch (error) {
+                return { error: 'must be a valid http(s) URL' };
+            }
+            const patternError = checkPattern(rules, value);
+            if (patternError) return { error: patternError };
+            return { value };
+        }
+
+        case 'select': {
+            const value = String(raw);
+            if (!field.options.includes(value)) return { error: 'is not one of the available options' };
+            return { value };
+        }
+
+        case 'multi-select': {
+            const value = [...new Set(Array.isArray(raw) ? raw.map(String) : [String(raw)])];
+            if (value.some(choice => !field.options.includes(choice))) {
+                return { error: 'contains an option that is not available' };
+            }
+            if (rules.min !== undefined && value.length < rules.min) return { error: `needs at least ${rules.min} selections` };
+            if (rules.max !== undefined && value.length > rules.max) return { error: `allows at most ${rules.max} selections` };
+            return { value };
+        }
+
+        case 'boolean': {
+            if (![true, false, 'true', 'false', 'on'].includes(raw)) return { error: 'must be true or false' };
+            const value = raw === true || raw === 'true' || raw === 'on';
+            // A required checkbox is a consent: it has to be ticked
+            if (field.required && !value) return { error: 'must be accepted' };
+            return { value };
+        }
+
+        default:
+            return { error: 'has an unsupported type' };
+    }
+};
+
+// Check an uploaded file against a file field's rules
+const validateFile = (field, file) => {
+    const rules = field.validation || {};
+
+    if (rules.fileTypes && rules.fileTypes.length && !rules.fileTypes.includes(file.mimetype)) {
+        return `must be one of: ${rules.fileTypes.join(', ')}`;
+    }
+    if (rules.maxFileSizeMb !== undefined && file.size > rules.maxFileSizeMb * 1024 * 1024) {
+        return `cannot be larger than ${rules.maxFileSizeMb}MB`;
+    }
+
+    return null;
+};
+
+// Validate submitted answers against an event's form.
+// Answers may arrive as an object or, on multipart requests, as a JSON string.
+// Returns { errors } listing every problem, or { answers, files } ready to store.
+const validateAnswers = (form = [], rawAnswers, uploadedFiles = []) => {
+    let submitted = rawAnswers || {};
+    if (typeof submitted === 'string') {
+        try {
+            submitted = JSON.parse(submitted);
+        } catch (error) {
+            return { errors: [{ field: 'answers', message: 'Answers must be valid JSON' }] };
+        }
+    }
+
+    const answers = {};
+    const files = [];
+    const errors = [];
+
+    for (const field of form) {
+        if (field.type === 'file') {
+            const file = uploadedFiles.find(f => f.fieldname === field.key);
+            if (!file) {
+                if (field.required) errors.push({ field: field.key, message: `${field.label} is required` });
+                continue;
+            }
+
+            const error = validateFile(field, file);
+            if (error) {
+                errors.push({ field: field.key, message: `${field.label} ${error}` });
+            } else {
+                files.push({ field, file });
+            }
+            continue;
+        }
+
+        const raw = submitted[field.key];
+        if (isBlank(raw)) {
+            if (field.required) errors.push({ field: field.key, message: `${field.label} is required` });
+            continue;
+        }
+
+        const { value, error } = validateAnswer(field, raw);
+        if (error) {
+            errors.push({ field: field.key, message: `${field.label} ${error}` });
+        } else {
+            answers[field.key] = value;
+        }
+    }
+
+    return errors.length ? { errors } : { answers, files };
+};
+
+// Upload validated files to the private bucket and record them in the answers
+const uploadAnswerFiles = async (eventId, userId, files, answers) => {
+    for (const { field, file } of files) {
+        const filePath = `${eventId}/${userId}/${field.key}-${Date.now()}.${getExtension(file)}`;
+        answers[field.key] = await uploadPrivateFile(FILE_BUCKET, filePath, file);
+    }
+
+    return answers;
+};
+
+// Remove uploaded answer files, e.g. when the registration they belong to was not saved
+const removeAnswerFiles = async (answers = {}) => {
+    const paths = Object.values(answers)
+        .filter(value => value && typeof value === 'object' && value.path)
+        .map(value => value.path);
+
+    await removeFiles(FILE_BUCKET, paths);
+};
+
+// Validate a registration's answers and upload its files.
+// Resolves to { errors } or { answers }.
+const collectRegistrationAnswers = async (event, userId, rawAnswers, uploadedFiles) => {
+    const form = event.registrationForm || [];
+    if (!form.length) return { answers: undefined };
+
+    const { errors, answers, files } = validateAnswers(form, rawAnswers, uploadedFiles);
+    if (errors) return { errors };
+
+    return { answers: await uploadAnswerFiles(event._id, userId, files, answers) };
+};
+
+// Signed links for the files participants uploaded, as a Map of storage path to URL
+const getAnswerFileUrls = async (form = [], participants) => {
+    const fileKeys = form.filter(field => field.type === 'file').map(field => field.key);
+    if (!fileKeys.length) return new Map();
+
+    const paths = participants
+        .flatMap(participant => fileKeys.map(key => (participant.answers || {})[key]))
+        .filter(value => value && value.path)
+        .map(value => value.path);
+
+    return getSignedUrls(FILE_BUCKET, paths, FILE_URL_EXPIRY_SECONDS);
+};
+
+// Human readable answer for display and export
+const formatAnswer = (field, value, fileUrls) => {
+    if (isBlank(value)) return '';
+
+    switch (field.type) {
+        case 'boolean':
+            return value ? 'Yes' : 'No';
+        case 'multi-select':
+            return value.join(', ');
+        case 'file':
+            return fileUrls.get(value.path) || '';
+        default:
+            return String(value);
+    }
+};
+
+// A participant's answers as an ordered list of { key, label, value } following the form.
+// File answers link through `fileUrls` from getAnswerFileUrls.
+const getParticipantAnswers = (form = [], participant, fileUrls = new Map()) => {
+    const answers = participant.answers || {};
+    return form.map(field => ({
+        key: field.key,
+        label: field.label,
+        value: formatAnswer(field, answers[field.key], fileUrls)
+    }));
+};
+
+module.exports = {
+    FIELD_TYPES,
+    registrationUpload,
+    validateFormDefinition,
+    validateAnswers,
+    collectRegistrationAnswers,
+    removeAnswerFiles,
+    getAnswerFileUrls,
+    getParticipantAnswers
+};
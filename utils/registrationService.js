@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { sendWaitlistPromotionEmail } = require('./emailService');
+
+// Users a participant entry stands for: the participant, or every accepted member of their team
+const getParticipantUserIds = async (participant) => {
+    if (participant.team) {
+        const team = await Team.findById(participant.team);
+        if (team) return team.acceptedMembers.map(m => m.user);
+    }
+
+    return [participant.user._id || participant.user];
+};
+
+// Every user registered for an event, with team participants expanded to their accepted
+// members. Participants in an excluded status (cancelled by default) are left out.
+const getEventUserIds = async (event, excludedStatuses = ['cancelled']) => {
+    const participants = event.participants.filter(p => !excludedStatuses.includes(p.status));
+    const teamIds = participants.filter(p => p.team).map(p => p.team);
+    const teams = teamIds.length ? await Team.find({ _id: { $in: teamIds } }) : [];
+
+    const userIds = new Set();
+    participants.forEach(participant => {
+        const team = participant.team && teams.find(t => t._id.equals(participant.team));
+        if (team) {
+            team.acceptedMembers.forEach(m => userIds.add(m.user.toString()));
+        } else {
+            userIds.add((participant.user._id || participant.user).toString());
+        }
+    });
+
+    return [...userIds];
+};
+
+// Mirror a participant's status into User.registeredEvents
+const syncRegisteredEventStatus = async (eventId, participant, status) => {
+    const userIds = await getParticipantUserIds(participant);
+
+    await User.updateMany(
+        { _id: { $in: userIds }, 'registeredEvents.event': eventId },
+        { $set: { 'registeredEvents.$.status': status } }
+    );
+};
+
+// Sync participants promoted off the waitlist into their registered events and email them.
+// On paid events the promoted status is 'pending' until they pay.
+const notifyPromotedParticipants = async (event, promoted) => {
+    for (const participant of promoted) {
+        try {
+            const userIds = await getParticipantUserIds(participant);
+
+            for (const userId of userIds) {
+                const user = await User.findOneAndUpdate(
+                    { _id: userId, 'registeredEvents.event': event._id },
+                    { $set: { 'registeredEvents.$.status': participant.status } },
+                    { new: true }
+                );
+
+                if (user) {
+                    await sendWaitlistPromotionEmail(user.email, user.name, event);
+                }
+            }
+        } catch (error) {
+            console.error('Waitlist promotion notification error:', error);
+        }
+    }
+};
+
+module.exports = {
+    getParticipantUserIds,
+    getEventUserIds,
+    syncRegisteredEventStatus,
+    notifyPromotedParticipants
+};
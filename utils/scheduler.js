@@ -0,0 +1,84 @@
+// Minimal in-process job runner. Jobs run on a fixed interval, never overlap with
+// themselves, and must be safe to run on several instances at once (every job
+// guards its updates on the current state, so a second run is a no-op).
+const jobs = new Map();
+
+// Register a job: handler is an async function run every intervalMs
+const registerJob = (name, intervalMs, handler) => {
+    jobs.set(name, {
+        name,
+        intervalMs,
+        handler,
+        running: false,
+        timer: null,
+        lastRunAt: null,
+        lastError: null
+    });
+};
+
+const runJob = async (job) => {
+    if (job.running) return;
+    job.running = true;
+
+    try {
+        await job.handler();
+        job.lastError = null;
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`❌ Scheduled job "${job.name}" failed:`, error);
+    } finally {
+        job.lastRunAt = new Date();
+        job.running = false;
+    }
+};
+
+// Start all registered jobs (set SCHEDULER_ENABLED=false to run the API without them)
+const startScheduler = () => {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('⏸️  Scheduler disabled');
+        return;
+    }
+
+    jobs.forEach(job => {
+        if (job.timer) return;
+        runJob(job);
+        job.timer = setInterval(() => runJob(job), job.intervalMs);
+        job.timer.unref();
+    });
+
+    console.log(`⏰ Scheduler started with ${jobs.size} jobs`);
+};
+
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+// Run a job immediately, outside its schedule
+const runJobNow = async (name) => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+    await runJob(job);
+    return job.lastError === null;
+};
+
+const getJobStatus = () => {
+    return [...jobs.values()].map(job => ({
+        name: job.name,
+        intervalMs: job.intervalMs,
+        running: job.running,
+        scheduled: Boolean(job.timer),
+        lastRunAt: job.lastRunAt,
+        lastError: job.lastError
+    }));
+};
+
+module.exports = {
+    registerJob,
+    startScheduler,
+    stopScheduler,
+    runJobNow,
+    getJobStatus
+};
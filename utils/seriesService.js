@@ -0,0 +1,280 @@
+const Event = require('../models/Event');
+const EventSeries = require('../models/EventSeries');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const { expandOccurrences, formatRRule } = require('./recurrence');
+const { HOOKS, emitHook } = require('./eventHooks');
+const { notifyPromotedParticipants } = require('./registrationService');
+const { recordEventEdit } = require('./eventHistory');
+const { validateAnswers, collectRegistrationAnswers } = require('./registrationForm');
+const {
+    PAYMENTS_UNAVAILABLE_MESSAGE,
+    isPaymentUnavailable,
+    createPaymentForParticipant,
+    refundParticipantPayment,
+    releaseExpiredPaymentHolds
+} = require('./paymentService');
+
+// Event series: creating occurrences from a recurrence rule, propagating edits to upcoming
+// occurrences, cancelling a series and registering for every occurrence as a bundle
+
+// Event fields a series edit copies onto its upcoming occurrences
+const SHARED_FIELDS = [
+    'title', 'description', 'category', 'mode', 'location', 'registrationForm', 'feedbackSurvey',
+    'tags', 'skills', 'image', 'documents', 'faqs', 'socialLinks', 'sponsors', 'visibility'
+];
+const SHARED_REGISTRATION_FIELDS = ['fee', 'maxParticipants', 'requirements', 'teamSize'];
+
+// Occurrences a series edit, cancellation or bundle registration applies to
+const upcomingOccurrencesFilter = (seriesId, now = new Date()) => ({
+    series: seriesId,
+    'dateTime.start': { $gt: now },
+    status: { $ne: 'cancelled' }
+});
+
+// Whether a user holds an event team permission on every occurrence a series edit or
+// cancellation would touch (all occurrences once none are upcoming). Ownership and the
+// team are per occurrence, so EventSeries.organizer alone doesn't grant anything.
+const canManageSeries = async (series, userId, permission) => {
+    let occurrences = await Event.find(upcomingOccurrencesFilter(series._id)).select('organizer staff');
+    if (!occurrences.length) {
+        occurrences = await Event.find({ series: series._id }).select('organizer staff');
+    }
+
+    return occurrences.length > 0 && occurrences.every(event => event.hasPermission(userId, permission));
+};
+
+// Create a series and one event per occurrence. Every occurrence keeps the first one's
+// duration and registration lead time. Resolves to { series, events }, or { error } if the
+// rule has no occurrences.
+const createSeries = async (eventData, rule, userId) => {
+    const start = new Date(eventData.dateTime.start);
+    const durationMs = new Date(eventData.dateTime.end) - start;
+    const leadMs = start - new Date(eventData.registration.deadline);
+    const timezone = eventData.dateTime.timezone || Event.schema.path('dateTime.timezone').defaultValue;
+
+    const starts = expandOccurrences(rule, start, timezone);
+    if (!starts.length) {
+        return { error: 'The recurrence rule ends before the event starts, so it has no occurrences' };
+    }
+
+    const series = await EventSeries.create({
+        title: eventData.title,
+        organizer: userId,
+        recurrence: rule,
+        rrule: formatRRule(rule),
+        timezone,
+        allowBundleRegistration: eventData.allowBundleRegistration !== false
+    });
+
+    const events = await Event.create(starts.map((occurrenceStart, index) => ({
+        ...eventData,
+        series: series._id,
+        seriesIndex: index + 1,
+        dateTime: {
+            ...eventData.dateTime,
+            start: occurrenceStart,
+            end: new Date(occurrenceStart.getTime() + durationMs)
+        },
+        registration: {
+            ...eventData.registration,
+            deadline: new Date(occurrenceStart.getTime() - leadMs)
+        },
+        // A dated agenda only fits the occurrence it was written for
+        schedule: index === 0 ? eventData.schedule : []
+    })));
+
+    return { series, events };
+};
+
+// Turn a series edit into a $set for its occurrences. Dates come from the recurrence rule
+// and statuses are per occurrence, so neither can be edited here.
+// Returns { update } or { error }.
+const buildSeriesUpdate = (updates) => {
+    if (updates.dateTime !== undefined || updates.recurrence !== undefined) {
+        return { error: 'Occurrence dates come from the recurrence rule. Edit a single occurrence to move it.' };
+    }
+    if (updates.status !== undefined) {
+        return { error: 'Series status cannot be changed here. Cancel the series or a single occurrence instead.' };
+    }
+
+    const update = {};
+    SHARED_FIELDS
+        .filter(field => updates[field] !== undefined)
+        .forEach(field => { update[field] = updates[field]; });
+
+    if (updates.category) {
+        update.type = updates.category.charAt(0).toUpperCase() + updates.category.slice(1);
+    }
+
+    // Registration counters and deadlines are per occurrence, so only the shared settings are copied
+    SHARED_REGISTRATION_FIELDS
+        .filter(field => updates.registration && updates.registration[field] !== undefined)
+        .forEach(field => { update[`registration.${field}`] = updates.registration[field]; });
+
+    if (!Object.keys(update).length) return { error: 'No series fields to update' };
+    return { update };
+};
+
+// Apply an edit to the series' upcoming occurrences; past and cancelled ones are left as
+// they were. Each occurrence gets its own history entry. Resolves to the number of
+// occurrences updated.
+const applySeriesUpdate = async (series, update, editorId) => {
+    if (update.title) {
+        series.title = update.title;
+        await series.save();
+    }
+
+    const before = await Event.find(upcomingOccurrencesFilter(series._id)).lean();
+    const ids = before.map(event => event._id);
+
+    const result = await Event.updateMany(
+        { _id: { $in: ids } },
+        { $set: update },
+        { runValidators: true }
+    );
+
+    const after = await Event.find({ _id: { $in: ids } });
+    for (const event of after) {
+        const previous = before.find(e => e._id.equals(event._id));
+        await recordEventEdit(previous, event, editorId, Object.keys(update));
+    }
+
+    return result.modifiedCount;
+};
+
+// Cancel a series: every upcoming occurrence is cancelled, past occurrences are kept.
+// Resolves to the cancelled events.
+const cancelSeries = async (series) => {
+    series.status = 'cancelled';
+    series.cancelledAt = new Date();
+    await series.save();
+
+    const occurrences = await Event.find(upcomingOccurrencesFilter(series._id)).select('_id');
+    const cancelled = [];
+
+    for (const { _id } of occurrences) {
+        const event = await Event.findOneAndUpdate(
+            { _id, status: { $ne: 'cancelled' } },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+        if (!event) continue;
+
+        cancelled.push(event);
+        await emitHook(HOOKS.EVENT_CANCELLED, { event: event.toObject() });
+    }
+
+    return cancelled;
+};
+
+// Why a user can't register for an occurrence as part of a bundle, or null if they can
+const getBundleSkipReason = async (event, userId) => {
+    const canRegister = event.canUserRegister(userId);
+    if (!canRegister.canRegister) return canRegister.reason;
+
+    if (event.registration.teamSize.min > 1) return 'This occurrence requires team registration';
+
+    if (isPaymentUnavailable(event)) return PAYMENTS_UNAVAILABLE_MESSAGE;
+
+    const team = await Team.findActiveForUser(event._id, userId);
+    if (team) return 'You are already part of a team for this occurrence';
+
+    return null;
+};
+
+// Register a user for every upcoming occurrence of a series that's open for registration.
+// Answers are checked against every occurrence's form before anyone is registered.
+// Resolves to { registered, skipped } or { errors } if the answers don't fit a form.
+const registerForSeries = async (series, userId, registrationData = {}, files = []) => {
+    const upcoming = await Event.find({ ...upcomingOccurrencesFilter(series._id), status: 'published' })
+        .select('_id')
+        .sort({ 'dateTime.start': 1 });
+
+    const registered = [];
+    const skipped = [];
+    const eligible = [];
+
+    for (const { _id } of upcoming) {
+        // Free up seats whose payment hold lapsed before checking capacity
+        await releaseExpiredPaymentHolds(_id);
+        const event = await Event.findById(_id);
+        if (!event) continue;
+
+        const reason = await getBundleSkipReason(event, userId);
+        if (reason) {
+            skipped.push({ eventId: event._id, dateTime: event.dateTime, reason });
+            continue;
+        }
+
+        const { errors } = validateAnswers(event.registrationForm || [], registrationData.answers, files);
+        if (errors) return { errors };
+
+        eligible.push(event);
+    }
+
+    for (const event of eligible) {
+        const { answers } = await collectRegistrationAnswers(event, userId, registrationData.answers, files);
+        const result = await event.registerUser(userId, { ...registrationData, team: undefined, answers });
+        if (!result) {
+            skipped.push({ eventId: event._id, dateTime: event.dateTime, reason: 'Already registered' });
+            continue;
+        }
+
+        await User.findByIdAndUpdate(userId, {
+            $push: { registeredEvents: { event: event._id, status: result.status } }
+        });
+
+        // Paid occurrences hold the seat until each payment is confirmed
+        const payment = result.status === 'pending'
+            ? await createPaymentForParticipant(result.event, result.event.getUserRegistration(userId), userId)
+            : null;
+
+        registered.push({
+            eventId: event._id,
+            dateTime: event.dateTime,
+            status: result.status,
+            waitlistPosition: result.status === 'waitlisted' ? result.event.getWaitlistPosition(userId) : null,
+            payment
+        });
+    }
+
+    return { registered, skipped };
+};
+
+// Unregister a user from every upcoming occurrence they registered for individually
+// (team registrations are left to the team). Resolves to the ids of the events left.
+const unregisterFromSeries = async (series, userId) => {
+    const upcoming = await Event.find({
+        ...upcomingOccurrencesFilter(series._id),
+        'participants.user': userId
+    });
+
+    const left = [];
+    for (const event of upcoming) {
+        const registration = event.participants.find(p => p.user.toString() === userId.toString());
+        if (!registration || registration.team) continue;
+
+        const promoted = await event.unregisterUser(userId);
+        await refundParticipantPayment(registration, 'Unregistered from series by participant');
+        await User.findByIdAndUpdate(userId, {
+            $pull: { registeredEvents: { event: event._id } }
+        });
+        await notifyPromotedParticipants(event, promoted);
+
+        left.push(event._id);
+    }
+
+    return left;
+};
+
+module.exports = {
+    SHARED_FIELDS,
+    canManageSeries,
+    createSeries,
+    buildSeriesUpdate,
+    applySeriesUpdate,
+    cancelSeries,
+    registerForSeries,
+    unregisterFromSeries
+};
@@ -0,0 +1,146 @@
+const Event = require('../models/Event');
+const AgendaSession = require('../models/AgendaSession');
+const User = require('../models/User');
+
+// Duplicating events: cloning an event with every date shifted by an offset, and saving
+// events as reusable templates that new events are created from. Copies start as drafts
+// with no participants, team, views, likes or moderation history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event content carried over as-is
+const COPIED_FIELDS = [
+    'title', 'description', 'category', 'type', 'mode', 'location', 'registrationForm', 'feedbackSurvey',
+    'tracks', 'tags', 'skills', 'image', 'documents', 'faqs', 'socialLinks', 'sponsors', 'visibility'
+];
+const COPIED_REGISTRATION_FIELDS = ['fee', 'maxParticipants', 'requirements', 'teamSize'];
+const COPIED_SESSION_FIELDS = ['title', 'description', 'type', 'room', 'track', 'speakers', 'capacity'];
+
+const shiftDate = (date, offsetMs) => date ? new Date(new Date(date).getTime() + offsetMs) : date;
+
+// Drop subdocument ids so the copy gets its own
+const withoutId = ({ _id, ...rest }) => rest;
+
+// The copyable parts of an event (a document or plain object) with dates left as they are,
+// which is what a template stores
+const snapshotEvent = (event) => {
+    const source = typeof event.toObject === 'function' ? event.toObject() : event;
+    const content = {};
+
+    COPIED_FIELDS
+        .filter(field => source[field] !== undefined)
+        .forEach(field => { content[field] = source[field]; });
+
+    content.dateTime = source.dateTime;
+    content.registration = { deadline: source.registration.deadline };
+    COPIED_REGISTRATION_FIELDS.forEach(field => { content.registration[field] = source.registration[field]; });
+
+    content.organizer = { user: source.organizer.user, contact: source.organizer.contact };
+    content.prizes = (source.prizes || []).map(({ winners, ...prize }) => withoutId(prize));
+    content.schedule = (source.schedule || []).map(withoutId);
+    content.judging = {
+        submissionDeadline: source.judging?.submissionDeadline,
+        rubric: (source.judging?.rubric || []).map(withoutId)
+    };
+    // Certificate settings and template file, but not who has been issued one
+    content.certificate = source.certificate;
+
+    return content;
+};
+
+// New event data from a snapshot with every date moved by offsetMs. The user becomes the
+// organizer; they keep the original contact details only if the source was theirs.
+const buildEventCopy = (content, offsetMs, user) => {
+    const isOwnEvent = content.organizer?.user && content.organizer.user.toString() === user._id.toString();
+
+    return {
+        ...content,
+        organizer: {
+            user: user._id,
+            name: user.name,
+            institution: user.profile?.institution,
+            contact: isOwnEvent ? content.organizer.contact : { email: user.email }
+        },
+        dateTime: {
+            ...content.dateTime,
+            start: shiftDate(content.dateTime.start, offsetMs),
+            end: shiftDate(content.dateTime.end, offsetMs)
+        },
+        registration: {
+            ...content.registration,
+            deadline: shiftDate(content.registration.deadline, offsetMs)
+        },
+        schedule: (content.schedule || []).map(day => ({ ...day, date: shiftDate(day.date, offsetMs) })),
+        judging: {
+            ...content.judging,
+            submissionDeadline: shiftDate(content.judging?.submissionDeadline, offsetMs)
+        },
+        status: 'draft'
+    };
+};
+
+// Agenda sessions in the shape a template stores them, without attendees
+const snapshotSessions = (sessions) => sessions.map(session => {
+    const source = typeof session.toObject === 'function' ? session.toObject() : session;
+    const copy = { startsAt: source.startsAt, endsAt: source.endsAt };
+    COPIED_SESSION_FIELDS.forEach(field => { copy[field] = source[field]; });
+    copy.speakers = (copy.speakers || []).map(withoutId);
+    return copy;
+});
+
+// Check a copy's shifted dates the same way event creation does; returns an error message or null
+const validateCopyDates = (data) => {
+    if (data.dateTime.start <= new Date()) {
+        return 'The copy would start in the past. Choose a later date.';
+    }
+    return null;
+};
+
+// Create a draft event (and its agenda) from a snapshot. Resolves to the new event.
+const createFromSnapshot = async (content, sessions, offsetMs, user, overrides = {}) => {
+    const event = await Event.create({ ...buildEventCopy(content, offsetMs, user), ...overrides });
+
+    if (sessions.length) {
+        await AgendaSession.insertMany(sessions.map(session => ({
+            ...session,
+            event: event._id,
+            startsAt: shiftDate(session.startsAt, offsetMs),
+            endsAt: shiftDate(session.endsAt, offsetMs)
+        })));
+    }
+
+    await User.findByIdAndUpdate(user._id, { $push: { hostedEvents: event._id } });
+    return event;
+};
+
+// Clone an event with its dates shifted by offsetDays. Resolves to { event } or { error }.
+const cloneEvent = async (source, offsetDays, user, overrides = {}) => {
+    const offsetMs = offsetDays * DAY_MS;
+    const content = snapshotEvent(source);
+
+    const error = validateCopyDates(buildEventCopy(content, offsetMs, user));
+    if (error) return { error };
+
+    const sessions = await AgendaSession.find({ event: source._id });
+    const event = await createFromSnapshot(content, snapshotSessions(sessions), offsetMs, user, overrides);
+    return { event };
+};
+
+// Create an event from a template so that it starts at `start`. Resolves to { event } or { error }.
+const createEventFromTemplate = async (template, start, user, overrides = {}) => {
+    const offsetMs = new Date(start) - new Date(template.content.dateTime.start);
+
+    const error = validateCopyDates(buildEventCopy(template.content, offsetMs, user));
+    if (error) return { error };
+
+    const event = await createFromSnapshot(template.content, template.sessions || [], offsetMs, user, overrides);
+    return { event };
+};
+
+module.exports = {
+    snapshotEvent,
+    snapshotSessions,
+    buildEventCopy,
+    cloneEvent,
+    createEventFromTemplate
+};
@@ -0,0 +1,55 @@
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+
+// Tickets are signed with their own secret when configured so they can be rotated independently
+const getTicketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+// Generate a signed ticket token for a participant entry
+// Tickets stay valid until a day after the event ends
+const generateTicketToken = (event, participant) => {
+    const expiresAt = new Date(event.dateTime.end).getTime() + 24 * 60 * 60 * 1000;
+
+    return jwt.sign(
+        {
+            type: 'ticket',
+            eventId: event._id.toString(),
+            participantId: participant._id.toString(),
+            userId: (participant.user._id || participant.user).toString()
+        },
+        getTicketSecret(),
+        { expiresIn: Math.max(60, Math.floor((expiresAt - Date.now()) / 1000)) }
+    );
+};
+
+// Verify a ticket token
+const verifyTicketToken = (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getTicketSecret());
+    } catch (error) {
+        throw new Error('Invalid or expired ticket');
+    }
+
+    if (decoded.type !== 'ticket') {
+        throw new Error('Invalid or expired ticket');
+    }
+
+    return decoded;
+};
+
+// Render a ticket token as a QR code ('png' returns a Buffer, 'svg' a string)
+const renderTicketQr = (token, format = 'png') => {
+    const options = { errorCorrectionLevel: 'M', margin: 2, width: 320 };
+
+    if (format === 'svg') {
+        return QRCode.toString(token, { ...options, type: 'svg' });
+    }
+
+    return QRCode.toBuffer(token, { ...options, type: 'png' });
+};
+
+module.exports = {
+    generateTicketToken,
+    verifyTicketToken,
+    renderTicketQr
+};